@@ -399,6 +399,62 @@ DokSparseMatrix.prototype.toValueList = function() {
   return values;
 };
 
+// x is a [number]
+// Return a [number], this * x
+DokSparseMatrix.prototype.mulVector = function(x) {
+  if (this._n !== x.length)
+    throw new Error('DokSparseMatrix::mulVector(x): x must be of length ' + this._n);
+
+  var dict = this._dict, y = array1d(this._m, 0);
+  var j, i, col, xj;
+  for (j in dict) {
+    col = dict[j];
+    xj = x[j];
+    if (xj === 0) continue;
+    for (i in col) y[i] += col[i] * xj;
+  }
+  return y;
+};
+
+// Return a new DokSparseMatrix, this + alpha * other
+DokSparseMatrix.prototype.add = function(other, alpha) {
+  if (this._m !== other._m || this._n !== other._n)
+    throw new Error('DokSparseMatrix::add(other, alpha): dimension dismatch.');
+  if (typeof alpha !== 'number') alpha = 1;
+
+  var res = new DokSparseMatrix([], this._m, this._n);
+  [ [this, 1], [other, alpha] ].forEach(function(pair) {
+    var dict = pair[0]._dict, scale = pair[1];
+    var i, j, ii, jj;
+    for (j in dict) {
+      for (i in dict[j]) {
+        ii = parseInt(i);
+        jj = parseInt(j);
+        res.set_(ii, jj, res.at(ii, jj) + scale * dict[j][i]);
+      }
+    }
+  });
+  return res;
+};
+
+// Return the diagonal as a [number]
+DokSparseMatrix.prototype.diagonal = function() {
+  var self = this;
+  return array1d(Math.min(this._m, this._n), function(i) {
+    return self.at(i, i);
+  });
+};
+
+// Return a CsrSparseMatrix of the same entries.
+DokSparseMatrix.prototype.toCsr = function() {
+  return CsrSparseMatrix.fromDok(this);
+};
+
+// Return a LUFactor that can be used to solve many right hand sides.
+DokSparseMatrix.prototype.lu = function() {
+  return new LUFactor(this);
+};
+
 // b is a [number]
 // Return a [number]
 DokSparseMatrix.prototype.solveVector = function(b) {
@@ -410,9 +466,7 @@ DokSparseMatrix.prototype.solveVector = function(b) {
     throw new Error('DokSparseMatrix::solve can only be applied to vector of same dimension.');
   }
 
-  var A = this.toCcs();
-  var lup = ccsLUP(A);
-  return ccsLUPSolve(lup, b);
+  return this.lu().solve(b);
 };
 
 // b is a SparseVector
@@ -443,6 +497,994 @@ DokSparseMatrix.prototype.solveSparseVector = function(b) {
 
 exports.DokSparseMatrix = DokSparseMatrix;
 
+// LU factorization with partial pivoting of a square
+// DokSparseMatrix or CsrSparseMatrix. The factor is computed once and reused for every
+// solve.
+function LUFactor(A) {
+  if (!(A instanceof DokSparseMatrix || A instanceof CsrSparseMatrix) ||
+      A.m() !== A.n())
+    throw new Error('LUFactor(A): A must be a square DokSparseMatrix or ' +
+                    'CsrSparseMatrix.');
+  this._n = A.n();
+  this._lup = ccsLUP(A.toCcs());
+}
+
+LUFactor.prototype.n = function() { return this._n; };
+
+// b is a [number]
+// Return a [number]
+LUFactor.prototype.solve = function(b) {
+  if (this._n !== b.length)
+    throw new Error('LUFactor::solve(b): b must be of length ' + this._n);
+  return ccsLUPSolve(this._lup, b);
+};
+
+exports.LUFactor = LUFactor;
+
+// Compressed sparse row matrix stored in typed arrays. The column
+// indices of a row are sorted and unique. Build it from COO triplets
+// with CsrSparseMatrix.fromTriplets(), which sums the duplicates, or
+// from a DokSparseMatrix with CsrSparseMatrix.fromDok().
+function CsrSparseMatrix(m, n, rowPtr, colInd, values) {
+  if ((m | 0) !== m || m <= 0 || (n | 0) !== n || n <= 0)
+    throw new Error('CsrSparseMatrix(m, n, rowPtr, colInd, values): m, n ' +
+                    'must be positive integer.');
+  if (rowPtr.length !== m + 1 || colInd.length !== values.length ||
+      rowPtr[m] !== values.length)
+    throw new Error('CsrSparseMatrix(m, n, rowPtr, colInd, values): ' +
+                    'inconsistent arrays.');
+
+  this._m = m;
+  this._n = n;
+  this._rowPtr = rowPtr;
+  this._colInd = colInd;
+  this._values = values;
+}
+
+// rows, cols and vals are arrays (or typed arrays) of length nnz,
+// duplicated (i, j) entries are summed.
+CsrSparseMatrix.fromTriplets = function(m, n, rows, cols, vals) {
+  var nnz = rows.length, i, k, p, q, j, start, end, len;
+  if (cols.length !== nnz || vals.length !== nnz)
+    throw new Error('CsrSparseMatrix.fromTriplets(m, n, rows, cols, vals): ' +
+                    'rows, cols and vals must be of same length.');
+
+  // bucket the triplets by row.
+  var counts = new Int32Array(m + 1);
+  for (k = 0; k < nnz; ++k) {
+    i = rows[k];
+    j = cols[k];
+    if (i < 0 || i >= m || j < 0 || j >= n)
+      throw new Error('CsrSparseMatrix.fromTriplets(): i,j: ' + [i, j] +
+                      ' outof dimension m, n: ' + [m, n]);
+    counts[i + 1] += 1;
+  }
+  for (i = 0; i < m; ++i) counts[i + 1] += counts[i];
+
+  var next = new Int32Array(counts.subarray(0, m));
+  var bCols = new Int32Array(nnz), bVals = new Float64Array(nnz);
+  for (k = 0; k < nnz; ++k) {
+    p = next[rows[k]]++;
+    bCols[p] = cols[k];
+    bVals[p] = vals[k];
+  }
+
+  // sum the duplicates with a marker of the position of each column
+  // in the current row, then sort the row by column.
+  var rowPtr = new Int32Array(m + 1);
+  var marker = new Int32Array(n);
+  for (j = 0; j < n; ++j) marker[j] = -1;
+
+  var out = 0, c, v;
+  for (i = 0; i < m; ++i) {
+    start = out;
+    for (p = counts[i]; p < counts[i + 1]; ++p) {
+      j = bCols[p];
+      if (marker[j] < start) {
+        marker[j] = out;
+        bCols[out] = j;
+        bVals[out] = bVals[p];
+        ++out;
+      } else {
+        bVals[marker[j]] += bVals[p];
+      }
+    }
+    end = out;
+    // insertion sort, rows are short.
+    for (p = start + 1; p < end; ++p) {
+      c = bCols[p];
+      v = bVals[p];
+      for (q = p - 1; q >= start && bCols[q] > c; --q) {
+        bCols[q + 1] = bCols[q];
+        bVals[q + 1] = bVals[q];
+      }
+      bCols[q + 1] = c;
+      bVals[q + 1] = v;
+    }
+    rowPtr[i + 1] = out;
+  }
+
+  len = out;
+  return new CsrSparseMatrix(m, n, rowPtr,
+                             new Int32Array(bCols.subarray(0, len)),
+                             new Float64Array(bVals.subarray(0, len)));
+};
+
+CsrSparseMatrix.fromDok = function(dok) {
+  var dict = dok._dict, rows = [], cols = [], vals = [];
+  Object.keys(dict).forEach(function(j) {
+    Object.keys(dict[j]).forEach(function(i) {
+      rows.push(parseInt(i));
+      cols.push(parseInt(j));
+      vals.push(dict[j][i]);
+    });
+  });
+  return CsrSparseMatrix.fromTriplets(dok.m(), dok.n(), rows, cols, vals);
+};
+
+CsrSparseMatrix.prototype.m = function() { return this._m; };
+CsrSparseMatrix.prototype.n = function() { return this._n; };
+CsrSparseMatrix.prototype.size = function() { return [this._m, this._n]; };
+CsrSparseMatrix.prototype.nnz = function() { return this._values.length; };
+
+CsrSparseMatrix.prototype.at = function(i, j) {
+  if (!(i >= 0 && i < this._m && j >= 0 && j < this._n))
+    throw new Error('CsrSparseMatrix::at(i, j): i,j: ' + [i, j] +
+                    ' outof dimension m, n: ' + [this._m, this._n]);
+
+  var lo = this._rowPtr[i], hi = this._rowPtr[i + 1] - 1, mid, c;
+  while (lo <= hi) {
+    mid = (lo + hi) >> 1;
+    c = this._colInd[mid];
+    if (c === j) return this._values[mid];
+    if (c < j) lo = mid + 1;
+    else hi = mid - 1;
+  }
+  return 0.0;
+};
+
+// x is a [number]
+// Return a [number], this * x
+CsrSparseMatrix.prototype.mulVector = function(x) {
+  if (this._n !== x.length)
+    throw new Error('CsrSparseMatrix::mulVector(x): x must be of length ' + this._n);
+
+  var rowPtr = this._rowPtr, colInd = this._colInd, values = this._values;
+  var y = array1d(this._m, 0), i, p, sum;
+  for (i = 0; i < this._m; ++i) {
+    sum = 0;
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p)
+      sum += values[p] * x[colInd[p]];
+    y[i] = sum;
+  }
+  return y;
+};
+
+// Return the diagonal as a [number]
+CsrSparseMatrix.prototype.diagonal = function() {
+  var self = this;
+  return array1d(Math.min(this._m, this._n), function(i) {
+    return self.at(i, i);
+  });
+};
+
+// Calls fn(i, j, value) for the stored entries, row by row.
+CsrSparseMatrix.prototype.forEachNonzero = function(fn) {
+  var i, p;
+  for (i = 0; i < this._m; ++i)
+    for (p = this._rowPtr[i]; p < this._rowPtr[i + 1]; ++p)
+      fn(i, this._colInd[p], this._values[p]);
+};
+
+CsrSparseMatrix.prototype.toDok = function() {
+  var dok = new DokSparseMatrix([], this._m, this._n);
+  var i, p;
+  for (i = 0; i < this._m; ++i)
+    for (p = this._rowPtr[i]; p < this._rowPtr[i + 1]; ++p)
+      dok.set_(i, this._colInd[p], this._values[p]);
+  return dok;
+};
+
+CsrSparseMatrix.prototype.toFull = function() {
+  var out = array2d(this._m, this._n, 0.0), i, p;
+  for (i = 0; i < this._m; ++i)
+    for (p = this._rowPtr[i]; p < this._rowPtr[i + 1]; ++p)
+      out[i][this._colInd[p]] = this._values[p];
+  return out;
+};
+
+// Return the matrix in the ccs format of numeric.js, [colPtr, rowInd,
+// values] in plain arrays.
+CsrSparseMatrix.prototype.toCcs = function() {
+  var m = this._m, n = this._n;
+  var rowPtr = this._rowPtr, colInd = this._colInd, values = this._values;
+  var nnz = values.length, i, j, p, q;
+
+  var colPtr = array1d(n + 1, 0);
+  for (p = 0; p < nnz; ++p) colPtr[colInd[p] + 1] += 1;
+  for (j = 0; j < n; ++j) colPtr[j + 1] += colPtr[j];
+
+  var next = colPtr.slice(0, n);
+  var rowInd = array1d(nnz, 0), vals = array1d(nnz, 0);
+  for (i = 0; i < m; ++i) {
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p) {
+      q = next[colInd[p]]++;
+      rowInd[q] = i;
+      vals[q] = values[p];
+    }
+  }
+  return [ colPtr, rowInd, vals ];
+};
+
+// Return a LUFactor that can be used to solve many right hand sides.
+CsrSparseMatrix.prototype.lu = function() {
+  return new LUFactor(this);
+};
+
+// b is a [number]
+// Return a [number]. SPD matrices are solved by LDLFactor, others by
+// LUFactor.
+CsrSparseMatrix.prototype.solveVector = function(b) {
+  if (this._m !== this._n)
+    throw new Error('CsrSparseMatrix::solveVector(b): matrix is not square.');
+  return factorize(this).solve(b);
+};
+
+exports.CsrSparseMatrix = CsrSparseMatrix;
+
+// Return true if the matrix is square and A(i, j) equals A(j, i) up to
+// tol times the largest magnitude, 0 by default.
+CsrSparseMatrix.prototype.isSymmetric = function(tol) {
+  if (this._m !== this._n) return false;
+  var values = this._values, colInd = this._colInd, rowPtr = this._rowPtr;
+  var amax = 0, i, p;
+  for (p = 0; p < values.length; ++p) amax = Math.max(amax, Math.abs(values[p]));
+  var eps = (tol || 0) * amax;
+  for (i = 0; i < this._m; ++i)
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p)
+      if (Math.abs(values[p] - this.at(colInd[p], i)) > eps) return false;
+  return true;
+};
+
+// Return a LDLFactor, see LDLFactor for the options.
+CsrSparseMatrix.prototype.ldl = function(options) {
+  return new LDLFactor(this, options);
+};
+
+// Binary min heap of [key, value] pairs.
+function MinHeap() {
+  this._items = [];
+}
+
+MinHeap.prototype.size = function() { return this._items.length; };
+
+MinHeap.prototype.push = function(key, value) {
+  var items = this._items, k = items.length, parent, tmp;
+  items.push([key, value]);
+  while (k > 0) {
+    parent = (k - 1) >> 1;
+    if (items[parent][0] <= items[k][0]) break;
+    tmp = items[parent]; items[parent] = items[k]; items[k] = tmp;
+    k = parent;
+  }
+};
+
+MinHeap.prototype.pop = function() {
+  var items = this._items, top = items[0], last = items.pop();
+  var n = items.length, k = 0, l, r, min, tmp;
+  if (n === 0) return top;
+  items[0] = last;
+  while (true) {
+    l = 2 * k + 1;
+    r = l + 1;
+    min = k;
+    if (l < n && items[l][0] < items[min][0]) min = l;
+    if (r < n && items[r][0] < items[min][0]) min = r;
+    if (min === k) break;
+    tmp = items[min]; items[min] = items[k]; items[k] = tmp;
+    k = min;
+  }
+  return top;
+};
+
+// Approximate minimum degree ordering of the sparsity pattern of a
+// square matrix, A + A' is used. The elimination is done on the
+// quotient graph: eliminated variables become elements, which absorb
+// the elements adjacent to them. The degree of a variable is
+// approximated as in AMD by |A_i| + |L_p| + sum |L_e \ L_p|.
+// Return an Int32Array perm, the k-th pivot is perm[k].
+function approximateMinimumDegree(A) {
+  if (A instanceof DokSparseMatrix) A = A.toCsr();
+  if (!(A instanceof CsrSparseMatrix) || A.m() !== A.n())
+    throw new Error('approximateMinimumDegree(A): A must be a square sparse matrix.');
+
+  var n = A.n(), rowPtr = A._rowPtr, colInd = A._colInd;
+  var adj = array1d(n, function() { return {}; });
+  var i, j, p;
+  for (i = 0; i < n; ++i) {
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p) {
+      j = colInd[p];
+      if (i !== j) {
+        adj[i][j] = true;
+        adj[j][i] = true;
+      }
+    }
+  }
+
+  // variables: adjacency A_i and adjacent elements E_i. elements:
+  // variables L_e. An element is named after its pivot.
+  var vars = array1d(n, function(i) {
+    return Object.keys(adj[i]).map(Number);
+  });
+  adj = null;
+  var elems = array1d(n, function() { return []; });
+  var elemsOf = array1d(n, function() { return []; });
+  var absorbed = new Uint8Array(n), eliminated = new Uint8Array(n);
+  var degree = new Int32Array(n), w = new Int32Array(n), mark = new Int32Array(n);
+  var perm = new Int32Array(n);
+  var heap = new MinHeap();
+
+  for (i = 0; i < n; ++i) {
+    degree[i] = vars[i].length;
+    heap.push(degree[i], i);
+    w[i] = -1;
+    mark[i] = -1;
+  }
+
+  var k = 0, top, piv, Lp, inLp, e, d, q;
+  while (k < n) {
+    top = heap.pop();
+    piv = top[1];
+    if (eliminated[piv] || top[0] !== degree[piv]) continue;
+    eliminated[piv] = 1;
+    perm[k++] = piv;
+
+    // L_p = A_p + the variables of the elements adjacent to piv.
+    Lp = [];
+    mark[piv] = piv;
+    vars[piv].forEach(function(v) {
+      if (!eliminated[v] && mark[v] !== piv) { mark[v] = piv; Lp.push(v); }
+    });
+    elemsOf[piv].forEach(function(e) {
+      if (absorbed[e]) return;
+      elems[e].forEach(function(v) {
+        if (!eliminated[v] && mark[v] !== piv) { mark[v] = piv; Lp.push(v); }
+      });
+      absorbed[e] = 1;
+      elems[e] = null;
+    });
+    elems[piv] = Lp;
+    vars[piv] = null;
+    elemsOf[piv] = null;
+
+    // |L_e \ L_p| of the other elements, w[e] is reset below.
+    Lp.forEach(function(v) {
+      elemsOf[v].forEach(function(e) {
+        if (absorbed[e]) return;
+        if (w[e] < 0) w[e] = elems[e].length;
+        w[e] -= 1;
+      });
+    });
+
+    inLp = mark;
+    Lp.forEach(function(v) {
+      // drop the edges covered by the new element.
+      vars[v] = vars[v].filter(function(u) {
+        return !eliminated[u] && inLp[u] !== piv;
+      });
+      elemsOf[v] = elemsOf[v].filter(function(e) { return !absorbed[e]; });
+      elemsOf[v].push(piv);
+
+      d = vars[v].length + Lp.length - 1;
+      elemsOf[v].forEach(function(e) {
+        if (e !== piv) d += w[e] >= 0 ? w[e] : elems[e].length;
+      });
+      d = Math.min(d, n - k - 1);
+      if (d !== degree[v]) {
+        degree[v] = d;
+        heap.push(d, v);
+      }
+    });
+
+    Lp.forEach(function(v) {
+      elemsOf[v].forEach(function(e) { w[e] = -1; });
+    });
+  }
+
+  return perm;
+}
+exports.approximateMinimumDegree = approximateMinimumDegree;
+
+// Sparse LDL' factorization of a symmetric matrix, after Davis' LDL
+// package. Only the entries A(i, j) with i <= j in the permuted order
+// are read. The symbolic factorization (elimination tree and column
+// counts) is followed by an up-looking numeric factorization. Throws
+// if a pivot is zero.
+// options.ordering: 'amd' (default), 'natural' or a permutation.
+function LDLFactor(A, options) {
+  if (A instanceof DokSparseMatrix) A = A.toCsr();
+  if (!(A instanceof CsrSparseMatrix) || A.m() !== A.n())
+    throw new Error('LDLFactor(A): A must be a square DokSparseMatrix or ' +
+                    'CsrSparseMatrix.');
+
+  var n = A.n(), i, k, p, kk, len, top;
+  var ordering = (options && options.ordering) || 'amd';
+  var P;
+  if (ordering === 'amd')
+    P = approximateMinimumDegree(A);
+  else if (ordering === 'natural')
+    P = array1d(n, function(i) { return i; });
+  else if (ordering.length === n)
+    P = ordering;
+  else
+    throw new Error('LDLFactor(A, options): unknown ordering ' + ordering + '.');
+
+  var Pinv = new Int32Array(n);
+  for (k = 0; k < n; ++k) Pinv[P[k]] = k;
+
+  // symmetric, so the rows of the csr matrix are its columns.
+  var Ap = A._rowPtr, Ai = A._colInd, Ax = A._values;
+
+  // symbolic
+  var Parent = new Int32Array(n), Lnz = new Int32Array(n), Flag = new Int32Array(n);
+  for (k = 0; k < n; ++k) {
+    Parent[k] = -1;
+    Flag[k] = k;
+    Lnz[k] = 0;
+    kk = P[k];
+    for (p = Ap[kk]; p < Ap[kk + 1]; ++p) {
+      i = Pinv[Ai[p]];
+      if (i < k) {
+        for (; Flag[i] !== k; i = Parent[i]) {
+          if (Parent[i] === -1) Parent[i] = k;
+          Lnz[i]++;
+          Flag[i] = k;
+        }
+      }
+    }
+  }
+  var Lp = new Int32Array(n + 1);
+  for (k = 0; k < n; ++k) Lp[k + 1] = Lp[k] + Lnz[k];
+
+  // numeric
+  var Li = new Int32Array(Lp[n]), Lx = new Float64Array(Lp[n]);
+  var D = new Float64Array(n), Y = new Float64Array(n);
+  var Pattern = new Int32Array(n);
+  var yi, lki, p2;
+  for (k = 0; k < n; ++k) {
+    Y[k] = 0;
+    top = n;
+    Flag[k] = k;
+    Lnz[k] = 0;
+    kk = P[k];
+    for (p = Ap[kk]; p < Ap[kk + 1]; ++p) {
+      i = Pinv[Ai[p]];
+      if (i <= k) {
+        Y[i] += Ax[p];
+        for (len = 0; Flag[i] !== k; i = Parent[i]) {
+          Pattern[len++] = i;
+          Flag[i] = k;
+        }
+        while (len > 0) Pattern[--top] = Pattern[--len];
+      }
+    }
+    D[k] = Y[k];
+    Y[k] = 0;
+    for (; top < n; ++top) {
+      i = Pattern[top];
+      yi = Y[i];
+      Y[i] = 0;
+      p2 = Lp[i] + Lnz[i];
+      for (p = Lp[i]; p < p2; ++p) Y[Li[p]] -= Lx[p] * yi;
+      lki = yi / D[i];
+      D[k] -= lki * yi;
+      Li[p2] = k;
+      Lx[p2] = lki;
+      Lnz[i]++;
+    }
+    if (D[k] === 0)
+      throw new Error('LDLFactor(A): zero pivot at ' + P[k] + '.');
+  }
+
+  this._n = n;
+  this._P = P;
+  this._Lp = Lp;
+  this._Li = Li;
+  this._Lx = Lx;
+  this._D = D;
+}
+
+LDLFactor.prototype.n = function() { return this._n; };
+
+// Number of nonzeros of L, the fill of the ordering.
+LDLFactor.prototype.nnz = function() { return this._Lp[this._n]; };
+
+// Return true if all pivots are positive.
+LDLFactor.prototype.isPositiveDefinite = function() {
+  var D = this._D, k;
+  for (k = 0; k < this._n; ++k) if (!(D[k] > 0)) return false;
+  return true;
+};
+
+// b is a [number]
+// Return a [number]
+LDLFactor.prototype.solve = function(b) {
+  var n = this._n;
+  if (n !== b.length)
+    throw new Error('LDLFactor::solve(b): b must be of length ' + n);
+
+  var P = this._P, Lp = this._Lp, Li = this._Li, Lx = this._Lx, D = this._D;
+  var X = new Float64Array(n), j, p, x = array1d(n, 0);
+  for (j = 0; j < n; ++j) X[j] = b[P[j]];
+  for (j = 0; j < n; ++j)
+    for (p = Lp[j]; p < Lp[j + 1]; ++p) X[Li[p]] -= Lx[p] * X[j];
+  for (j = 0; j < n; ++j) X[j] /= D[j];
+  for (j = n - 1; j >= 0; --j)
+    for (p = Lp[j]; p < Lp[j + 1]; ++p) X[j] -= Lx[p] * X[Li[p]];
+  for (j = 0; j < n; ++j) x[P[j]] = X[j];
+  return x;
+};
+
+exports.LDLFactor = LDLFactor;
+
+// Return a factor to solve A*x = b. A symmetric matrix is factorized
+// by LDLFactor, which is kept if it is positive definite. Otherwise
+// LUFactor is used.
+function factorize(A) {
+  var csr = A instanceof DokSparseMatrix ? A.toCsr() : A;
+  var ldl;
+  if (csr.isSymmetric(1e-12)) {
+    try {
+      ldl = new LDLFactor(csr);
+      if (ldl.isPositiveDefinite()) return ldl;
+    } catch (e) {
+      // zero pivot, fall through to LU.
+    }
+  }
+  return new LUFactor(csr);
+}
+exports.factorize = factorize;
+
+function dotVec(x, y) {
+  var s = 0, i;
+  for (i = 0; i < x.length; ++i) s += x[i] * y[i];
+  return s;
+}
+
+// Returns the rows of a CsrSparseMatrix, or of a DokSparseMatrix
+// converted to csr.
+function csrOf(A, caller) {
+  if (A instanceof DokSparseMatrix) A = A.toCsr();
+  if (!(A instanceof CsrSparseMatrix) || A.m() !== A.n())
+    throw new Error(caller + ': A must be a square DokSparseMatrix or ' +
+                    'CsrSparseMatrix.');
+  return A;
+}
+
+// Jacobi (diagonal) preconditioner, A is any matrix or operator with
+// diagonal().
+function JacobiPreconditioner(A) {
+  if (!A || typeof A.diagonal !== 'function')
+    throw new Error('JacobiPreconditioner(A): A must have diagonal().');
+  this._invDiag = Array.prototype.map.call(A.diagonal(), function(d, i) {
+    if (d === 0)
+      throw new Error('JacobiPreconditioner(A): zero diagonal at ' + i + '.');
+    return 1 / d;
+  });
+}
+
+// r is a [number]
+// Return a [number], M \ r
+JacobiPreconditioner.prototype.solve = function(r) {
+  var invDiag = this._invDiag;
+  return r.map(function(ri, i) { return ri * invDiag[i]; });
+};
+
+exports.JacobiPreconditioner = JacobiPreconditioner;
+
+// Symmetric successive over-relaxation preconditioner,
+// M = (D + omega*L) D^-1 (D + omega*U) / (omega*(2 - omega)), omega
+// in (0, 2), 1 by default.
+function SSORPreconditioner(A, omega) {
+  A = csrOf(A, 'SSORPreconditioner(A, omega)');
+  if (!isAssigned(omega)) omega = 1;
+  if (!(omega > 0 && omega < 2))
+    throw new Error('SSORPreconditioner(A, omega): omega must be in (0, 2).');
+  this._A = A;
+  this._omega = omega;
+  this._diag = A.diagonal();
+  this._diag.forEach(function(d, i) {
+    if (d === 0)
+      throw new Error('SSORPreconditioner(A, omega): zero diagonal at ' + i + '.');
+  });
+}
+
+// r is a [number]
+// Return a [number], M \ r
+SSORPreconditioner.prototype.solve = function(r) {
+  var A = this._A, n = A.n(), omega = this._omega, diag = this._diag;
+  var rowPtr = A._rowPtr, colInd = A._colInd, values = A._values;
+  var y = array1d(n, 0), i, p, j, s;
+
+  // (D + omega*L) y = r
+  for (i = 0; i < n; ++i) {
+    s = r[i];
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p) {
+      j = colInd[p];
+      if (j < i) s -= omega * values[p] * y[j];
+    }
+    y[i] = s / diag[i];
+  }
+  // (D + omega*U) z = D y
+  for (i = n - 1; i >= 0; --i) {
+    s = diag[i] * y[i];
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p) {
+      j = colInd[p];
+      if (j > i) s -= omega * values[p] * y[j];
+    }
+    y[i] = s / diag[i];
+  }
+  s = omega * (2 - omega);
+  return y.map(function(yi) { return s * yi; });
+};
+
+exports.SSORPreconditioner = SSORPreconditioner;
+
+// Incomplete Cholesky factorization without fill, IC(0), of a
+// symmetric matrix, M = L*L'. L has the pattern of the lower triangle
+// of A. On breakdown the diagonal is shifted and the factorization
+// is restarted.
+function IC0Preconditioner(A) {
+  A = csrOf(A, 'IC0Preconditioner(A)');
+  var n = A.n(), rowPtr = A._rowPtr, colInd = A._colInd, values = A._values;
+  var i, p;
+
+  // lower triangle, the diagonal is the last entry of a row.
+  var Lp = new Int32Array(n + 1), nnz = 0;
+  for (i = 0; i < n; ++i) {
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p)
+      if (colInd[p] <= i) ++nnz;
+    Lp[i + 1] = nnz;
+  }
+  var Lj = new Int32Array(nnz), Ax = new Float64Array(nnz), k = 0, maxDiag = 0;
+  for (i = 0; i < n; ++i) {
+    for (p = rowPtr[i]; p < rowPtr[i + 1]; ++p) {
+      if (colInd[p] <= i) {
+        Lj[k] = colInd[p];
+        Ax[k] = values[p];
+        ++k;
+      }
+    }
+    if (Lp[i + 1] === Lp[i] || Lj[Lp[i + 1] - 1] !== i)
+      throw new Error('IC0Preconditioner(A): zero diagonal at ' + i + '.');
+    maxDiag = Math.max(maxDiag, Math.abs(Ax[Lp[i + 1] - 1]));
+  }
+
+  var shift = 0, tries, Lx;
+  for (tries = 0; tries < 20; ++tries) {
+    Lx = ic0(n, Lp, Lj, Ax, shift);
+    if (Lx) break;
+    shift = shift === 0 ? 1e-3 * maxDiag : 2 * shift;
+  }
+  if (!Lx)
+    throw new Error('IC0Preconditioner(A): factorization breaks down.');
+
+  this._n = n;
+  this._Lp = Lp;
+  this._Lj = Lj;
+  this._Lx = Lx;
+  this._shift = shift;
+}
+
+// Returns Lx or null on breakdown.
+function ic0(n, Lp, Lj, Ax, shift) {
+  var Lx = new Float64Array(Ax), i, k, p, q, qEnd, pk, s, diag;
+  for (i = 0; i < n; ++i) {
+    diag = Lp[i + 1] - 1;
+    Lx[diag] += shift;
+    for (p = Lp[i]; p < diag; ++p) {
+      k = Lj[p];
+      // s = sum_{j < k} L(i, j)*L(k, j), merging rows i and k.
+      s = 0;
+      pk = Lp[i];
+      qEnd = Lp[k + 1] - 1;
+      for (q = Lp[k]; q < qEnd && pk < p; ) {
+        if (Lj[q] === Lj[pk]) { s += Lx[q] * Lx[pk]; ++q; ++pk; }
+        else if (Lj[q] < Lj[pk]) ++q;
+        else ++pk;
+      }
+      Lx[p] = (Lx[p] - s) / Lx[qEnd];
+    }
+    s = Lx[diag];
+    for (p = Lp[i]; p < diag; ++p) s -= Lx[p] * Lx[p];
+    if (!(s > 0)) return null;
+    Lx[diag] = Math.sqrt(s);
+  }
+  return Lx;
+}
+
+// Diagonal shift used to avoid breakdown, 0 if none.
+IC0Preconditioner.prototype.shift = function() { return this._shift; };
+
+// r is a [number]
+// Return a [number], M \ r
+IC0Preconditioner.prototype.solve = function(r) {
+  var n = this._n, Lp = this._Lp, Lj = this._Lj, Lx = this._Lx;
+  var y = r.slice(), i, p, diag;
+  for (i = 0; i < n; ++i) {
+    diag = Lp[i + 1] - 1;
+    for (p = Lp[i]; p < diag; ++p) y[i] -= Lx[p] * y[Lj[p]];
+    y[i] /= Lx[diag];
+  }
+  for (i = n - 1; i >= 0; --i) {
+    diag = Lp[i + 1] - 1;
+    y[i] /= Lx[diag];
+    for (p = Lp[i]; p < diag; ++p) y[Lj[p]] -= Lx[p] * y[i];
+  }
+  return y;
+};
+
+exports.IC0Preconditioner = IC0Preconditioner;
+
+function identityPreconditioner() {
+  return { solve: function(r) { return r.slice(); } };
+}
+
+// options.preconditioner: 'none', 'jacobi', 'ssor', 'ic0' or an
+// object with solve(r).
+function preconditionerOf(A, options, defaultName) {
+  var pc = isAssigned(options.preconditioner) ? options.preconditioner : defaultName;
+  if (pc === 'none') return identityPreconditioner();
+  if (pc === 'jacobi') return new JacobiPreconditioner(A);
+  if (pc === 'ssor') return new SSORPreconditioner(A, options.omega);
+  if (pc === 'ic0') return new IC0Preconditioner(A);
+  if (pc && typeof pc.solve === 'function') return pc;
+  throw new Error('unknown preconditioner ' + pc + '.');
+}
+
+function iterativeOptions(A, b, options, caller) {
+  if (!A || typeof A.mulVector !== 'function' || A.m() !== A.n())
+    throw new Error(caller + ': A must be a square sparse matrix.');
+  if (A.n() !== b.length)
+    throw new Error(caller + ': b must be of length ' + A.n() + '.');
+  options = options || {};
+  var x0 = options.x0;
+  if (isAssigned(x0) && x0.length !== b.length)
+    throw new Error(caller + ': x0 must be of length ' + b.length + '.');
+  return {
+    tol: isAssigned(options.tol) ? options.tol : 1e-8,
+    maxIter: options.maxIter || Math.max(2 * A.n(), 100),
+    x: isAssigned(x0) ? x0.slice() : array1d(b.length, 0)
+  };
+}
+
+/**
+ * @typedef module:numeric.IterativeSolverOption
+ * @property {Number} tol - relative residual tolerance, ||r|| <=
+ * tol*||b||. Default is 1e-8.
+ * @property {Int} maxIter - maximum number of iterations. Default is
+ * max(2*n, 100).
+ * @property {Array} x0 - initial guess, zero by default.
+ * @property {String|Object} preconditioner - 'none', 'jacobi', 'ssor'
+ * or 'ic0', or an object with solve(r) that returns M\r. pcg and
+ * minres need a SPD preconditioner.
+ * @property {Number} omega - relaxation factor of 'ssor', 1 by default.
+ * @property {Int} restart - restart length of gmres, 30 by default.
+ */
+
+/**
+ * @typedef module:numeric.IterativeSolverResult
+ * @property {Array} x - solution.
+ * @property {Boolean} converged
+ * @property {Int} iterations
+ * @property {Array} residuals - relative residual norm, starting with
+ * the one of x0.
+ */
+
+/**
+ * Preconditioned conjugate gradient method for SPD matrices. Jacobi
+ * is the default preconditioner.
+ * @param {CsrSparseMatrix|DokSparseMatrix} A
+ * @param {Array} b
+ * @param {module:numeric.IterativeSolverOption} options
+ * @returns {module:numeric.IterativeSolverResult}
+ */
+function pcg(A, b, options) {
+  var o = iterativeOptions(A, b, options, 'pcg(A, b, options)');
+  var M = preconditionerOf(A, options || {}, 'jacobi');
+  var x = o.x, n = b.length, i, k;
+  var bnorm = Math.sqrt(dotVec(b, b)) || 1;
+
+  var Ax = A.mulVector(x);
+  var r = b.map(function(bi, i) { return bi - Ax[i]; });
+  var residuals = [ Math.sqrt(dotVec(r, r)) / bnorm ];
+  var z = M.solve(r), p = z.slice(), rz = dotVec(r, z), Ap, alpha, beta, rzNew;
+
+  for (k = 0; k < o.maxIter && residuals[k] > o.tol; ++k) {
+    Ap = A.mulVector(p);
+    alpha = rz / dotVec(p, Ap);
+    for (i = 0; i < n; ++i) {
+      x[i] += alpha * p[i];
+      r[i] -= alpha * Ap[i];
+    }
+    residuals.push(Math.sqrt(dotVec(r, r)) / bnorm);
+    z = M.solve(r);
+    rzNew = dotVec(r, z);
+    beta = rzNew / rz;
+    rz = rzNew;
+    for (i = 0; i < n; ++i) p[i] = z[i] + beta * p[i];
+  }
+
+  return {
+    x: x,
+    converged: residuals[residuals.length - 1] <= o.tol,
+    iterations: residuals.length - 1,
+    residuals: residuals
+  };
+}
+exports.pcg = pcg;
+
+/**
+ * Minimum residual method for symmetric, possibly indefinite,
+ * matrices. The preconditioner must be SPD, none by default. The
+ * residuals are the estimates of the preconditioned residual norm.
+ * @param {CsrSparseMatrix|DokSparseMatrix} A
+ * @param {Array} b
+ * @param {module:numeric.IterativeSolverOption} options
+ * @returns {module:numeric.IterativeSolverResult}
+ */
+function minres(A, b, options) {
+  var o = iterativeOptions(A, b, options, 'minres(A, b, options)');
+  var M = preconditionerOf(A, options || {}, 'none');
+  var x = o.x, n = b.length, i, k;
+
+  var Ax = A.mulVector(x);
+  var r1 = b.map(function(bi, i) { return bi - Ax[i]; });
+  var y = M.solve(r1);
+  var beta1 = Math.sqrt(dotVec(r1, y));
+  var bM = M.solve(b), bnorm = Math.sqrt(dotVec(b, bM)) || 1;
+  var residuals = [ beta1 / bnorm ];
+
+  var r2 = r1.slice(), oldb = 0, beta = beta1, dbar = 0, epsln = 0;
+  var phibar = beta1, cs = -1, sn = 0;
+  var w = array1d(n, 0), w1, w2 = array1d(n, 0);
+  var v, s, alfa, oldeps, delta, gbar, gamma, phi;
+
+  for (k = 0; k < o.maxIter && residuals[k] > o.tol; ++k) {
+    s = 1 / beta;
+    v = y.map(function(yi) { return s * yi; });
+    y = A.mulVector(v);
+    if (k > 0)
+      for (i = 0; i < n; ++i) y[i] -= (beta / oldb) * r1[i];
+    alfa = dotVec(v, y);
+    for (i = 0; i < n; ++i) y[i] -= (alfa / beta) * r2[i];
+    r1 = r2;
+    r2 = y;
+    y = M.solve(r2);
+    oldb = beta;
+    beta = Math.sqrt(Math.max(dotVec(r2, y), 0));
+
+    oldeps = epsln;
+    delta = cs * dbar + sn * alfa;
+    gbar = sn * dbar - cs * alfa;
+    epsln = sn * beta;
+    dbar = -cs * beta;
+    gamma = Math.max(Math.sqrt(gbar * gbar + beta * beta), 1e-300);
+    cs = gbar / gamma;
+    sn = beta / gamma;
+    phi = cs * phibar;
+    phibar = sn * phibar;
+
+    w1 = w2;
+    w2 = w;
+    w = array1d(n, 0);
+    for (i = 0; i < n; ++i) {
+      w[i] = (v[i] - oldeps * w1[i] - delta * w2[i]) / gamma;
+      x[i] += phi * w[i];
+    }
+    residuals.push(Math.abs(phibar) / bnorm);
+    if (beta === 0) break;
+  }
+
+  return {
+    x: x,
+    converged: residuals[residuals.length - 1] <= o.tol,
+    iterations: residuals.length - 1,
+    residuals: residuals
+  };
+}
+exports.minres = minres;
+
+/**
+ * Restarted generalized minimum residual method for general
+ * matrices, with right preconditioning, none by default.
+ * @param {CsrSparseMatrix|DokSparseMatrix} A
+ * @param {Array} b
+ * @param {module:numeric.IterativeSolverOption} options
+ * @returns {module:numeric.IterativeSolverResult}
+ */
+function gmres(A, b, options) {
+  var o = iterativeOptions(A, b, options, 'gmres(A, b, options)');
+  var M = preconditionerOf(A, options || {}, 'none');
+  var restart = (options && options.restart) || 30;
+  var x = o.x, n = b.length, i, j, k, iter = 0;
+  var bnorm = Math.sqrt(dotVec(b, b)) || 1;
+
+  function residual() {
+    var Ax = A.mulVector(x);
+    return b.map(function(bi, i) { return bi - Ax[i]; });
+  }
+
+  var r = residual(), rnorm = Math.sqrt(dotVec(r, r));
+  var residuals = [ rnorm / bnorm ];
+  var V, H, cs, sn, g, Z, wv, h, tmp, y, m;
+
+  while (iter < o.maxIter && residuals[residuals.length - 1] > o.tol) {
+    V = [ r.map(function(ri) { return ri / rnorm; }) ];
+    Z = [];
+    H = [];
+    cs = [];
+    sn = [];
+    g = array1d(restart + 1, 0);
+    g[0] = rnorm;
+
+    for (j = 0; j < restart && iter < o.maxIter; ++j) {
+      Z[j] = M.solve(V[j]);
+      wv = A.mulVector(Z[j]);
+      H[j] = array1d(j + 2, 0);
+      // modified Gram-Schmidt
+      for (k = 0; k <= j; ++k) {
+        h = dotVec(wv, V[k]);
+        H[j][k] = h;
+        for (i = 0; i < n; ++i) wv[i] -= h * V[k][i];
+      }
+      H[j][j + 1] = Math.sqrt(dotVec(wv, wv));
+      V[j + 1] = wv.map(function(wi) { return wi / (H[j][j + 1] || 1); });
+
+      // apply the previous rotations, then the new one.
+      for (k = 0; k < j; ++k) {
+        tmp = cs[k] * H[j][k] + sn[k] * H[j][k + 1];
+        H[j][k + 1] = -sn[k] * H[j][k] + cs[k] * H[j][k + 1];
+        H[j][k] = tmp;
+      }
+      h = Math.sqrt(H[j][j] * H[j][j] + H[j][j + 1] * H[j][j + 1]) || 1e-300;
+      cs[j] = H[j][j] / h;
+      sn[j] = H[j][j + 1] / h;
+      H[j][j] = h;
+      H[j][j + 1] = 0;
+      g[j + 1] = -sn[j] * g[j];
+      g[j] = cs[j] * g[j];
+
+      ++iter;
+      residuals.push(Math.abs(g[j + 1]) / bnorm);
+      if (residuals[residuals.length - 1] <= o.tol) { ++j; break; }
+    }
+
+    // solve the upper triangular system and update x.
+    m = j;
+    y = array1d(m, 0);
+    for (k = m - 1; k >= 0; --k) {
+      tmp = g[k];
+      for (i = k + 1; i < m; ++i) tmp -= H[i][k] * y[i];
+      y[k] = tmp / H[k][k];
+    }
+    for (k = 0; k < m; ++k)
+      for (i = 0; i < n; ++i) x[i] += y[k] * Z[k][i];
+
+    r = residual();
+    rnorm = Math.sqrt(dotVec(r, r));
+    if (rnorm === 0) break;
+  }
+
+  return {
+    x: x,
+    converged: residuals[residuals.length - 1] <= o.tol,
+    iterations: iter,
+    residuals: residuals
+  };
+}
+exports.gmres = gmres;
+
 function SparseVector(valueList, dimension) {
   if ((dimension | 0) !== dimension || dimension <= 0)
     throw new Error('SparseVector(valueList, dimension): dimension must be positive integer.');
@@ -519,6 +1561,8 @@ SparseVector.prototype.set_ = function(i, val) {
 
   if (val !== 0)
     this._dict[i] = val;
+  else
+    delete this._dict[i];
 };
 
 
@@ -557,7 +1601,8 @@ SparseVector.prototype.toList = function() {
 function mldivide(A, b) {
   if (A instanceof DokSparseMatrix && b instanceof SparseVector) {
     return A.solveSparseVector(b);
-  } else if (A instanceof DokSparseMatrix && _.isArray(b)) {
+  } else if ((A instanceof DokSparseMatrix || A instanceof CsrSparseMatrix) &&
+             _.isArray(b)) {
     return A.solveVector(b);
   }
 
@@ -628,3 +1673,279 @@ exports.k2ijRowOrder = function k2ijRowOrder(k, m, n) {
   return [i, j];
 };
 var k2ijRowOrder = exports.k2ijRowOrder;
+
+// Eigen decomposition of a dense symmetric matrix by cyclic Jacobi
+// rotations. Returns { values, vectors }, values are in ascending
+// order, and the i-th column of vectors is the i-th eigenvector.
+function jacobiEig(A, tol, maxSweeps) {
+  var n = A.length;
+  var a = cloneDeep(A), v = eye(n);
+  var sweep, p, q, k, off, scale, theta, t, c, s, tau, apk, aqk, vkp, vkq;
+
+  if (typeof tol !== 'number') tol = 1e-14;
+  if (typeof maxSweeps !== 'number') maxSweeps = 100;
+
+  scale = 0;
+  for (p = 0; p < n; ++p)
+    for (q = 0; q < n; ++q) scale += a[p][q] * a[p][q];
+  scale = Math.sqrt(scale);
+
+  for (sweep = 0; sweep < maxSweeps; ++sweep) {
+    off = 0;
+    for (p = 0; p < n; ++p)
+      for (q = p + 1; q < n; ++q) off += a[p][q] * a[p][q];
+    if (Math.sqrt(off) <= tol * scale) break;
+
+    for (p = 0; p < n; ++p) {
+      for (q = p + 1; q < n; ++q) {
+        if (a[p][q] === 0) continue;
+        theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        c = 1 / Math.sqrt(t * t + 1);
+        s = t * c;
+        tau = s / (1 + c);
+
+        for (k = 0; k < n; ++k) {
+          if (k === p || k === q) continue;
+          apk = a[p][k];
+          aqk = a[q][k];
+          a[p][k] = a[k][p] = apk - s * (aqk + tau * apk);
+          a[q][k] = a[k][q] = aqk + s * (apk - tau * aqk);
+        }
+        a[p][p] -= t * a[p][q];
+        a[q][q] += t * a[p][q];
+        a[p][q] = a[q][p] = 0;
+
+        for (k = 0; k < n; ++k) {
+          vkp = v[k][p];
+          vkq = v[k][q];
+          v[k][p] = vkp - s * (vkq + tau * vkp);
+          v[k][q] = vkq + s * (vkp - tau * vkq);
+        }
+      }
+    }
+  }
+
+  var order = array1d(n, function(i) { return i; }).sort(function(i, j) {
+    return a[i][i] - a[j][j];
+  });
+
+  return {
+    values: order.map(function(i) { return a[i][i]; }),
+    vectors: v.map(function(row) {
+      return order.map(function(i) { return row[i]; });
+    })
+  };
+}
+exports.jacobiEig = jacobiEig;
+
+// Lower triangular L of a dense symmetric positive definite A = L*L'.
+function cholesky(A) {
+  var n = A.length, L = array2d(n, n, 0);
+  var i, j, k, sum;
+  for (j = 0; j < n; ++j) {
+    sum = A[j][j];
+    for (k = 0; k < j; ++k) sum -= L[j][k] * L[j][k];
+    if (sum <= 0)
+      throw new Error('cholesky(A): A is not positive definite.');
+    L[j][j] = Math.sqrt(sum);
+    for (i = j + 1; i < n; ++i) {
+      sum = A[i][j];
+      for (k = 0; k < j; ++k) sum -= L[i][k] * L[j][k];
+      L[i][j] = sum / L[j][j];
+    }
+  }
+  return L;
+}
+exports.cholesky = cholesky;
+
+// Solve the dense generalized symmetric problem A*x = lambda*B*x with
+// B positive definite. Eigenvectors are B-orthonormal.
+function generalizedJacobiEig(A, B) {
+  var L = cholesky(B);
+  var Linv = numeric.inv(L);
+  var C = numeric.dot(numeric.dot(Linv, A), numeric.transpose(Linv));
+  C = C.map(function(row, i) {
+    return row.map(function(x, j) { return 0.5 * (x + C[j][i]); });
+  });
+  var eig = jacobiEig(C);
+  return {
+    values: eig.values,
+    vectors: numeric.dot(numeric.transpose(Linv), eig.vectors)
+  };
+}
+
+// Deterministic pseudo random numbers in [-0.5, 0.5), for starting
+// vectors that do not change from run to run.
+function pseudoRandom(seed) {
+  var state = seed;
+  return function() {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648 - 0.5;
+  };
+}
+
+// M-orthonormalizes the vectors Xs by modified Gram-Schmidt, twice,
+// applying the same combinations to MXs = M*Xs and Ys = A*Xs. A vector
+// that is lost in the others, e.g. when they all converge to the
+// rigid body modes, is replaced by a pseudo random vector.
+function mOrthonormalize(Xs, MXs, Ys, M, A, rand) {
+  var q = Xs.length, n = q > 0 ? Xs[0].length : 0;
+  var k, j, pass, c, len, len0, tries, i;
+
+  function axpy_(y, a, x) {
+    for (i = 0; i < n; ++i) y[i] += a * x[i];
+  }
+
+  for (k = 0; k < q; ++k) {
+    for (tries = 0; ; ++tries) {
+      len0 = Math.sqrt(Math.abs(dotVec(Xs[k], MXs[k])));
+      for (pass = 0; pass < 2; ++pass) {
+        for (j = 0; j < k; ++j) {
+          c = -dotVec(Xs[k], MXs[j]);
+          axpy_(Xs[k], c, Xs[j]);
+          axpy_(MXs[k], c, MXs[j]);
+          axpy_(Ys[k], c, Ys[j]);
+        }
+      }
+      len = Math.sqrt(Math.abs(dotVec(Xs[k], MXs[k])));
+      if (len > 1e-8 * len0 && len > 0) break;
+      if (tries >= 10)
+        throw new Error('subspaceEigs(K, M, nev): can not find ' + q +
+                        ' M-orthogonal vectors.');
+      Xs[k] = array1d(n, function() { return rand(); });
+      MXs[k] = M.mulVector(Xs[k]);
+      Ys[k] = A.mulVector(Xs[k]);
+    }
+    for (i = 0; i < n; ++i) {
+      Xs[k][i] /= len;
+      MXs[k][i] /= len;
+      Ys[k][i] /= len;
+    }
+  }
+}
+
+/**
+ * @typedef module:numeric.SubspaceEigsOption
+ * @property {Number} shift - optional. Shift sigma, eigenvalues are
+ * searched above it. Use a negative shift when K is singular, for
+ * example when there are rigid body modes. A shift far below the
+ * wanted eigenvalues is moved up as they converge. Default is 0.
+ * @property {Int} subspaceSize - optional. Default is max(2*nev,
+ * nev+8), but not more than the size of K.
+ * @property {Number} tol - optional. Tolerance of the eigenvalues,
+ * relative to the largest of the eigenvalue, the shift and the
+ * largest Ritz value. Default is 1e-10.
+ * @property {Int} maxIter - optional. Default is 100.
+ */
+
+/**
+ * Lowest eigenpairs of the generalized symmetric eigen problem K*x =
+ * lambda*M*x by subspace iteration with shift-invert. K - shift*M is
+ * factorized once. Eigenvectors are M-orthonormal.
+ * @param {DokSparseMatrix} K - symmetric stiffness matrix.
+ * @param {DokSparseMatrix} M - symmetric positive semi-definite mass
+ * matrix.
+ * @param {Int} nev - number of eigenpairs.
+ * @param {module:numeric.SubspaceEigsOption} options - optional.
+ * @returns {Object} { values, vectors, iterations }, vectors is a
+ * list of nev js arrays.
+ */
+function subspaceEigs(K, M, nev, options) {
+  if (!(K instanceof DokSparseMatrix) || !(M instanceof DokSparseMatrix))
+    throw new Error('subspaceEigs(K, M, nev): K and M must be DokSparseMatrix.');
+
+  var n = K.m();
+  if ((nev | 0) !== nev || nev <= 0 || nev > n)
+    throw new Error('subspaceEigs(K, M, nev): nev must be an integer in [1, ' + n + '].');
+
+  options = options || {};
+  var shift = typeof options.shift === 'number' ? options.shift : 0;
+  var tol = typeof options.tol === 'number' ? options.tol : 1e-10;
+  var maxIter = typeof options.maxIter === 'number' ? options.maxIter : 100;
+  var q = options.subspaceSize || Math.max(2 * nev, nev + 8);
+  q = Math.min(Math.max(q, nev), n);
+
+  var A = shift === 0 ? K : K.add(M, -shift);
+  var factor = A.lu();
+
+  // starting vectors: diagonal of M, then pseudo random vectors.
+  var rand = pseudoRandom(1);
+  var X = array1d(q, function(k) {
+    if (k === 0) {
+      var d = M.diagonal();
+      if (norm(d) > 0) return d;
+    }
+    return array1d(n, function() { return rand(); });
+  });
+  var MX = X.map(function(x) { return M.mulVector(x); });
+
+  var values = null, prev, iter, k, converged = false;
+  var Xb, MXb, Kr, Mr, eig, combine, scale, spread;
+
+  // columns of Xs combined by the columns of Q.
+  combine = function(Xs, Q) {
+    return array1d(q, function(k) {
+      var out = array1d(n, 0), i, j, c;
+      for (j = 0; j < q; ++j) {
+        c = Q[j][k];
+        if (c === 0) continue;
+        for (i = 0; i < n; ++i) out[i] += c * Xs[j][i];
+      }
+      return out;
+    });
+  };
+
+  for (iter = 1; iter <= maxIter; ++iter) {
+    // A*Xb = MX, M-orthonormalized so that Mr stays positive definite.
+    Xb = MX.map(function(y) { return factor.solve(y); });
+    MXb = Xb.map(function(x) { return M.mulVector(x); });
+    mOrthonormalize(Xb, MXb, MX, M, A, rand);
+
+    Kr = array2d(q, q, function(i, j) { return numeric.dot(Xb[i], MX[j]); });
+    Mr = array2d(q, q, function(i, j) { return numeric.dot(Xb[i], MXb[j]); });
+    Kr = array2d(q, q, function(i, j) { return 0.5 * (Kr[i][j] + Kr[j][i]); });
+    Mr = array2d(q, q, function(i, j) { return 0.5 * (Mr[i][j] + Mr[j][i]); });
+
+    eig = generalizedJacobiEig(Kr, Mr);
+    X = combine(Xb, eig.vectors);
+    MX = combine(MXb, eig.vectors);
+
+    prev = values;
+    values = eig.values.map(function(mu) { return mu + shift; });
+
+    if (prev) {
+      // relative to the spectrum, so that zero eigenvalues converge.
+      scale = Math.max(Math.abs(shift), Math.abs(values[q - 1]));
+      converged = true;
+      for (k = 0; k < nev; ++k) {
+        if (Math.abs(values[k] - prev[k]) > tol * Math.max(Math.abs(values[k]), scale)) {
+          converged = false;
+          break;
+        }
+      }
+      if (converged) break;
+
+      // a shift far below the wanted eigenvalues slows the convergence
+      // down, move it up below the lowest one once it has roughly settled.
+      spread = values[nev - 1] - values[0];
+      if (spread > 0 && shift < values[0] - 2 * spread &&
+          Math.abs(values[0] - prev[0]) <= 1e-1 * spread) {
+        shift = values[0] - spread;
+        A = K.add(M, -shift);
+        factor = A.lu();
+      }
+    }
+  }
+
+  if (!converged)
+    throw new Error('subspaceEigs(K, M, nev): did not converge in ' +
+                    maxIter + ' iterations.');
+
+  return {
+    values: values.slice(0, nev),
+    vectors: X.slice(0, nev),
+    iterations: iter
+  };
+}
+exports.subspaceEigs = subspaceEigs;
@@ -5,6 +5,12 @@ var check = _.check;
 var isArray = _.isArray;
 var isIterator = _.isIterator;
 var iteratorFromList = _.iteratorFromList;
+var array2d = _.array2d;
+var Field = require('./field').Field;
+var mpc = require('./mpc');
+var MPC = mpc.MPC;
+
+var ENFORCEMENTS = ['elimination', 'penalty', 'lagrange'];
 
 function EBC(options) {
   if (check.function(options.id))
@@ -40,22 +46,112 @@ function EBC(options) {
   else
     throw new Error('EBC(): options.dir is not valid.');
 
+  if (check.assigned(options.amplitude) && !check.function(options.amplitude))
+    throw new Error('EBC(): options.amplitude is not valid.');
+  this._amplitude = options.amplitude || null;
+
+  // 'elimination' prescribes the dofs in the field, 'penalty' and
+  // 'lagrange' keep them free and are applied by enforce().
+  var enforcement = options.enforcement || 'elimination';
+  if (ENFORCEMENTS.indexOf(enforcement) < 0)
+    throw new Error('EBC(): options.enforcement is not valid.');
+  this._enforcement = enforcement;
+
+  if (check.assigned(options.penalty) && !(check.number(options.penalty) && options.penalty > 0))
+    throw new Error('EBC(): options.penalty is not valid.');
+  this._penalty = options.penalty || null;
 }
 
 exports.EBC = EBC;
 
-EBC.prototype.applyToField_ = function(u) {
+EBC.prototype.enforcement = function() {
+  return this._enforcement;
+};
+
+// Calls fn(id, dir, val) for the prescribed dofs, t is the time at
+// which the values are evaluated, 0 by default. The values are scaled
+// by amplitude(t) when an amplitude is given.
+EBC.prototype._forEachValue_ = function(u, t, fn) {
   var idIter = this._idIterFn(u), valFn = this._valFn;
   var dirs = this._dirs, id, idx = 0;
+  var scale = this._amplitude ? this._amplitude(t || 0) : 1;
 
   while (idIter.hasNext()) {
     id = idIter.next();
     dirs.forEach(function(dir) {
-      var val = valFn(id, dir, idx, u);
-      u.setPrescribedValue_(id, dir, val);
+      fn(id, dir, valFn(id, dir, idx, u) * scale);
     });
     ++idx;
   }
 };
 
+// Prescribes the dofs in u, only for the 'elimination' enforcement.
+EBC.prototype.applyToField_ = function(u, t) {
+  if (this._enforcement !== 'elimination') return;
+  this._forEachValue_(u, t, function(id, dir, val) {
+    u.setPrescribedValue_(id, dir, val);
+  });
+};
+
+// Returns the prescribed values as constraints u(id, dir) = val, one
+// MPC per dof, see module:mpc.
+EBC.prototype.constraints = function(u, t) {
+  var res = [];
+  this._forEachValue_(u, t, function(id, dir, val) {
+    res.push(new MPC({ terms: [ { id: id, dir: dir, coef: 1 } ], value: val }));
+  });
+  return res;
+};
+
+// Applies the 'penalty' and 'lagrange' EBCs to the system K*x = F of
+// the free dofs of u, others are skipped. The dofs stay in the system,
+// so the EBCs can be switched on and off between load steps without
+// numbering the equations again. options.t is the time of the
+// amplitudes. Returns {K, F, recover}, recover(y) returning {x,
+// reactions} from the solution y of the returned system, x being the
+// free values of u and reactions a field of the forces applied by the
+// EBCs. Penalty EBCs without a penalty get 1e8 times the largest
+// diagonal entry of K.
+exports.enforce = function enforce(K, F, u, ebcs, options) {
+  if (!check.array(ebcs) || !ebcs.every(function(ebc) { return ebc instanceof EBC; }))
+    throw new Error('enforce(): ebcs must be an array of EBC.');
+  var t = (options && options.t) || 0;
+
+  var penalty = [], penalties = [], lagrange = [];
+  ebcs.forEach(function(ebc) {
+    var cs = ebc.enforcement() === 'elimination' ? [] : ebc.constraints(u, t);
+    if (ebc.enforcement() === 'penalty') {
+      penalty.push.apply(penalty, cs);
+      cs.forEach(function() { penalties.push(ebc._penalty); });
+    } else {
+      lagrange.push.apply(lagrange, cs);
+    }
+  });
+
+  var sys1 = penalty.length === 0 ? null :
+    mpc.constrain(K, F, u, penalty, { method: 'penalty', penalty: penalties });
+  var sys2 = lagrange.length === 0 ? null :
+    mpc.constrain(sys1 ? sys1.K : K, sys1 ? sys1.F : F, u, lagrange, { method: 'lagrange' });
+  var top = sys2 || sys1;
+  if (!top)
+    throw new Error('enforce(): no penalty or lagrange EBC.');
+
+  return {
+    K: top.K,
+    F: top.F,
+    recover: function(y) {
+      var r2 = sys2 ? sys2.recover(y) : { x: y, multipliers: [] };
+      var r1 = sys1 ? sys1.recover(r2.x) : { x: r2.x, multipliers: [] };
+      var reactions = array2d(u.nfens(), u.dim(), 0);
+      [ [penalty, r1.multipliers], [lagrange, r2.multipliers] ].forEach(function(p) {
+        p[0].forEach(function(c, k) {
+          var term = c._terms[0];
+          reactions[term.id][term.dir] -= p[1][k];
+        });
+      });
+      return { x: r1.x, reactions: new Field({ values: reactions }) };
+    }
+  };
+};
+
 exports.EBC;
@@ -0,0 +1,218 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isObject = check.object;
+var isFunction = check.function;
+var isAssigned = check.assigned;
+var isArray = check.array;
+var array1d = _.array1d;
+var array2d = _.array2d;
+
+var SparseSystemVector = require('./system.vector').SparseSystemVector;
+var ElementVector = require('./system.vector').ElementVector;
+var Field = require('./field').Field;
+var DeforSS = require('./feblock').DeforSS;
+
+/**
+ * @module explicit
+ */
+
+/**
+ * @typedef module:explicit.ExplicitOption
+ * @property {module:feblock.DeforSS[]} feblocks - blocks of a linear
+ * material, their stiffness is computed once.
+ * @property {module:field.Field} geom - geometric field.
+ * @property {module:field.Field} u - initial displacement.
+ * @property {module:field.Field} v - optional initial velocity, zero
+ * by default.
+ * @property {Function} loads - optional, (t, u) => loads at time
+ * t. Returns an array of module:system.vector.ElementVector, a
+ * SparseSystemVector or a js array of length u.neqns().
+ * @property {module:ebc.EBC[]} ebcs - optional time dependent EBCs,
+ * applied to u at every step. They must prescribe the same degrees of
+ * freedom as the EBCs u was created with.
+ * @property {Number} tEnd - end time.
+ * @property {Number} t0 - initial time, 0 by default.
+ * @property {Number} dt - optional time step, safety times the
+ * stable time step by default.
+ * @property {Number} safety - 0.9 by default.
+ * @property {String} lumping - 'rowsum' or 'hrz' (default).
+ * @property {Number} outputInterval - optional, record the first step
+ * at or after every multiple of outputInterval. Every step is
+ * recorded by default. The initial and the final states are always
+ * recorded.
+ */
+
+/**
+ * @typedef module:explicit.ExplicitResult
+ * @property {Number} dt - time step used.
+ * @property {Int} nsteps - number of steps.
+ * @property {Array} times - recorded times.
+ * @property {module:field.Field[]} u - displacements at times.
+ * @property {module:field.Field[]} v - velocities at times.
+ * @property {module:field.Field[]} a - accelerations at times.
+ */
+
+// Returns the element vectors assembled to a js array of length neqns.
+function assemble(evs, neqns) {
+  return new SparseSystemVector(neqns, evs).sparseVector().toList();
+}
+
+function loadVector(res, neqns) {
+  if (!isAssigned(res))
+    return array1d(neqns, 0);
+  if (isa(res, SparseSystemVector))
+    return res.sparseVector().toList();
+  if (isArray(res) && (res.length === 0 || isa(res[0], ElementVector)))
+    return assemble(res, neqns);
+  if (isArray(res) && res.length === neqns)
+    return res.slice();
+
+  throw new Error('explicit(): loads(t, u) must return ElementVectors, ' +
+                  'a SparseSystemVector or an array of length ' + neqns + '.');
+}
+
+/**
+ * Returns the stable time step of the blocks, the smallest of
+ * module:feblock.DeforSS#stableTimeStep.
+ * @param {module:feblock.DeforSS[]} feblocks
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:feblock.MassOption} options - optional, lumping.
+ * @returns {Number}
+ */
+exports.stableTimeStep = function stableTimeStep(feblocks, geom, options) {
+  return feblocks.reduce(function(dt, feb) {
+    return Math.min(dt, feb.stableTimeStep(geom, options));
+  }, Infinity);
+};
+
+/**
+ * Explicit time integration of M*a + K*u = F(t) by the central
+ * difference method with lumped mass. No global matrix is formed, the
+ * internal forces are computed element by element.
+ *
+ * The velocities and accelerations of the prescribed degrees of
+ * freedom are the backward differences of the prescribed
+ * displacements.
+ * @param {module:explicit.ExplicitOption} options
+ * @returns {module:explicit.ExplicitResult}
+ */
+exports.explicit = function explicit(options) {
+  if (!isObject(options) || !isArray(options.feblocks) ||
+      !options.feblocks.every(function(feb) { return isa(feb, DeforSS); }))
+    throw new Error('explicit(): feblocks must be an array of DeforSS.');
+  if (!isa(options.geom, Field) || !isa(options.u, Field))
+    throw new Error('explicit(): geom and u must be Field.');
+  if (!(options.tEnd > (options.t0 || 0)))
+    throw new Error('explicit(): tEnd must be greater than t0.');
+  if (isAssigned(options.loads) && !isFunction(options.loads))
+    throw new Error('explicit(): loads is not a function.');
+
+  var feblocks = options.feblocks, geom = options.geom;
+  var t0 = options.t0 || 0, t = t0, tEnd = options.tEnd;
+  var ebcs = options.ebcs || [];
+  var loadsFn = options.loads || function() { return null; };
+  var outputInterval = options.outputInterval || 0;
+
+  var u = options.u.clone();
+  var nfens = u.nfens(), dim = u.dim(), neqns = u.neqns();
+
+  var dtStable = exports.stableTimeStep(feblocks, geom, { lumping: options.lumping });
+  var dt = options.dt || (options.safety || 0.9) * dtStable;
+  if (dt > dtStable)
+    throw new Error('explicit(): dt ' + dt + ' exceeds the stable time step ' +
+                    dtStable + '.');
+  var nsteps = Math.ceil((tEnd - t0) / dt - 1e-9);
+  dt = (tEnd - t0) / nsteps;
+
+  function applyEBCs(time) {
+    ebcs.forEach(function(ebc) { ebc.applyToField_(u, time); });
+  }
+
+  function forEachPrescribed(fn) {
+    var i, j;
+    for (i = 0; i < nfens; ++i)
+      for (j = 0; j < dim; ++j)
+        if (u.isPrescribed(i, j)) fn(i, j);
+  }
+
+  applyEBCs(t);
+  forEachPrescribed(function(i, j) {
+    if (u.eqnum(i, j) !== Field.INVALID_EQUATION_NUM)
+      throw new Error('explicit(): ebcs prescribe a free degree of freedom.');
+  });
+
+  var mass = array1d(neqns, 0), kes = [];
+  feblocks.forEach(function(feb) {
+    var m = assemble(feb.lumpedMass(geom, u, { lumping: options.lumping }), neqns);
+    mass = mass.map(function(mi, i) { return mi + m[i]; });
+    kes.push(feb.stiffness(geom, u));
+  });
+  mass.forEach(function(mi) {
+    if (!(mi > 0)) throw new Error('explicit(): lumped mass is not positive.');
+  });
+
+  function accelerations(time) {
+    var F = loadVector(loadsFn(time, u), neqns);
+    feblocks.forEach(function(feb, k) {
+      var f = assemble(feb.internalForces(geom, u, kes[k]), neqns);
+      F = F.map(function(Fi, i) { return Fi - f[i]; });
+    });
+    return F.map(function(Fi, i) { return Fi / mass[i]; });
+  }
+
+  var dis = u.gatherSystemVector();
+  var vel = isAssigned(options.v) ? u.gatherSystemVector(options.v) : array1d(neqns, 0);
+  var acc = accelerations(t);
+
+  var pdis = array2d(nfens, dim, function(i, j) { return u.prescribedValue(i, j); });
+  var pvel = array2d(nfens, dim, 0), pacc = array2d(nfens, dim, 0);
+
+  var res = { dt: dt, nsteps: nsteps, times: [], u: [], v: [], a: [] };
+
+  function record() {
+    var uu = u.clone(), vv = u.clone(), aa = u.clone();
+    uu.scatterSystemVector_(dis);
+    vv.scatterSystemVector_(vel);
+    aa.scatterSystemVector_(acc);
+    forEachPrescribed(function(i, j) {
+      vv.setPrescribedValue_(i, j, pvel[i][j]);
+      aa.setPrescribedValue_(i, j, pacc[i][j]);
+    });
+    res.times.push(t);
+    res.u.push(uu);
+    res.v.push(vv);
+    res.a.push(aa);
+  }
+
+  record();
+  var nextOutput = t0 + outputInterval;
+
+  var step, velHalf;
+  for (step = 1; step <= nsteps; ++step) {
+    velHalf = vel.map(function(vi, i) { return vi + 0.5 * dt * acc[i]; });
+    dis = dis.map(function(di, i) { return di + dt * velHalf[i]; });
+    t = t0 + step * dt;
+
+    u.scatterSystemVector_(dis);
+    applyEBCs(t);
+    forEachPrescribed(function(i, j) {
+      var d1 = u.prescribedValue(i, j), v1 = (d1 - pdis[i][j]) / dt;
+      pacc[i][j] = (v1 - pvel[i][j]) / dt;
+      pvel[i][j] = v1;
+      pdis[i][j] = d1;
+    });
+
+    acc = accelerations(t);
+    vel = velHalf.map(function(vi, i) { return vi + 0.5 * dt * acc[i]; });
+
+    if (step === nsteps || t >= nextOutput - 1e-9 * dt) {
+      record();
+      while (nextOutput <= t + 1e-9 * dt) nextOutput += outputInterval || dt;
+    }
+  }
+
+  return res;
+};
@@ -7,6 +7,8 @@ var isObject = check.object;
 var isFunction = check.function;
 var isAssigned = check.assigned;
 var isa = check.instance;
+var isArray = check.array;
+var isNumber = check.number;
 var isMatrixOfDimension = check.isMatrixOfDimension;
 var array2d = _.array2d;
 var array1d = _.array1d;
@@ -17,6 +19,7 @@ var size = numeric.size;
 var transpose = numeric.transpose;
 var dot = numeric.dot;
 var add = numeric.add;
+var sub = numeric.sub;
 var mul = numeric.mul;
 var inv = numeric.inv;
 var norm = numeric.norm;
@@ -26,12 +29,22 @@ var matUpdate_ = numeric.matUpdate_;
 var zeros = numeric.zeros;
 var reshape = numeric.reshape;
 var nthColumn = numeric.nthColumn;
+var jacobiEig = numeric.jacobiEig;
+
+var feutils = require('./feutils');
+var vonMises = feutils.vonMises;
+var principalStresses = feutils.principalStresses;
+var pressure = feutils.pressure;
 
 var Material = require('./material').Material;
 var GCellSet = require('./gcellset').GCellSet;
 var IntegrationRule = require('./integrationrule').IntegrationRule;
 var ElementMatrix = require('./system.matrix').ElementMatrix;
+var ElementOperator = require('./system.matrix').ElementOperator;
 var ElementVector = require('./system.vector').ElementVector;
+var Field = require('./field').Field;
+var IntegrationPointGeometry = require('./ipgeometry').IntegrationPointGeometry;
+var ForceIntensity = require('./forceintensity').ForceIntensity;
 
 /**
  * @module feblock
@@ -66,6 +79,9 @@ exports.Feblock.prototype.topology = function() {
  * @property {module:material.Material} material
  * @property {module:gcellset.GCellSet} gcells
  * @property {module:integrationrule.IntegrationRule} integrationRule
+ * @property {module:ipgeometry.IntegrationPointGeometry} geometry -
+ * optional, integration point geometry of the same gcells and
+ * integrationRule to share with other blocks.
  */
 
 /**
@@ -78,6 +94,7 @@ exports.DeforSS = function DeforSS(options) {
   this._gcells = null;
   this._ir = null;
   this._rm = null;
+  this._geometry = null;
 
   if (!isObject(options))
     throw new Error('DeforSS#constructor(options): option is not a valid ' +
@@ -99,6 +116,13 @@ exports.DeforSS = function DeforSS(options) {
   this._gcells = options.gcells;
   this._ir = options.integrationRule;
   if (isAssigned(options.rm)) this._rm = options.rm;
+  if (isAssigned(options.geometry)) {
+    if (!isa(options.geometry, IntegrationPointGeometry) ||
+        options.geometry._gcells !== this._gcells || options.geometry._ir !== this._ir)
+      throw new Error('DeforSS#constructor(options): options.geometry is not ' +
+                      'of the same gcells and integrationRule.');
+    this._geometry = options.geometry;
+  }
 
   var dim = this._gcells.dim();
   switch (dim) {
@@ -107,8 +131,7 @@ exports.DeforSS = function DeforSS(options) {
     break;
   case 2:
     if (this._gcells.axisSymm())
-      throw new Error('DeforSS::hBlmat() for axixSymm, dim = ' +
-                      dim + ' is not implemented.');
+      this.hBlmat = this._blmat2axisymm;
     else
       this.hBlmat = this._blmat2;
     break;
@@ -205,6 +228,49 @@ exports.DeforSS.prototype._blmat2 = function(N, Ndersp, c, Rm) {
   return B;
 };
 
+/**
+ * Compute the strain-displacement matrix (B) for a two-manifold
+ * element in axially symmetric analysis. The first coordinate is the
+ * radius, the second is the axis of symmetry. The rows are the
+ * radial, axial, hoop and shear strain, matching the 'axisSymm'
+ * reduction of {@link module:material.DeforSSLinElBiax}.
+ * @param {module:types.Matrix} N - matrix of basis function values.
+ * @param {module:types.Matrix} Ndersp - matrix of basis function
+ * gradients.
+ * @param {module:types.Matrix} c - spatial coordinates.
+ * @param {module:types.Matrix|undefined} Rm - orthogonal matrix
+ * represent the global-to-local transformation.
+ * @returns {module:types.Matrix} B matrix.
+ */
+exports.DeforSS.prototype._blmat2axisymm = function(N, Ndersp, c, Rm) {
+  var nfn = size(Ndersp, 1);
+  var dim = 2;
+  var B = array2d(4, nfn*dim, 0);
+  var r = c[0][0];
+  var i, cols, vals, RmT;
+
+  // avoid dividing by zero on the axis.
+  if (r <= numeric.epsilon) r = numeric.epsilon;
+
+  for (i = 0; i < nfn; ++i) {
+    cols = colon(dim*i, dim*(i+1)-1);
+    vals = [
+      [ Ndersp[i][0], 0 ],
+      [ 0, Ndersp[i][1] ],
+      [ N[i][0]/r, 0 ],
+      [ Ndersp[i][1], Ndersp[i][0] ]
+    ];
+
+    if (Rm) {
+      RmT = transpose(matSelect(Rm, ':', [0, 1]));
+      vals = dot(vals, RmT);
+    }
+
+    B = matUpdate_(B, ':', cols, vals);
+  }
+  return B;
+};
+
 /**
  * Compute the strain-displacement matrix (B) for a 3-manifold element.
  * @param {module:types.Matrix} N - matrix of basis function values.
@@ -250,140 +316,219 @@ exports.DeforSS.prototype._blmat3 = function(N, Ndersp, c, Rm) {
   return B;
 };
 
+/**
+ * Returns the integration point geometry of the block in geom, which
+ * is computed once and shared by all operations on the same geom. It
+ * is computed again if geom has been modified in place.
+ * @param {module:field.Field} geom - geometric field.
+ * @returns {module:ipgeometry.IntegrationPointGeometry}
+ */
+DeforSS.prototype.geometry = function(geom) {
+  var g = this._geometry;
+  if (!g || !g.isFor(this._gcells, this._ir, geom))
+    g = this._geometry = new IntegrationPointGeometry(this._gcells, this._ir, geom);
+  return g;
+};
+
+/**
+ * Drops the integration point geometry kept by geometry(), to free
+ * its memory.
+ */
+DeforSS.prototype.clearGeometry_ = function() {
+  this._geometry = null;
+};
+
+// Returns the stiffness matrix of cell i, g being the integration
+// point geometry.
+DeforSS.prototype._cellStiffness = function(g, i) {
+  var mat = this._mater;
+  var x = g.x(i);
+  var ndofs = x[0].length * x.length;
+  var Ke = zeros(ndofs, ndofs);
+
+  var j, c, grad, Jac, B, D, delta;
+  for (j = 0; j < g.npts(); ++j) {
+    c = g.c(i, j);
+    grad = g.gradients(i, j, this._rm);
+    Jac = g.jacobian(i, j);
+    if (Jac < 0) throw new Error('Non-positive Jacobian');
+
+    // TODO: _hBlmat
+    B = this.hBlmat(g.N(j), grad.Ndersp, c, grad.rm);
+    D = mat.tangentModuli({ xyz: c });
+    delta = dot(dot(transpose(B), mul(D, Jac*g.weight(j))), B);
+    Ke = add(Ke, delta);
+  }
+  return Ke;
+};
+
+// Returns the cell matrix Me, or the cell vector, in the node frames
+// of u, T'*Me*T (T'*Me), see module:field.Field#setNodeFrames_.
+DeforSS.prototype._toNodeFrames = function(u, conn, Me) {
+  var T = u.gatherFrameMatrix(conn);
+  if (!T) return Me;
+  var Tt = transpose(T);
+  return check.array(Me[0]) ? dot(dot(Tt, Me), T) : dot(Tt, Me);
+};
+
 /**
  * Return a list of element matrices that can be assembled to global
- * stiffness matrix.
+ * stiffness matrix. The dofs of nodes with a local frame are in that
+ * frame.
  * @param {module:field.Field} geom - geometric field.
  * @param {module:field.Field} u - displacement field.
  * @returns {Array} array of {@link module:system.matrix.ElementMatrix }
  */
 DeforSS.prototype.stiffness = function(geom, u) {
-  var gcells = this._gcells;
-  var cellSize = gcells.cellSize();
-  var ir = this._ir;
+  var g = this.geometry(geom);
+  return this._gcells.conn().map(function(conn, i) {
+    var Ke = this._toNodeFrames(u, conn, this._cellStiffness(g, i));
+    return new ElementMatrix(Ke, u.gatherEqnumsVector(conn));
+  }, this);
+};
 
-  var pc = ir.paramCoords();
-  var w = ir.weights();
-  var npts = ir.npts();
+/**
+ * @typedef module:feblock.StiffnessOperatorOption
+ * @property {Boolean} store - keep the element matrices, packed, to
+ * apply them without recomputing. true by default. false recomputes
+ * them at every application, which needs the least memory: the
+ * integration point geometry is not kept either, see geometry().
+ */
 
-  var Ns = [], Nders = [];
-  var j;
-  for (j = 0; j < npts; ++j) {
-    Ns[j] = gcells.bfun(pc[j]);
-    Nders[j] = gcells.bfundpar(pc[j]);
-  }
+/**
+ * Return the stiffness as an operator that applies K*v cell by cell,
+ * without assembling the global matrix. Use it with the iterative
+ * solvers of module:system.iterativeSolve, with the 'jacobi' or no
+ * preconditioner.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:feblock.StiffnessOperatorOption} options - optional.
+ * @returns {module:system.matrix.ElementOperator}
+ */
+DeforSS.prototype.stiffnessOperator = function(geom, u, options) {
+  var store = !(isObject(options) && options.store === false);
+  var g = store ? this.geometry(geom) :
+        new IntegrationPointGeometry(this._gcells, this._ir, geom, { cache: false });
+  var conns = this._gcells.conn();
+  var neqns = u.neqns();
+  var self = this;
+
+  return new ElementOperator(neqns, neqns, {
+    count: conns.length,
+    eqnums: function(i) { return u.gatherEqnumsVector(conns[i]); },
+    matrix: function(i) { return self._toNodeFrames(u, conns[i], self._cellStiffness(g, i)); },
+    store: store,
+    symmetric: true
+  });
+};
 
-  var rmh = null;
-  if (isFunction(this._rm)) rmh = this._rm;
-  var rm = this._rm;
-  var mat = this._mater;
+/**
+ * @typedef module:feblock.MassOption
+ * @property {String} lumping - 'consistent', 'rowsum' or
+ * 'hrz'. Default is 'consistent'.
+ */
 
-  var conns = gcells.conn();
-  // labels??
-  var numCells = gcells.count();
-  var Ke = new Array(numCells);
-  var eqnums = new Array(numCells);
+/**
+ * Return a list of element matrices that can be assembled to global
+ * mass matrix. The density is taken from the material property.
+ *
+ * 'rowsum' puts the sum of each row on the diagonal, which may give
+ * negative masses for quadratic cells. 'hrz' (Hinton, Rock and
+ * Zienkiewicz) scales the diagonal of the consistent mass matrix to
+ * keep the mass of the cell, which is always positive.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:feblock.MassOption} options - optional.
+ * @returns {Array} array of {@link module:system.matrix.ElementMatrix }
+ */
+DeforSS.prototype.mass = function(geom, u, options) {
+  var lumping = (isObject(options) && options.lumping) || 'consistent';
+  if (lumping !== 'consistent' && lumping !== 'rowsum' && lumping !== 'hrz')
+    throw new Error('DeforSS::mass(): unknown lumping ' + lumping + '.');
 
-  var dim = geom.dim();
-  // console.log("dim = ", dim);
-  var i;
-  for (i = 0; i < numCells; ++i) {
-    eqnums[i] = u.gatherEqnumsVector(conns[i]);
-    Ke[i] = zeros(dim*cellSize, dim*cellSize);
-  }
+  var gcells = this._gcells;
+  var cellSize = gcells.cellSize();
+  var g = this.geometry(geom);
+  var npts = g.npts();
 
-  var allIds = array1d(geom.nfens(), function(i) { return i; });
-  var xs = geom.gatherValuesMatrix(allIds);
+  var rho = this._mater.property().rho();
+  var dim = u.dim();
+  var conns = gcells.conn();
+  var numCells = gcells.count();
 
-  var conn, x, c, J, Ndersp, Jac, B, D, delta;
+  var elementMatrices = new Array(numCells);
+  var i, j, a, b, k, conn, N, Jac, Ms, Me, total, diagTotal;
   for (i = 0; i < numCells; ++i) {
     conn = conns[i];
-    x = conn.map(function(i) { return xs[i]; });
 
+    // mass matrix of a scalar field.
+    Ms = zeros(cellSize, cellSize);
     for (j = 0; j < npts; ++j) {
-      c = dot(transpose(Ns[j]), x);
-      J = dot(transpose(x), Nders[j]);
-      // console.log("c = ", c);
-      // console.log("J = ", J);
-      if (rmh) rm = rmh(c, J);
-
-      if (rm) {
-        // TODO: figure out rm
-        // console.log("dot(transpose(rm), J)) = ", dot(transpose(rm), J));
-        // console.log("inv(dot(transpose(rm), J)) = ", inv(dot(transpose(rm), J)));
-        Ndersp = dot(Nders[j], inv(dot(transpose(rm), J)));
-      } else {
-        Ndersp = dot(Nders[j], inv(J));
-      }
-      // console.log("Ndersp = ", Ndersp);
-
-      Jac = gcells.jacobianVolumn(conn, Ns[j], J, x);
-      // console.log("Jac = ", Jac);
+      N = g.N(j);
+      Jac = g.jacobian(i, j);
       if (Jac < 0) throw new Error('Non-positive Jacobian');
+      Ms = add(Ms, mul(dot(N, transpose(N)), rho*Jac*g.weight(j)));
+    }
 
-      // TODO: _hBlmat
-      B = this.hBlmat(Ns[j], Ndersp, c, rm);
-      // console.log("B = ", B);
-      // size(B)
-      // console.log("size(B) = ", size(B));
-      D = mat.tangentModuli({ xyz: c });
-      // console.log("D = ", D);
-
-      // var jw = Jac*w[j];
-      // var mid = mul(D, Jac*w[j]);
-      // console.log("mid = ", mid);
-      // console.log("B = ", B);
-      // console.log("B' = ", transpose(B));
-      // console.log("dot(transpose(B), mid) = ", dot(transpose(B), mid));
-
-      // console.log("Jac = ", Jac);
-      // console.log("mul(D, Jac*w[j]) = ", mul(D, Jac*w[j]));
-      // console.log("dot(transpose(B), mul(D, Jac*w[j])) = ", dot(transpose(B), mul(D, Jac*w[j])));
-      delta = dot(dot(transpose(B), mul(D, Jac*w[j])), B);
+    if (lumping === 'rowsum') {
+      Ms = Ms.map(function(row, a) {
+        var sum = row.reduce(function(s, v) { return s + v; }, 0);
+        return row.map(function(v, b) { return a === b ? sum : 0; });
+      });
+    } else if (lumping === 'hrz') {
+      total = 0;
+      diagTotal = 0;
+      for (a = 0; a < cellSize; ++a) {
+        diagTotal += Ms[a][a];
+        for (b = 0; b < cellSize; ++b) total += Ms[a][b];
+      }
+      Ms = Ms.map(function(row, a) {
+        return row.map(function(v, b) {
+          return a === b ? v*total/diagTotal : 0;
+        });
+      });
+    }
 
-      // console.log("delta = ", delta);
-      // console.log("delta = ", delta);
+    Me = zeros(dim*cellSize, dim*cellSize);
+    for (a = 0; a < cellSize; ++a)
+      for (b = 0; b < cellSize; ++b)
+        for (k = 0; k < dim; ++k)
+          Me[dim*a+k][dim*b+k] = Ms[a][b];
 
-      // delta = dot(dot(transpose(B), mul(D, Jac*w[j])), B);
-      // console.log("Ke[j] = ", Ke[j]);
-      Ke[i] = add(Ke[i], delta);
-      // console.log("Ke[j] = ", Ke[j]);
-    }
+    elementMatrices[i] = new ElementMatrix(this._toNodeFrames(u, conn, Me),
+                                           u.gatherEqnumsVector(conn));
   }
 
-  var elementMatrices = Ke.map(function(mat, i) {
-    return new ElementMatrix(mat, eqnums[i]);
-  });
-
   return elementMatrices;
 };
 
-
-DeforSS.prototype.noneZeroEBCLoads = function(geom, u) {
+/**
+ * Compute the element load vectors -Ke*pu of the cells with nonzero
+ * prescribed values pu.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {ElementMatrix[]} kes - optional, element matrices returned
+ * by stiffness(geom, u), otherwise the stiffness of the constrained
+ * cells is computed. Mass or damping matrices give the inertia or
+ * damping loads of prescribed accelerations or velocities in u.
+ * @returns {ElementVector[]}
+ */
+DeforSS.prototype.noneZeroEBCLoads = function(geom, u, kes) {
   var gcells = this._gcells;
   var ncells = gcells.count();
   var conns = gcells.conn();
+  if (isAssigned(kes) && kes.length !== ncells)
+    throw new Error('DeforSS::noneZeroEBCLoads(): kes does not match the cells.');
 
   var evs = [];
-  var i, conn, pu, feb, ems, Ke, f, eqnums;
+  var i, conn, pu, Ke, f, eqnums;
   for (i = 0; i < ncells; ++i) {
     conn = conns[i];
     pu = u.gatherPrescirbedValues(conn);
     if (norm(pu) !== 0) {
-      // console.log("this._gcells.subset(i) = ", this._gcells.subset([i]));
-      feb = new DeforSS({
-        material: this._mater,
-        gcells: this._gcells.subset([i]),
-        integrationRule: this._ir,
-        rm: this._rm
-      });
-      // this._gcells = this._gcells.subset([i]);
-      // console.log("nzbc stiff = ");
-      ems = feb.stiffness(geom, u);
-      Ke = ems[0].matrix;
-
+      Ke = kes ? kes[i].matrix :
+        this._toNodeFrames(u, conn, this._cellStiffness(this.geometry(geom), i));
       f = mul(-1, dot(Ke, pu));
-      // console.log("f = ", f);
       eqnums = u.gatherEqnumsVector(conn);
       evs.push(new ElementVector(f, eqnums));
     }
@@ -392,27 +537,29 @@ DeforSS.prototype.noneZeroEBCLoads = function(geom, u) {
 };
 
 /**
- * Compute the element load vectors
+ * Compute the element load vectors. A follower fi, see
+ * module:forceintensity.Pressure, is integrated on the deformed
+ * geometry geom + u.
  * @param {module:field.Field} geom - geometric filed
  * @param {module:field.Field} u - displacement filed
  * @param {module:forceintensity.ForceIntensity} fi - force intensity
- * @param {Int} m - manifold dimension
+ * @param {Int} m - optional, manifold dimension, see
+ * module:gcellset.GCellSet#jacobianInDim. The loads are per unit
+ * volume by default.
  * @returns {ElementVector[]}
  */
 DeforSS.prototype.distributeLoads = function(geom, u, fi, m) {
-  var evs = [];
   var gcells = this._gcells;
   var cellSize = gcells.cellSize();
-  var ir = this._ir;
+  var g = isFunction(fi.follower) && fi.follower() ?
+        new IntegrationPointGeometry(gcells, this._ir, geom.add(u.toGlobal())) :
+        this.geometry(geom);
   var dim = u.dim();
-
-  var pc = ir.paramCoords();
-  var w = ir.weights();
-  var npts = ir.npts();
+  var npts = g.npts();
 
   var conns = gcells.conn();
-  var Fe = new Array(ncells), eqnums = new Array(ncells);
   var ncells = gcells.count();
+  var Fe = new Array(ncells), eqnums = new Array(ncells);
 
   var i;
   for (i = 0; i < ncells; ++i) {
@@ -420,52 +567,383 @@ DeforSS.prototype.distributeLoads = function(geom, u, fi, m) {
     Fe[i] = zeros(geom.dim()*cellSize, 1);
   }
 
-  var xs = geom.values(), j, N, Nder, conn, x;
-  var J, Jac, f, delta;
+  var j, N, J, Jac, f, delta;
   for (j = 0; j < npts; ++j) {
-    N = gcells.bfun(pc[j]);
-    Nder = gcells.bfundpar(pc[j]);
-    // console.log("Nder = ", Nder);
+    N = g.N(j);
     for (i = 0; i < ncells; ++i) {
-      conn = conns[i];
-      // console.log("conn = ", conn);
-      x = conn.map(function(i) { return xs[i]; });
-
-      // console.log("Nder = ", Nder);
-      // console.log("x = ", x);
-
-      J = gcells.jacobianMatrix(Nder, x);
-      // console.log("conn = ", conn);
-      // console.log("N = ", N);
-      // console.log("J = ", J);
-      // console.log("m = ", m);
-      Jac = gcells.jacobianInDim(conn, N, J, x, m);
-      // console.log("Jac = ", Jac);
-      f = fi.magn(dot(transpose(N), x), J);
-      // console.log("f = ", f);
-
-      // delta = transpose(N);
-      // console.log("delta = ", delta);
-      // delta = dot(f, delta);
-      // console.log("delta = ", delta);
-      // delta = reshape(delta, dim*cellSize, 1);
-      // console.log("delta = ", delta);
-      // console.log("Jac*w[j] = ", Jac*w[j]);
-      // delta = mul(delta, Jac*w[j]);
-      // console.log("delta = ", delta);
-
-      delta = mul(reshape(dot(f, transpose(N)), dim*cellSize, 1), Jac*w[j]);
-
+      J = g.J(i, j);
+      Jac = g.jacobian(i, j, m);
+      f = fi.magn(g.c(i, j), J);
+      delta = mul(reshape(dot(f, transpose(N)), dim*cellSize, 1), Jac*g.weight(j));
       Fe[i] = add(Fe[i], delta);
     }
   }
 
   var elementVectors = Fe.map(function(mat, i) {
-    var vec = transpose(mat)[0];
+    var vec = this._toNodeFrames(u, conns[i], transpose(mat)[0]);
     return new ElementVector(vec, eqnums[i]);
-  });
+  }, this);
 
   return elementVectors;
 };
 
+/**
+ * @typedef module:feblock.BodyLoadOption
+ * @property {module:types.Vector} gravity - optional, acceleration of
+ * gravity, e.g. [0, 0, -9.81].
+ * @property {module:types.Vector} acceleration - optional, linear
+ * acceleration of the body. The load is the inertia force -rho*a.
+ * @property {Number} omega - optional, angular velocity about the
+ * axis, for the centrifugal load rho*omega^2*r.
+ * @property {module:types.Vector} center - optional, a point of the
+ * axis, the origin by default.
+ * @property {module:types.Vector} axis - optional, direction of the
+ * axis, [0, 0, 1] in 3D. In 2D the axis is normal to the plane by
+ * default, and the axis of symmetry y for axisymmetric cells.
+ */
+
+/**
+ * Compute the element load vectors of the body loads, gravity,
+ * linear acceleration and centrifugal loads, integrated over the
+ * volume with the density of the material property.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:feblock.BodyLoadOption} options
+ * @returns {ElementVector[]}
+ */
+DeforSS.prototype.bodyLoads = function(geom, u, options) {
+  var dim = u.dim();
+  function isVector(v) {
+    return !isAssigned(v) || (isArray(v) && v.length === dim && v.every(isNumber));
+  }
+  if (!isObject(options) || !isVector(options.gravity) ||
+      !isVector(options.acceleration) || !isVector(options.center) ||
+      !isVector(options.axis) ||
+      (isAssigned(options.omega) && !isNumber(options.omega)))
+    throw new Error('DeforSS::bodyLoads(): options is not a valid BodyLoadOption.');
+
+  var rho = this._mater.property().rho();
+  var uniform = array1d(dim, function(k) {
+    return (options.gravity ? options.gravity[k] : 0) -
+      (options.acceleration ? options.acceleration[k] : 0);
+  });
+  var omega2 = options.omega ? options.omega * options.omega : 0;
+  var center = options.center || array1d(dim, 0);
+  var axis = options.axis ||
+        (dim === 3 ? [0, 0, 1] : (this._gcells.axisSymm() ? [0, 1] : null));
+  if (axis) axis = mul(axis, 1 / norm(axis));
+
+  var fi = new ForceIntensity({
+    magn: function(xyz) {
+      // r, the distance vector from the axis.
+      var r = xyz[0].map(function(x, k) { return x - center[k]; });
+      if (axis) r = add(r, mul(axis, -dot(r, axis)));
+      return uniform.map(function(b, k) { return [ rho * (b + omega2 * r[k]) ]; });
+    }
+  });
+  return this.distributeLoads(geom, u, fi);
+};
+
+// Checks that dT is a temperature field of geom.
+DeforSS.prototype._checkTemperature = function(geom, dT, caller) {
+  if (!isa(dT, Field) || dT.dim() !== 1 || dT.nfens() !== geom.nfens())
+    throw new Error('DeforSS::' + caller + '(): dT must be a Field of ' +
+                    'dimension 1 on the nodes of geom.');
+};
+
+// Returns the temperature change at point j of a cell, interpolated
+// from the temperature changes of its nodes Te.
+function pointTemperature(g, j, Te) {
+  return dot(transpose(g.N(j)), Te)[0][0];
+}
+
+/**
+ * Compute the element load vectors of a temperature change, the
+ * integrals of B'*D*eth, eth being the thermal strain of the material
+ * at the temperature change interpolated from the nodes. Pass the same
+ * dT to integrationPointStresses() and nodalStresses().
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:field.Field} dT - nodal temperature changes, a field
+ * of dimension 1.
+ * @returns {ElementVector[]}
+ */
+DeforSS.prototype.thermalLoads = function(geom, u, dT) {
+  this._checkTemperature(geom, dT, 'thermalLoads');
+  var g = this.geometry(geom);
+  var mat = this._mater;
+
+  return this._gcells.conn().map(function(conn, i) {
+    var Te = dT.gatherValuesMatrix(conn), Fe = null;
+    var j, c, grad, B, D, eth, delta;
+    for (j = 0; j < g.npts(); ++j) {
+      c = g.c(i, j);
+      grad = g.gradients(i, j, this._rm);
+      B = this.hBlmat(g.N(j), grad.Ndersp, c, grad.rm);
+      D = mat.tangentModuli({ xyz: c });
+      eth = mat.thermalStrain(pointTemperature(g, j, Te));
+      delta = mul(dot(transpose(B), dot(D, eth)), g.jacobian(i, j)*g.weight(j));
+      Fe = Fe ? add(Fe, delta) : delta;
+    }
+    return new ElementVector(this._toNodeFrames(u, conn, Fe), u.gatherEqnumsVector(conn));
+  }, this);
+};
+
+/**
+ * Return the lumped masses as a list of element vectors that can be
+ * assembled to the diagonal of the global mass matrix.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:feblock.MassOption} options - optional, lumping is
+ * 'rowsum' or 'hrz'. Default is 'hrz'.
+ * @returns {ElementVector[]}
+ */
+DeforSS.prototype.lumpedMass = function(geom, u, options) {
+  var lumping = (isObject(options) && options.lumping) || 'hrz';
+  if (lumping === 'consistent')
+    throw new Error('DeforSS::lumpedMass(): lumping must be rowsum or hrz.');
+
+  return this.mass(geom, u, { lumping: lumping }).map(function(em) {
+    var vec = em.matrix.map(function(row, i) { return row[i]; });
+    return new ElementVector(vec, em.eqnums);
+  });
+};
+
+/**
+ * Compute the element internal force vectors Ke*ue, where ue holds
+ * the values of u including the prescribed ones.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {ElementMatrix[]} kes - optional, element matrices returned
+ * by stiffness(geom, u). Pass them to avoid recomputing the stiffness
+ * of a linear material.
+ * @returns {ElementVector[]}
+ */
+DeforSS.prototype.internalForces = function(geom, u, kes) {
+  if (!isAssigned(kes)) kes = this.stiffness(geom, u);
+  var conns = this._gcells.conn();
+  if (kes.length !== conns.length)
+    throw new Error('DeforSS::internalForces(): kes does not match the cells.');
+
+  return conns.map(function(conn, i) {
+    var ue = [];
+    u.gatherValuesMatrix(conn).forEach(function(val) {
+      ue.push.apply(ue, val);
+    });
+    return new ElementVector(dot(kes[i].matrix, ue), kes[i].eqnums);
+  });
+};
+
+/**
+ * Compute the reaction forces at the prescribed degrees of freedom
+ * from the element stiffnesses and the solved displacement
+ * field. The external element loads of the cells are subtracted, so
+ * the reactions balance the loads. Nodal loads applied at prescribed
+ * degrees of freedom are not subtracted.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - solved displacement field.
+ * @param {ElementMatrix[]} kes - optional, element matrices returned
+ * by stiffness(geom, u).
+ * @param {ElementVector[]} loads - optional, external element loads
+ * of the cells of this block, e.g. returned by bodyLoads() or
+ * distributeLoads(), or an array of such arrays.
+ * @param {module:field.Field} dT - optional, nodal temperature
+ * changes, whose thermal loads are subtracted, see thermalLoads().
+ * @returns {module:field.Field} reactions, zero at the free degrees
+ * of freedom.
+ */
+DeforSS.prototype.reactions = function(geom, u, kes, loads, dT) {
+  var conns = this._gcells.conn();
+  var ncells = conns.length;
+  var dim = u.dim();
+  var values = array2d(u.nfens(), dim, 0);
+
+  var lists = [];
+  if (isArray(loads) && loads.length > 0)
+    lists = isArray(loads[0]) ? loads.slice() : [ loads ];
+  if (isAssigned(dT)) lists.push(this.thermalLoads(geom, u, dT));
+  lists.forEach(function(evs) {
+    if (evs.length !== ncells)
+      throw new Error('DeforSS::reactions(): loads do not match the cells.');
+  });
+
+  this.internalForces(geom, u, kes).forEach(function(ev, i) {
+    var vec = lists.reduce(function(v, evs) {
+      return sub(v, evs[i].vector);
+    }, ev.vector);
+    conns[i].forEach(function(idx, a) {
+      var k;
+      for (k = 0; k < dim; ++k)
+        if (u.isPrescribed(idx, k)) values[idx][k] += vec[dim*a+k];
+    });
+  });
+
+  return new Field({ values: values });
+};
+
+/**
+ * Estimate the critical time step of explicit time integration with
+ * lumped mass, min(2/wmax) over the cells. wmax^2 is the largest
+ * eigenvalue of the cell, Ke*x = w^2*Me*x with the lumped Me, which
+ * bounds the largest eigenvalue of the assembled model.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:feblock.MassOption} options - optional, lumping is
+ * 'rowsum' or 'hrz'. Default is 'hrz'.
+ * @returns {Number}
+ */
+DeforSS.prototype.stableTimeStep = function(geom, options) {
+  var g = this.geometry(geom);
+  var u = new Field({ dim: geom.dim(), nfens: geom.nfens() });
+  var dtmin = Infinity;
+
+  this.lumpedMass(geom, u, options).forEach(function(ev, i) {
+    var s = ev.vector.map(function(m) {
+      if (!(m > 0))
+        throw new Error('DeforSS::stableTimeStep(): lumped mass is not positive.');
+      return 1 / Math.sqrt(m);
+    });
+    var Ke = this._cellStiffness(g, i);
+    var A = Ke.map(function(row, a) {
+      return row.map(function(k, b) { return s[a] * k * s[b]; });
+    });
+    var values = jacobiEig(A).values;
+    var w2 = values[values.length - 1];
+    if (w2 > 0) dtmin = Math.min(dtmin, 2 / Math.sqrt(w2));
+  }, this);
+
+  return dtmin;
+};
+
+
+/**
+ * @typedef module:feblock.IntegrationPointStress
+ * @property {Array} xyz - location of the integration point.
+ * @property {Array} strain - strain vector, B*ue.
+ * @property {Array} stress - stress vector, D*(B*ue - eth), eth being
+ * the thermal strain.
+ * @property {module:types.Matrix} tensor - 3 by 3 stress tensor.
+ * @property {Number} vonMises - von Mises stress.
+ * @property {Array} principal - principal stresses, descending.
+ * @property {Number} pressure - -trace(tensor)/3.
+ */
+
+/**
+ * Compute the strains and stresses at the integration points of every
+ * cell. The components follow the rows of the B matrix and are in the
+ * frame given by rm.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:field.Field} dT - optional, nodal temperature
+ * changes, see thermalLoads().
+ * @returns {Array} for every cell an array of {@link
+ * module:feblock.IntegrationPointStress}, one per integration point.
+ */
+DeforSS.prototype.integrationPointStresses = function(geom, u, dT) {
+  var g = this.geometry(geom);
+  var mat = this._mater;
+  if (isAssigned(dT)) this._checkTemperature(geom, dT, 'integrationPointStresses');
+
+  return this._gcells.conn().map(function(conn, i) {
+    var ue = [], j, res = [], T = u.gatherFrameMatrix(conn);
+    u.gatherValuesMatrix(conn).forEach(function(val) {
+      ue.push.apply(ue, val);
+    });
+    if (T) ue = dot(T, ue);
+    var Te = isAssigned(dT) ? dT.gatherValuesMatrix(conn) : null;
+
+    var c, grad, B, D, strain, stress, tensor, t;
+    for (j = 0; j < g.npts(); ++j) {
+      c = g.c(i, j);
+      grad = g.gradients(i, j, this._rm);
+      B = this.hBlmat(g.N(j), grad.Ndersp, c, grad.rm);
+      D = mat.tangentModuli({ xyz: c });
+      strain = dot(B, ue);
+      t = Te ? pointTemperature(g, j, Te) : 0;
+      stress = dot(D, Te ? sub(strain, mat.thermalStrain(t)) : strain);
+      tensor = mat.stressTensor(stress, t);
+
+      res.push({
+        xyz: c[0],
+        strain: strain,
+        stress: stress,
+        tensor: tensor,
+        vonMises: vonMises(tensor),
+        principal: principalStresses(tensor),
+        pressure: pressure(tensor)
+      });
+    }
+    return res;
+  }, this);
+};
+
+/**
+ * @typedef module:feblock.NodalStresses
+ * @property {module:field.Field} stress - stress vectors.
+ * @property {module:field.Field} vonMises - von Mises stress.
+ * @property {module:field.Field} principal - principal stresses,
+ * descending.
+ * @property {module:field.Field} pressure - -trace/3.
+ */
+
+/**
+ * Compute the stresses at the nodes. The integration point stresses
+ * are extrapolated to the nodes of each cell by least squares, or
+ * averaged if the rule has fewer points than the cell has nodes, and
+ * then averaged over the cells sharing a node. Nodes outside of the
+ * block get zeros.
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:field.Field} dT - optional, nodal temperature
+ * changes, see thermalLoads().
+ * @returns {module:feblock.NodalStresses}
+ */
+DeforSS.prototype.nodalStresses = function(geom, u, dT) {
+  var gcells = this._gcells;
+  var cellSize = gcells.cellSize();
+  var g = this.geometry(geom);
+  var npts = g.npts();
+  var mat = this._mater;
+
+  // P[q][a] is the value of basis function a at point q.
+  var P = array1d(npts, function(q) {
+    return transpose(g.N(q))[0];
+  });
+  var E = null;
+  if (npts >= cellSize) {
+    E = dot(inv(dot(transpose(P), P)), transpose(P));
+    if (!E.every(function(row) { return row.every(isFinite); })) E = null;
+  }
+  if (!E) E = array2d(cellSize, npts, 1/npts);
+
+  var ips = this.integrationPointStresses(geom, u, dT);
+  var nfens = geom.nfens();
+  var ncomps = ips[0][0].stress.length;
+  var sums = array2d(nfens, ncomps, 0);
+  var counts = array1d(nfens, 0);
+
+  gcells.conn().forEach(function(conn, i) {
+    var S = ips[i].map(function(ip) { return ip.stress; });
+    var nodal = dot(E, S);
+    conn.forEach(function(idx, a) {
+      var k;
+      for (k = 0; k < ncomps; ++k) sums[idx][k] += nodal[a][k];
+      counts[idx] += 1;
+    });
+  });
+
+  var stresses = sums.map(function(row, i) {
+    return row.map(function(v) { return counts[i] > 0 ? v / counts[i] : 0; });
+  });
+  var tensors = stresses.map(function(stress, i) {
+    return mat.stressTensor(stress, isAssigned(dT) && counts[i] > 0 ? dT.at(i)[0] : 0);
+  });
+
+  return {
+    stress: new Field({ values: stresses }),
+    vonMises: new Field({ values: tensors.map(function(S) { return [vonMises(S)]; }) }),
+    principal: new Field({ values: tensors.map(principalStresses) }),
+    pressure: new Field({ values: tensors.map(function(S) { return [pressure(S)]; }) })
+  };
+};
+
 exports.DeforSS = DeforSS;
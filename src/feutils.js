@@ -91,3 +91,39 @@ function skewmat(theta) {
 }
 
 exports.skewmat = skewmat;
+
+/**
+ * Returns the von Mises equivalent stress of a 3 by 3 stress tensor.
+ * @param {module:types.Matrix} S - stress tensor.
+ * @returns {Number}
+ */
+function vonMises(S) {
+  var d01 = S[0][0] - S[1][1], d12 = S[1][1] - S[2][2], d20 = S[2][2] - S[0][0];
+  var shear = S[0][1]*S[0][1] + S[1][2]*S[1][2] + S[0][2]*S[0][2];
+  return Math.sqrt(0.5*(d01*d01 + d12*d12 + d20*d20) + 3*shear);
+}
+
+exports.vonMises = vonMises;
+
+/**
+ * Returns the principal stresses of a 3 by 3 stress tensor, in
+ * descending order.
+ * @param {module:types.Matrix} S - stress tensor.
+ * @returns {Array}
+ */
+function principalStresses(S) {
+  return numeric.jacobiEig(S).values.slice().reverse();
+}
+
+exports.principalStresses = principalStresses;
+
+/**
+ * Returns the pressure, -trace(S)/3, of a 3 by 3 stress tensor.
+ * @param {module:types.Matrix} S - stress tensor.
+ * @returns {Number}
+ */
+function pressure(S) {
+  return -(S[0][0] + S[1][1] + S[2][2]) / 3;
+}
+
+exports.pressure = pressure;
@@ -70,6 +70,8 @@ exports.Field = function Field(options) {
   this._prescribedValues = null;
   this._eqnums = null;
   this._neqns = -1;
+  this._eqnumOrder = null;
+  this._frames = null;
 
   if (check.assigned(options.values)) {
     this._values = new PointSet(options.values);
@@ -123,6 +125,15 @@ exports.Field.prototype.dim = function() {
   return this._values.getRn();
 };
 
+/**
+ * Returns a counter which changes whenever the values are modified in
+ * place, e.g. by scatterSystemVector_().
+ * @returns {Int}
+ */
+exports.Field.prototype.version = function() {
+  return this._values.getVersion();
+};
+
 /**
  * Returns the values as 2d js array.
  * @returns {Array}
@@ -161,8 +172,10 @@ exports.Field.prototype.clone = function() {
   var newField = new Field({ pointset: newPointset });
   newField._neqns = this._neqns;
   newField._eqnums = cloneDeep(this._eqnums);
+  newField._eqnumOrder = cloneDeep(this._eqnumOrder);
   newField._prescribed = cloneDeep(this._prescribed);
   newField._prescribedValues = cloneDeep(this._prescribedValues);
+  newField._frames = cloneDeep(this._frames);
   return newField;
 };
 
@@ -283,6 +296,22 @@ exports.Field.prototype.pointset = function() {
   return this._values;
 };
 
+/**
+ * Returns the sum of the values over the given nodes, e.g. the total
+ * reaction force over a support.
+ * @param {Array} ids - optional node indices, all nodes by default.
+ * @returns {Array} - js array of length this.dim().
+ */
+exports.Field.prototype.sum = function(ids) {
+  var dim = this.dim(), res = array1d(dim, 0);
+  if (!ids) ids = array1d(this.nfens(), function(i) { return i; });
+  ids.forEach(function(idx) {
+    var val = this._values.get(idx), j;
+    for (j = 0; j < dim; ++j) res[j] += val[j];
+  }, this);
+  return res;
+};
+
 /**
  * Returns whether node at given direction is prescribed.
  * @param {Number} index - integer index of the node, 0-based.
@@ -329,9 +358,10 @@ exports.Field.INVALID_EQUATION_NUM = -1;
 exports.Field.prototype._numberEqnums_ = function() {
   var eqnums = array2d(this.nfens(), this.dim(), exports.Field.INVALID_EQUATION_NUM);
 
-  var count = 0, nfens = this.nfens(), dim = this.dim();
-  var i, j;
-  for (i = 0; i < nfens; ++i) {
+  var count = 0, nfens = this.nfens(), dim = this.dim(), order = this._eqnumOrder;
+  var i, j, k;
+  for (k = 0; k < nfens; ++k) {
+    i = order ? order[k] : k;
     for (j = 0; j < dim; ++j) {
       if (!this.isPrescribed(i, j)) {
         eqnums[i][j] = count++;
@@ -342,6 +372,167 @@ exports.Field.prototype._numberEqnums_ = function() {
   this._neqns = count;
 };
 
+/**
+ * Numbers the equations visiting the nodes in the given order, e.g.
+ * the order of module:renumber.renumber, instead of the node
+ * order. Equations of a node stay consecutive. System matrices and
+ * vectors assembled before must be assembled again.
+ * @param {Array} order - a permutation of the node indices, or null
+ * to restore the node order.
+ * @returns {Field} this.
+ */
+exports.Field.prototype.setEqnumOrder_ = function(order) {
+  var nfens = this.nfens();
+  if (order !== null) {
+    var seen = array1d(nfens, false);
+    if (!check.array(order) || order.length !== nfens ||
+        !order.every(function(i) {
+          if (!check.integer(i) || i < 0 || i >= nfens || seen[i]) return false;
+          return (seen[i] = true);
+        }))
+      throw new Error('Field::setEqnumOrder_(): order is not a permutation of ' +
+                      'the node indices.');
+    order = order.slice();
+  }
+  this._eqnumOrder = order;
+  this._numberEqnums_();
+  return this;
+};
+
+function isFrame(R, dim) {
+  if (!check.array(R) || R.length !== dim) return false;
+  var i, j, k, dotij;
+  for (i = 0; i < dim; ++i)
+    if (!check.array(R[i]) || R[i].length !== dim || !R[i].every(check.number)) return false;
+  for (i = 0; i < dim; ++i) {
+    for (j = 0; j < dim; ++j) {
+      for (dotij = 0, k = 0; k < dim; ++k) dotij += R[k][i] * R[k][j];
+      if (Math.abs(dotij - (i === j ? 1 : 0)) > 1e-8) return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Sets the local frame of the given nodes, e.g. to support a node on
+ * an incline or to constrain the radial displacement on a
+ * cylinder. The columns of a frame are the local axes in the global
+ * frame. The values, the prescribed values and the equations of these
+ * nodes are then in the local directions: an EBC with dir 1 prescribes
+ * the displacement along the second local axis and a NodalLoad with
+ * dir 1 acts along it. The values already set are taken as local.
+ * @param {Number|Array} ids - node indices.
+ * @param {Matrix|Function|null} frame - a dim by dim orthonormal
+ * matrix, a function xyz => matrix evaluated at the nodes of geom, or
+ * null to restore the global frame.
+ * @param {Field} geom - geometric field, required if frame is a
+ * function.
+ * @returns {Field} this.
+ */
+exports.Field.prototype.setNodeFrames_ = function(ids, frame, geom) {
+  var nfens = this.nfens(), dim = this.dim();
+  if (check.integer(ids)) ids = [ ids ];
+  if (!check.array(ids) || !ids.every(function(i) {
+    return check.integer(i) && i >= 0 && i < nfens;
+  }))
+    throw new Error('Field::setNodeFrames_(): ids are not valid node indices.');
+  if (check.function(frame) && !check.instance(geom, Field))
+    throw new Error('Field::setNodeFrames_(): geom is required by a frame function.');
+
+  if (!this._frames) this._frames = array1d(nfens, null);
+  ids.forEach(function(i) {
+    var R = check.function(frame) ? frame(geom.at(i)) : frame;
+    if (R !== null && !isFrame(R, dim))
+      throw new Error('Field::setNodeFrames_(): frame of node ' + i + ' is not a ' +
+                      dim + ' by ' + dim + ' orthonormal matrix.');
+    this._frames[i] = R && cloneDeep(R);
+  }, this);
+  if (this._frames.every(function(R) { return R === null; })) this._frames = null;
+  return this;
+};
+
+/**
+ * Returns the local frame of the node, null if the node is in the
+ * global frame.
+ * @param {Number} index - integer index of the node, 0-based.
+ * @returns {Matrix|null}
+ */
+exports.Field.prototype.nodeFrame = function(index) {
+  return this._frames && this._frames[index] ? cloneDeep(this._frames[index]) : null;
+};
+
+/**
+ * Returns true if some nodes have a local frame.
+ * @returns {Boolean}
+ */
+exports.Field.prototype.hasNodeFrames = function() {
+  return this._frames !== null;
+};
+
+/**
+ * Returns the block diagonal matrix T of the frames of the nodes of
+ * conn, global = T * local for the dofs of the cell. Returns null if
+ * the nodes are all in the global frame.
+ * @param {Array} conn - connectiviy vector.
+ * @returns {Matrix|null} - this.dim()*conn.length square matrix.
+ */
+exports.Field.prototype.gatherFrameMatrix = function(conn) {
+  var frames = this._frames;
+  if (!frames || !conn.some(function(idx) { return frames[idx]; })) return null;
+
+  var dim = this.dim(), n = dim * conn.length;
+  var T = array2d(n, n, 0);
+  conn.forEach(function(idx, a) {
+    var R = frames[idx], i, j;
+    for (i = 0; i < dim; ++i)
+      for (j = 0; j < dim; ++j)
+        T[dim*a+i][dim*a+j] = R ? R[i][j] : (i === j ? 1 : 0);
+  });
+  return T;
+};
+
+function rotate(R, vec, transposed) {
+  return vec.map(function(x, i) {
+    return vec.reduce(function(sum, v, j) {
+      return sum + (transposed ? R[j][i] : R[i][j]) * v;
+    }, 0);
+  });
+}
+
+/**
+ * Returns a new field of the values in the global frame. No boundary
+ * conditions are preserved.
+ * @returns {Field}
+ */
+exports.Field.prototype.toGlobal = function() {
+  var frames = this._frames;
+  return this.map(function(vec, i) {
+    return frames && frames[i] ? rotate(frames[i], vec, false) : vec.slice();
+  });
+};
+
+/**
+ * Returns a copy of this field, with its boundary conditions and
+ * frames, holding the values of other converted to the local frames
+ * of the nodes, the inverse of toGlobal().
+ * @param {Field} other - a field of same nfens and dim, in the global
+ * frame.
+ * @returns {Field}
+ */
+exports.Field.prototype.fromGlobal = function(other) {
+  if (!check.instance(other, Field) || other.nfens() !== this.nfens() ||
+      other.dim() !== this.dim())
+    throw new Error('Field::fromGlobal(): other is not a field of same nfens and dim.');
+
+  var res = this.clone(), frames = this._frames, i, dim = this.dim(), vec, j;
+  for (i = 0; i < this.nfens(); ++i) {
+    vec = other.at(i);
+    if (frames && frames[i]) vec = rotate(frames[i], vec, true);
+    for (j = 0; j < dim; ++j) res._values.setAtDir_(i, j, vec[j]);
+  }
+  return res;
+};
+
 /**
  * Returns the eqnum number at node with given direction.
  * @param {Number} index - integer index of the node, 0-based.
@@ -404,6 +595,38 @@ exports.Field.prototype.gatherPrescirbedValues = function(conn) {
   return vec;
 };
 
+/**
+ * Returns values of the free degrees of freedom, the inverse of
+ * scatterSystemVector_().
+ * @param {Field} other - optional, a field of same nfens and dim
+ * whose values are gathered instead, e.g. a velocity field without
+ * boundary conditions.
+ * @returns {Array} - js array of length this.neqns().
+ */
+exports.Field.prototype.gatherSystemVector = function(other) {
+  if (!this._eqnums) this._numberEqnums_();
+
+  var source = other || this;
+  var nfens = this.nfens();
+  var dim = this.dim();
+  if (source.nfens() !== nfens || source.dim() !== dim)
+    throw new Error('Field::gatherSystemVector(): other is not of same nfens and dim.');
+
+  var vec = array1d(this.neqns(), 0);
+  var eqnums = this._eqnums;
+  var i, j, en, val;
+
+  for (i = 0; i < nfens; ++i) {
+    val = source._values.get(i);
+    for (j = 0; j < dim; ++j) {
+      en = eqnums[i][j];
+      if (en !== exports.Field.INVALID_EQUATION_NUM)
+        vec[en] = val[j];
+    }
+  }
+  return vec;
+};
+
 /**
  * Scatter values to field. Returns updated field.
  * @param {Array} vec - js array of length this.neqns();
@@ -5,9 +5,12 @@ var isObject = check.object;
 var isArray = check.array;
 var isAssigned = check.assigned;
 var isFunction = check.function;
+var isNumber = check.number;
 
 var numeric = require('./core.numeric');
 var transpose = numeric.transpose;
+var mul = numeric.mul;
+var norm = numeric.norm;
 
 /**
  * @module forceintensity
@@ -17,6 +20,9 @@ var transpose = numeric.transpose;
  * @typedef module:forceintensity.ForceIntensityInitOption
  * @property {module:types.Vector|Function} magn - 1) a vector of
  * values; 2) function: (xyz) => val 3) function: (xyz, J) => val
+ * @property {Function} amplitude - optional, function: (t) => scale.
+ * The magnitude is scaled by amplitude(t), see
+ * module:forceintensity.ForceIntensity#atTime.
  */
 
 /**
@@ -29,7 +35,9 @@ exports.ForceIntensity = function ForceIntensity(options) {
     throw new Error('ForceIntensity#constructor(options): ' +
                     'option is not a valid ForceIntensityInitOption.');
 
+  this._value = null;
   if (isArray(options.magn)) {
+    this._value = options.magn.slice();
     this._magn = function() {
       return transpose([options.magn]);
     };
@@ -40,6 +48,11 @@ exports.ForceIntensity = function ForceIntensity(options) {
                     'options.magn is not array or function.');
   }
 
+  if (isAssigned(options.amplitude) && !isFunction(options.amplitude))
+    throw new Error('ForceIntensity#constructor(options): ' +
+                    'options.amplitude is not a function.');
+  this._amplitude = options.amplitude || null;
+  this._time = 0;
 };
 var ForceIntensity = exports.ForceIntensity;
 
@@ -50,5 +63,113 @@ var ForceIntensity = exports.ForceIntensity;
  * @returns {module:type.Matrix} dim by 1 matrix.
  */
 exports.ForceIntensity.prototype.magn = function(xyz, J) {
-  return this._magn(xyz, J);
+  var val = this._magn(xyz, J);
+  if (this._amplitude) val = mul(val, this._amplitude(this._time));
+  return val;
+};
+
+/**
+ * Returns the constant magnitude vector scaled by the amplitude, or
+ * null if the magnitude is a function.
+ * @returns {module:types.Vector|null}
+ */
+exports.ForceIntensity.prototype.constantMagn = function() {
+  if (!this._value) return null;
+  var scale = this._amplitude ? this._amplitude(this._time) : 1;
+  return this._value.map(function(v) { return v * scale; });
+};
+
+/**
+ * Returns the time at which the magnitude is evaluated.
+ * @returns {Number}
+ */
+exports.ForceIntensity.prototype.time = function() {
+  return this._time;
+};
+
+/**
+ * Returns a copy of the force intensity evaluated at time t. Pass the
+ * copy to module:feblock.DeforSS#distributeLoads to get the loads at
+ * time t.
+ * @param {Number} t - time.
+ * @returns {module:forceintensity.ForceIntensity}
+ */
+exports.ForceIntensity.prototype.atTime = function(t) {
+  var fi = Object.create(Object.getPrototypeOf(this));
+  Object.keys(this).forEach(function(key) { fi[key] = this[key]; }, this);
+  fi._time = t;
+  return fi;
+};
+
+/**
+ * @typedef module:forceintensity.PressureInitOption
+ * @property {Number|Function} magn - 1) pressure value; 2) function:
+ * (xyz) => pressure, xyz being the 1 by dim location.
+ * @property {Function} amplitude - optional, function: (t) => scale,
+ * see module:forceintensity.ForceIntensity#atTime.
+ * @property {Boolean} follower - optional, false by default. A
+ * follower pressure is integrated on the deformed boundary, geom + u,
+ * so that it stays normal to the surface as it deforms.
+ */
+
+// Returns the unit outward normal of a boundary cell from its
+// Jacobian matrix J, dim by dim-1. The cells of
+// module:gcellset.GCellSet#boundary keep the orientation of the cells
+// they bound, so that the tangents turn counterclockwise about n.
+function outwardNormal(J) {
+  var n;
+  if (J.length === 2 && J[0].length === 1) {
+    n = [ J[1][0], -J[0][0] ];
+  } else if (J.length === 3 && J[0].length === 2) {
+    n = [
+      J[1][0]*J[2][1] - J[2][0]*J[1][1],
+      J[2][0]*J[0][1] - J[0][0]*J[2][1],
+      J[0][0]*J[1][1] - J[1][0]*J[0][1]
+    ];
+  } else {
+    throw new Error('Pressure#magn(): J must be the Jacobian matrix of ' +
+                    'an edge in 2D or of a face in 3D.');
+  }
+  var len = norm(n);
+  return n.map(function(x) { return x / len; });
+}
+
+/**
+ * Pressure on boundary cells, L2 edges in 2D and Q4 faces in 3D, e.g.
+ * from module:gcellset.GCellSet#boundary. The force intensity is
+ * -p*n, n being the outward normal computed from the Jacobian matrix,
+ * so a positive pressure pushes into the body. Distribute it with
+ * module:feblock.DeforSS#distributeLoads on a block of the boundary
+ * cells.
+ * @class
+ * @extends module:forceintensity.ForceIntensity
+ * @param {module:forceintensity.PressureInitOption} options
+ */
+exports.Pressure = function Pressure(options) {
+  if (!isObject(options) ||
+      !(isNumber(options.magn) || isFunction(options.magn)))
+    throw new Error('Pressure#constructor(options): ' +
+                    'options.magn is not a number or function.');
+
+  var p = options.magn;
+  ForceIntensity.call(this, {
+    magn: function(xyz, J) {
+      var val = isFunction(p) ? p(xyz) : p;
+      return transpose([ outwardNormal(J).map(function(x) { return -val * x; }) ]);
+    },
+    amplitude: options.amplitude
+  });
+  this._follower = !!options.follower;
+};
+var Pressure = exports.Pressure;
+
+Pressure.prototype = Object.create(ForceIntensity.prototype);
+Pressure.prototype.constructor = Pressure;
+
+/**
+ * Returns true if the pressure follows the deformation.
+ * @returns {Boolean}
+ */
+exports.Pressure.prototype.follower = function() {
+  return this._follower;
 };
@@ -33,6 +33,9 @@ var isXyzInsideBox = feutils.isXyzInsideBox;
 var topology = require('./geometry.topology');
 var Topology = topology.Topology;
 var hypercube = topology.hypercube;
+var simplex = topology.simplex;
+var hypercubeHO = topology.hypercubeHO;
+var simplexHO = topology.simplexHO;
 var hypercubeBoundary = topology.hypercubeBoundary;
 
 var fens = require('./fens');
@@ -207,13 +210,17 @@ exports.GCellSet.prototype.boundaryConn = function() {
 };
 
 /**
- * Return the boundary of this gcellset.
+ * Return the boundary of this gcellset. The boundary inherits
+ * axisSymm, so that loads on it are weighted by the circumference
+ * like the cells it bounds.
  * @returns {module:gcellset.GCellSet} the boundary gcellset.
  */
 exports.GCellSet.prototype.boundary = function() {
   var C = this.boundaryGCellSetConstructor();
   var conn = this.boundaryConn();
-  return new C({ conn: conn });
+  var bdry = new C({ conn: conn, axisSymm: this._axisSymm });
+  bdry.setFamily_(this._topology.getFamilyType());
+  return bdry;
 };
 
 
@@ -459,6 +466,28 @@ exports.GCellSet.prototype.subset = function(indices) {
   });
 };
 
+/**
+ * Returns a new GCellSet of same type with the nodes renumbered.
+ * @param {Array} position - old to new node indices, position[i] is
+ * the new index of node i.
+ * @returns {module:gcellset.GCellSet}
+ */
+exports.GCellSet.prototype.renumberNodes = function(position) {
+  var conn = this.conn().map(function(cell) {
+    return cell.map(function(i) {
+      if (!isAssigned(position[i]))
+        throw new Error('GCellSet::renumberNodes(): node ' + i + ' has no new index.');
+      return position[i];
+    });
+  });
+  var C = this.constructor;
+  return new C({
+    conn: conn,
+    axisSymm: this._axisSymm,
+    otherDimension: this._otherDimension
+  });
+};
+
 /**
  * Returns a clone of self.
  * @returns {module:gcellset.GCellSet}
@@ -1254,3 +1283,688 @@ exports.H8.prototype.bfundpar = function(paramCoords) {
   val = mul(transpose(val), 0.125);
   return val;
 };
+
+/**
+ * Three-node triangle geometric cell set.
+ * @class
+ * @extends module:gcellset.GCellSetManifold2
+ * @param {module:types.T3InitOption} options
+ */
+exports.T3 = function T3(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('T3#constructor(options): options is not a valid' +
+                    ' T3InitOption');
+
+  if (options.conn) options.topology = simplex(options.conn, 2);
+  GCellSetManifold2.call(this, options);
+};
+
+var T3 = exports.T3;
+T3.prototype = Object.create(GCellSetManifold2.prototype);
+T3.prototype.constructor = T3;
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.T3.prototype.cellSize = function() { return 3; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.T3.prototype.type = function() { return 'T3'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.T3.prototype.boundaryGCellSetConstructor = function() { return L2; };
+
+/**
+ * Basis function evaluate to a 3 by 1 matrix. The parametric domain
+ * is the triangle (0, 0), (1, 0), (0, 1).
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.T3.prototype.bfun = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1];
+  var val = [
+    [ 1 - xi - eta ],
+    [ xi ],
+    [ eta ]
+  ];
+  return val;
+};
+
+/**
+ * Basis function derivatives evaluate to a 3 by 2 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.T3.prototype.bfundpar = function(paramCoords) {
+  var val = [
+    [ -1, -1 ],
+    [ 1, 0 ],
+    [ 0, 1 ]
+  ];
+  return val;
+};
+
+/**
+ * Four-node tetrahedron geometric cell set.
+ * @class
+ * @extends module:gcellset.GCellSetManifold3
+ * @param {module:types.T4InitOption} options
+ */
+exports.T4 = function T4(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('T4#constructor(options): options is not a valid' +
+                    ' T4InitOption');
+
+  if (options.conn) options.topology = simplex(options.conn, 3);
+  GCellSetManifold3.call(this, options);
+};
+
+var T4 = exports.T4;
+T4.prototype = Object.create(GCellSetManifold3.prototype);
+T4.prototype.constructor = T4;
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.T4.prototype.cellSize = function() { return 4; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.T4.prototype.type = function() { return 'T4'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.T4.prototype.boundaryGCellSetConstructor = function() { return T3; };
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.T4.prototype.triangles = function() {
+  var tets = this._topology.getCellsInDim(3);
+  var triangles = [];
+
+  tets.forEach(function(tet) {
+    var t1 = [tet[0], tet[2], tet[1]];
+    var t2 = [tet[0], tet[1], tet[3]];
+    var t3 = [tet[1], tet[2], tet[3]];
+    var t4 = [tet[0], tet[3], tet[2]];
+    triangles.push(t1, t2, t3, t4);
+  });
+
+  return triangles;
+};
+
+/**
+ * Basis function evaluate to a 4 by 1 matrix. The parametric domain
+ * is the tetrahedron (0, 0, 0), (1, 0, 0), (0, 1, 0), (0, 0, 1).
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.T4.prototype.bfun = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1], theta = paramCoords[2];
+  var val = [
+    [ 1 - xi - eta - theta ],
+    [ xi ],
+    [ eta ],
+    [ theta ]
+  ];
+  return val;
+};
+
+/**
+ * Basis function derivatives evaluate to a 4 by 3 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.T4.prototype.bfundpar = function(paramCoords) {
+  var val = [
+    [ -1, -1, -1 ],
+    [ 1, 0, 0 ],
+    [ 0, 1, 0 ],
+    [ 0, 0, 1 ]
+  ];
+  return val;
+};
+
+// Split quadratic lines into straight segments for visualization.
+function splitL3Edges(l3s) {
+  var edges = [];
+  l3s.forEach(function(l3) {
+    edges.push([l3[0], l3[2]], [l3[2], l3[1]]);
+  });
+  return edges;
+}
+
+// Split 8-node quads into triangles for visualization.
+function splitQ8Triangles(q8s) {
+  var triangles = [];
+  q8s.forEach(function(q) {
+    triangles.push(
+      [q[0], q[4], q[7]],
+      [q[4], q[1], q[5]],
+      [q[5], q[2], q[6]],
+      [q[6], q[3], q[7]],
+      [q[4], q[5], q[6]],
+      [q[6], q[7], q[4]]
+    );
+  });
+  return triangles;
+}
+
+/**
+ * Three-node quadratic curve geometric cell set. Node 0 and 1 are the
+ * end points, node 2 is in the middle.
+ * @class
+ * @extends module:gcellset.GCellSetManifold1
+ * @param {module:gcellset.L3InitOption} options
+ */
+exports.L3 = function L3(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('L3#constructor(options): options is not a valid' +
+                    ' L3InitOption');
+
+  if (options.conn) options.topology = hypercubeHO(options.conn, 1);
+
+  GCellSetManifold1.call(this, options);
+};
+var L3 = exports.L3;
+
+L3.prototype = Object.create(GCellSetManifold1.prototype);
+L3.prototype.constructor = L3;
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.L3.prototype.boundaryGCellSetConstructor = function() {
+  return P1;
+};
+
+/**
+ * {@link module:gcellset.GCellSet#edges}
+ * @override
+ */
+exports.L3.prototype.edges = function() {
+  return splitL3Edges(this._topology.getCellsInDim(1));
+};
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.L3.prototype.triangles = function() { return []; };
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.L3.prototype.cellSize = function() { return 3; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.L3.prototype.type = function() { return 'L3'; };
+
+/**
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.L3.prototype.bfun = function(paramCoords) {
+  var x = paramCoords[0];
+  var out = [
+    [ 0.5 * x * (x - 1) ],
+    [ 0.5 * x * (x + 1) ],
+    [ 1 - x * x ]
+  ];
+  return out;
+};
+
+/**
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.L3.prototype.bfundpar = function(paramCoords) {
+  var x = paramCoords[0];
+  return [
+    [ x - 0.5 ],
+    [ x + 0.5 ],
+    [ -2 * x ]
+  ];
+};
+
+/**
+ * Eight-node serendipity quad geometric cell set. Node 0 - 3 are the
+ * corners, node 4 - 7 are in the middle of edge 0-1, 1-2, 2-3 and
+ * 3-0.
+ * @class
+ * @extends module:gcellset.GCellSetManifold2
+ * @param {module:types.Q8InitOption} options
+ */
+exports.Q8 = function Q8(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('Q8#constructor(options): options is not a valid' +
+                    ' Q8InitOption');
+
+  if (options.conn) options.topology = hypercubeHO(options.conn, 2);
+  GCellSetManifold2.call(this, options);
+};
+
+var Q8 = exports.Q8;
+Q8.prototype = Object.create(GCellSetManifold2.prototype);
+Q8.prototype.constructor = Q8;
+
+// Parametric coordinates of the nodes.
+Q8.NODES = [
+  [-1, -1], [1, -1], [1, 1], [-1, 1],
+  [0, -1], [1, 0], [0, 1], [-1, 0]
+];
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.Q8.prototype.cellSize = function() { return 8; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.Q8.prototype.type = function() { return 'Q8'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.Q8.prototype.boundaryGCellSetConstructor = function() { return L3; };
+
+/**
+ * {@link module:gcellset.GCellSet#edges}
+ * @override
+ */
+exports.Q8.prototype.edges = function() {
+  return splitL3Edges(this._topology.getCellsInDim(1));
+};
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.Q8.prototype.triangles = function() {
+  return splitQ8Triangles(this._topology.getCellsInDim(2));
+};
+
+/**
+ * Basis function evaluate to a 8 by 1 matrix.
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.Q8.prototype.bfun = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1];
+  return Q8.NODES.map(function(node) {
+    var xii = node[0], etai = node[1];
+    if (xii === 0)
+      return [ 0.5 * (1 - xi*xi) * (1 + eta*etai) ];
+    if (etai === 0)
+      return [ 0.5 * (1 + xi*xii) * (1 - eta*eta) ];
+    return [ 0.25 * (1 + xi*xii) * (1 + eta*etai) * (xi*xii + eta*etai - 1) ];
+  });
+};
+
+/**
+ * Basis function derivatives evaluate to a 8 by 2 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.Q8.prototype.bfundpar = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1];
+  return Q8.NODES.map(function(node) {
+    var xii = node[0], etai = node[1];
+    if (xii === 0)
+      return [ -xi * (1 + eta*etai), 0.5 * etai * (1 - xi*xi) ];
+    if (etai === 0)
+      return [ 0.5 * xii * (1 - eta*eta), -eta * (1 + xi*xii) ];
+    return [
+      0.25 * xii * (1 + eta*etai) * (2*xi*xii + eta*etai),
+      0.25 * etai * (1 + xi*xii) * (xi*xii + 2*eta*etai)
+    ];
+  });
+};
+
+/**
+ * Twenty-node serendipity brick geometric cell set. Node 0 - 7 are
+ * the corners as in H8, node 8 - 11 are in the middle of the bottom
+ * edges (0-1, 1-2, 2-3, 3-0), node 12 - 15 are in the middle of the
+ * top edges (4-5, 5-6, 6-7, 7-4), node 16 - 19 are in the middle of
+ * the vertical edges (0-4, 1-5, 2-6, 3-7).
+ * @class
+ * @extends module:gcellset.GCellSetManifold3
+ * @param {module:types.H20InitOption} options
+ */
+exports.H20 = function H20(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('H20#constructor(options): options is not a valid' +
+                    ' H20InitOption');
+
+  if (options.conn) options.topology = hypercubeHO(options.conn, 3);
+  GCellSetManifold3.call(this, options);
+};
+
+var H20 = exports.H20;
+H20.prototype = Object.create(GCellSetManifold3.prototype);
+H20.prototype.constructor = H20;
+
+// Parametric coordinates of the nodes.
+H20.NODES = [
+  [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+  [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1],
+  [0, -1, -1], [1, 0, -1], [0, 1, -1], [-1, 0, -1],
+  [0, -1, 1], [1, 0, 1], [0, 1, 1], [-1, 0, 1],
+  [-1, -1, 0], [1, -1, 0], [1, 1, 0], [-1, 1, 0]
+];
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.H20.prototype.cellSize = function() { return 20; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.H20.prototype.type = function() { return 'H20'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.H20.prototype.boundaryGCellSetConstructor = function() { return Q8; };
+
+/**
+ * {@link module:gcellset.GCellSet#edges}
+ * @override
+ */
+exports.H20.prototype.edges = function() {
+  return splitL3Edges(this._topology.getCellsInDim(1));
+};
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.H20.prototype.triangles = function() {
+  return splitQ8Triangles(this._topology.getCellsInDim(2));
+};
+
+/**
+ * Basis function evaluate to a 20 by 1 matrix.
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.H20.prototype.bfun = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1], theta = paramCoords[2];
+  return H20.NODES.map(function(node) {
+    var a = 1 + xi*node[0], b = 1 + eta*node[1], c = 1 + theta*node[2];
+    if (node[0] === 0) return [ 0.25 * (1 - xi*xi) * b * c ];
+    if (node[1] === 0) return [ 0.25 * a * (1 - eta*eta) * c ];
+    if (node[2] === 0) return [ 0.25 * a * b * (1 - theta*theta) ];
+    return [ 0.125 * a * b * c * (a + b + c - 5) ];
+  });
+};
+
+/**
+ * Basis function derivatives evaluate to a 20 by 3 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.H20.prototype.bfundpar = function(paramCoords) {
+  var xi = paramCoords[0], eta = paramCoords[1], theta = paramCoords[2];
+  return H20.NODES.map(function(node) {
+    var xii = node[0], etai = node[1], thetai = node[2];
+    var a = 1 + xi*xii, b = 1 + eta*etai, c = 1 + theta*thetai;
+    var s;
+    if (xii === 0)
+      return [
+        -0.5 * xi * b * c,
+        0.25 * (1 - xi*xi) * etai * c,
+        0.25 * (1 - xi*xi) * b * thetai
+      ];
+    if (etai === 0)
+      return [
+        0.25 * xii * (1 - eta*eta) * c,
+        -0.5 * eta * a * c,
+        0.25 * a * (1 - eta*eta) * thetai
+      ];
+    if (thetai === 0)
+      return [
+        0.25 * xii * b * (1 - theta*theta),
+        0.25 * a * etai * (1 - theta*theta),
+        -0.5 * theta * a * b
+      ];
+    s = a + b + c - 5;
+    return [
+      0.125 * xii * b * c * (s + a),
+      0.125 * etai * a * c * (s + b),
+      0.125 * thetai * a * b * (s + c)
+    ];
+  });
+};
+
+// Split 6-node triangles into triangles for visualization.
+function splitT6Triangles(t6s) {
+  var triangles = [];
+  t6s.forEach(function(t) {
+    triangles.push(
+      [t[0], t[3], t[5]],
+      [t[3], t[1], t[4]],
+      [t[5], t[4], t[2]],
+      [t[3], t[4], t[5]]
+    );
+  });
+  return triangles;
+}
+
+// Barycentric coordinates of a simplex and their derivatives with
+// respect to the parametric coordinates. The first one belongs to
+// the node at the origin.
+function barycentric(paramCoords) {
+  var dim = paramCoords.length;
+  var L = [ 1 - paramCoords.reduce(function(a, b) { return a + b; }, 0) ];
+  var dL = [ paramCoords.map(function() { return -1; }) ];
+  paramCoords.forEach(function(x, i) {
+    L.push(x);
+    dL.push(paramCoords.map(function(y, j) { return i === j ? 1 : 0; }));
+  });
+  return { L: L, dL: dL, dim: dim };
+}
+
+// Quadratic simplex basis functions: corners first, then one node
+// in the middle of each edge listed in midEdges.
+function quadraticSimplexBfun(paramCoords, midEdges) {
+  var L = barycentric(paramCoords).L;
+  var corners = L.map(function(l) { return [ l * (2 * l - 1) ]; });
+  return corners.concat(midEdges.map(function(e) {
+    return [ 4 * L[e[0]] * L[e[1]] ];
+  }));
+}
+
+function quadraticSimplexBfundpar(paramCoords, midEdges) {
+  var b = barycentric(paramCoords), L = b.L, dL = b.dL;
+  var corners = L.map(function(l, i) {
+    return dL[i].map(function(d) { return (4 * l - 1) * d; });
+  });
+  return corners.concat(midEdges.map(function(e) {
+    var i = e[0], j = e[1];
+    return dL[i].map(function(d, k) {
+      return 4 * (L[j] * d + L[i] * dL[j][k]);
+    });
+  }));
+}
+
+/**
+ * Six-node quadratic triangle geometric cell set. Node 0 - 2 are the
+ * corners as in T3, node 3 - 5 are in the middle of edge 0-1, 1-2 and
+ * 2-0.
+ * @class
+ * @extends module:gcellset.GCellSetManifold2
+ * @param {module:types.T6InitOption} options
+ */
+exports.T6 = function T6(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('T6#constructor(options): options is not a valid' +
+                    ' T6InitOption');
+
+  if (options.conn) options.topology = simplexHO(options.conn, 2);
+  GCellSetManifold2.call(this, options);
+};
+
+var T6 = exports.T6;
+T6.prototype = Object.create(GCellSetManifold2.prototype);
+T6.prototype.constructor = T6;
+
+// Edges of the mid-side nodes.
+T6.MID_EDGES = [ [0, 1], [1, 2], [2, 0] ];
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.T6.prototype.cellSize = function() { return 6; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.T6.prototype.type = function() { return 'T6'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.T6.prototype.boundaryGCellSetConstructor = function() { return L3; };
+
+/**
+ * {@link module:gcellset.GCellSet#edges}
+ * @override
+ */
+exports.T6.prototype.edges = function() {
+  return splitL3Edges(this._topology.getCellsInDim(1));
+};
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.T6.prototype.triangles = function() {
+  return splitT6Triangles(this._topology.getCellsInDim(2));
+};
+
+/**
+ * Basis function evaluate to a 6 by 1 matrix. The parametric domain
+ * is the triangle (0, 0), (1, 0), (0, 1).
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.T6.prototype.bfun = function(paramCoords) {
+  return quadraticSimplexBfun(paramCoords, T6.MID_EDGES);
+};
+
+/**
+ * Basis function derivatives evaluate to a 6 by 2 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.T6.prototype.bfundpar = function(paramCoords) {
+  return quadraticSimplexBfundpar(paramCoords, T6.MID_EDGES);
+};
+
+/**
+ * Ten-node quadratic tetrahedron geometric cell set. Node 0 - 3 are
+ * the corners as in T4, node 4 - 9 are in the middle of edge 0-1,
+ * 1-2, 2-0, 0-3, 1-3 and 2-3.
+ * @class
+ * @extends module:gcellset.GCellSetManifold3
+ * @param {module:types.T10InitOption} options
+ */
+exports.T10 = function T10(options) {
+  if (!options || !(options.conn || options.topology))
+    throw new Error('T10#constructor(options): options is not a valid' +
+                    ' T10InitOption');
+
+  if (options.conn) options.topology = simplexHO(options.conn, 3);
+  GCellSetManifold3.call(this, options);
+};
+
+var T10 = exports.T10;
+T10.prototype = Object.create(GCellSetManifold3.prototype);
+T10.prototype.constructor = T10;
+
+// Edges of the mid-side nodes.
+T10.MID_EDGES = [ [0, 1], [1, 2], [2, 0], [0, 3], [1, 3], [2, 3] ];
+
+/**
+ * {@link module:gcellset.GCellSet#cellSize}
+ * @override
+ */
+exports.T10.prototype.cellSize = function() { return 10; };
+
+/**
+ * {@link module:gcellset.GCellSet#type}
+ * @override
+ */
+exports.T10.prototype.type = function() { return 'T10'; };
+
+/**
+ * {@link module:gcellset.GCellSet#boundaryGCellSetConstructor}
+ * @override
+ */
+exports.T10.prototype.boundaryGCellSetConstructor = function() { return T6; };
+
+/**
+ * {@link module:gcellset.GCellSet#edges}
+ * @override
+ */
+exports.T10.prototype.edges = function() {
+  return splitL3Edges(this._topology.getCellsInDim(1));
+};
+
+/**
+ * {@link module:gcellset.GCellSet#triangles}
+ * @override
+ */
+exports.T10.prototype.triangles = function() {
+  return splitT6Triangles(this._topology.getCellsInDim(2));
+};
+
+/**
+ * Basis function evaluate to a 10 by 1 matrix. The parametric domain
+ * is the tetrahedron (0, 0, 0), (1, 0, 0), (0, 1, 0), (0, 0, 1).
+ * {@link module:gcellset.GCellSet#bfun}
+ * @override
+ */
+exports.T10.prototype.bfun = function(paramCoords) {
+  return quadraticSimplexBfun(paramCoords, T10.MID_EDGES);
+};
+
+/**
+ * Basis function derivatives evaluate to a 10 by 3 matrix.
+ * {@link module:gcellset.GCellSet#bfundpar}
+ * @override
+ */
+exports.T10.prototype.bfundpar = function(paramCoords) {
+  return quadraticSimplexBfundpar(paramCoords, T10.MID_EDGES);
+};
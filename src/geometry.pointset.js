@@ -61,6 +61,10 @@ function PointSet() {
     throw new Error('PointSet() can not initialize with args: ' + argv);
   }
 
+  // bumped by the mutators, so that values derived from the points
+  // can tell that they are stale.
+  this._version = 0;
+
   this._points = new Array(_points.length);
   _.each(_points, function(p, i) {
     var coords = _.array1d(this._rn, 0.0);
@@ -82,6 +86,8 @@ PointSet.prototype.__defineGetter__('size', PointSet.prototype.getSize);
 PointSet.prototype.getRn = function() { return this._rn; };
 PointSet.prototype.__defineGetter__('rn', PointSet.prototype.getRn);
 
+PointSet.prototype.getVersion = function() { return this._version; };
+
 PointSet.prototype.clone = function() {
   return new PointSet(this.toList(), this.rn);
 };
@@ -134,6 +140,7 @@ PointSet.prototype.set_ = function(index, point) {
     _.each(_points[index], function(x, i) {
       _points[index][i] = point[i];
     });
+    ++this._version;
     return;
   }
   throw new Error('PointSet::set() index outof bounds.');
@@ -148,6 +155,7 @@ PointSet.prototype.setAtDir_ = function(index, dir, val) {
   if (index >= 0 && index < this._points.length) {
     var _points = this._points;
     _points[index][dir] = val;
+    ++this._version;
     return;
   }
   throw new Error('PointSet::set() index outof bounds.');
@@ -0,0 +1,99 @@
+exports.name = 'P1L2T3T4';
+
+exports.cellSizes = [1, 2, 3, 4];
+
+exports.cellTypes = ['P1', 'L2', 'T3', 'T4'];
+
+// Local indices of the boundary cells of a line, a triangle and a
+// tetrahedron. The faces of the tetrahedron all point outwards.
+exports.faces = [
+  null,
+  [ [0], [1] ],
+  [ [0, 1], [1, 2], [2, 0] ],
+  [ [0, 2, 1], [0, 1, 3], [1, 2, 3], [0, 3, 2] ]
+];
+
+// Local connectivity of the extruded cells. Index 0 .. n-1 are the
+// bottom nodes and n .. 2n-1 are the top nodes of a cell with n
+// nodes. For 2 -> 3, the bottom triangle must be sorted by global
+// index first (see extrude()), so that neighbouring prisms cut their
+// shared quad face along the same diagonal.
+exports.extrudeMap = [
+  // 0 -> 1,
+  [ [ 0, 1 ] ],
+  // 1 -> 2,
+  [ [ 0, 1, 3 ], [ 0, 3, 2 ] ],
+  // 2 -> 3,
+  [
+    [ 0, 1, 2, 5 ],
+    [ 0, 1, 5, 4 ],
+    [ 0, 3, 4, 5 ]
+  ]
+];
+
+function countPoints(cells) {
+  var count = 0, seen = {};
+  cells.forEach(function(cell) {
+    cell.forEach(function(idx) {
+      if (!seen[idx]) { ++count; seen[idx] = true; }
+    });
+  });
+  return count;
+}
+
+// Returns the cell sorted by index, and whether sorting changed
+// the orientation of the cell.
+function sortedTriangle(cell) {
+  var sorted = cell.slice().sort(function(a, b) { return a-b; });
+  var i, j, inversions = 0;
+  for (i = 0; i < 3; ++i)
+    for (j = i + 1; j < 3; ++j)
+      if (cell[i] > cell[j]) ++inversions;
+  return { cell: sorted, flipped: inversions % 2 === 1 };
+}
+
+exports.extrude = function(cells, dim, flags) {
+  if (dim < 0 || dim >= 3)
+    throw new Error('extrude(): can not handle ' +
+                    'dim = ' + dim);
+
+  var cellMap = exports.extrudeMap[dim];
+  var numPoints = countPoints(cells);
+  var newCells = [];
+
+  flags.forEach(function(flag, layer) {
+    var base = layer * numPoints;
+    if (flag) {
+      cells.forEach(function(cell) {
+        var i, len = cell.length, flipped = false, tmp;
+        var newGlobalConn = [];
+
+        if (dim === 2) {
+          tmp = sortedTriangle(cell);
+          cell = tmp.cell;
+          flipped = tmp.flipped;
+        }
+
+        // bottom
+        for (i = 0; i < len; ++i) newGlobalConn.push(base + cell[i]);
+
+        // top
+        for (i = 0; i < len; ++i) newGlobalConn.push(base + numPoints + cell[i]);
+
+        // remap
+        cellMap.forEach(function(localConn) {
+          var newCell = localConn.map(function(localIndex) {
+            return newGlobalConn[localIndex];
+          });
+          if (flipped) {
+            tmp = newCell[2];
+            newCell[2] = newCell[3];
+            newCell[3] = tmp;
+          }
+          newCells.push( newCell );
+        });
+      });
+    }
+  });
+  return newCells;
+};
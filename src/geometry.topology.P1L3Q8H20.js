@@ -0,0 +1,32 @@
+// Corner nodes come first, followed by the mid-side nodes. The
+// mid-side nodes of the H20 are ordered as: bottom edges, top edges
+// then vertical edges.
+
+exports.name = 'P1L3Q8H20';
+
+exports.cellSizes = [1, 3, 8, 20];
+
+exports.cellTypes = ['P1', 'L3', 'Q8', 'H20'];
+
+// Local indices of the boundary cells of a L3, a Q8 and a H20. The
+// quadratic lines of a Q8 are [end, end, middle].
+exports.faces = [
+  null,
+  [ [0], [1] ],
+  [ [0, 1, 4], [1, 2, 5], [2, 3, 6], [3, 0, 7] ],
+  [
+    [ 0, 3, 2, 1, 11, 10, 9, 8 ],
+    [ 0, 1, 5, 4, 8, 17, 12, 16 ],
+    [ 1, 2, 6, 5, 9, 18, 13, 17 ],
+    [ 2, 3, 7, 6, 10, 19, 14, 18 ],
+    [ 0, 4, 7, 3, 16, 15, 19, 11 ],
+    [ 4, 5, 6, 7, 12, 13, 14, 15 ]
+  ]
+];
+
+// Extruding a quadratic cell needs mid-layer nodes which a layered
+// point set does not provide. Use linear cells and convert the mesh
+// instead, see module:mesh.Mesh#toQuadratic.
+exports.extrude = function(cells, dim, flags) {
+  throw new Error('extrude(): is not supported by P1L3Q8H20 family.');
+};
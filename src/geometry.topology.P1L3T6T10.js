@@ -0,0 +1,30 @@
+// Corner nodes come first, followed by the mid-side nodes. The
+// mid-side nodes of the T6 are on edge 0-1, 1-2, 2-0, and those of
+// the T10 are on edge 0-1, 1-2, 2-0, 0-3, 1-3, 2-3.
+
+exports.name = 'P1L3T6T10';
+
+exports.cellSizes = [1, 3, 6, 10];
+
+exports.cellTypes = ['P1', 'L3', 'T6', 'T10'];
+
+// Local indices of the boundary cells of a L3, a T6 and a T10. The
+// faces of the T10 all point outwards as in T4.
+exports.faces = [
+  null,
+  [ [0], [1] ],
+  [ [0, 1, 3], [1, 2, 4], [2, 0, 5] ],
+  [
+    [ 0, 2, 1, 6, 5, 4 ],
+    [ 0, 1, 3, 4, 8, 7 ],
+    [ 1, 2, 3, 5, 9, 8 ],
+    [ 0, 3, 2, 7, 9, 6 ]
+  ]
+];
+
+// Extruding a quadratic cell needs mid-layer nodes which a layered
+// point set does not provide. Use linear cells and convert the mesh
+// instead, see module:mesh.Mesh#toQuadratic.
+exports.extrude = function(cells, dim, flags) {
+  throw new Error('extrude(): is not supported by P1L3T6T10 family.');
+};
@@ -608,12 +608,113 @@ Topology.prototype.boundary = function() {
 // dim = 0 -> point, dim = 1 -> line
 // dim = 2 -> triangle, dim = 3 -> tetrahedron
 function simplex(conn, dim) {
-  var complexes = [];
+  var create = Topology.FAMILY.P1L2T3T4.create;
+  var complexes = create(conn, dim);
   return new Topology(complexes, 'P1L2T3T4');
 };
 
-simplex.prototype = Object.create(Topology.prototype);
-simplex.prototype.constructor = simplex;
+// Two cells sharing the same nodes may be listed in different order,
+// so sort the indices to make the key.
+function hashCell(cell) {
+  var cellCopy = cell.slice().sort(function(a, b) { return a-b; });
+  return cellCopy.join(',');
+}
+
+// faces[dim]: local indices of the boundary cells of a cell in dim.
+function cellBoundary(faces, cell) {
+  return faces.map(function(face) {
+    return face.map(function(localIndex) { return cell[localIndex]; });
+  });
+}
+
+// Boundary cells of conn which belong to a single cell of conn.
+function boundaryByFaces(faces, conn, dim) {
+  if (!isArray(faces[dim])) return [];
+
+  var res = [];
+  conn.forEach(function(cell) {
+    cellBoundary(faces[dim], cell).forEach(function(bdryCell) {
+      res.push(bdryCell);
+    });
+  });
+
+  var nonBoundaryIndexMask = {}, seen = {};
+  res.forEach(function(cell, i) {
+    var key = hashCell(cell);
+    if (typeof seen[key] === 'undefined') {
+      seen[key] = i;
+    } else {
+      nonBoundaryIndexMask[i] = true;
+      nonBoundaryIndexMask[seen[key]] = true;
+    }
+  });
+
+  return res.filter(function(cell, i) {
+    return !nonBoundaryIndexMask[i];
+  });
+}
+
+// Unique boundary cells of conn.
+function skeletonByFaces(faces, conn, dim) {
+  if (!isArray(faces[dim]))
+    throw new Error('skeleton(conn, dim): dim (' + dim + ') is not valid.');
+
+  var seen = {}, skeleton = [];
+  conn.forEach(function(cell) {
+    cellBoundary(faces[dim], cell).forEach(function(bdryCell) {
+      var key = hashCell(bdryCell);
+      if (!seen[key]) {
+        skeleton.push(bdryCell);
+        seen[key] = true;
+      }
+    });
+  });
+  return skeleton;
+}
+
+// The points of a quadratic cell include the mid-side nodes, which
+// are not on the boundary of the lines.
+function allPoints(conn) {
+  var seen = {}, points = [];
+  conn.forEach(function(cell) {
+    cell.forEach(function(idx) {
+      if (!seen[idx]) {
+        points.push([idx]);
+        seen[idx] = true;
+      }
+    });
+  });
+  return points;
+}
+
+// Adds create and boundaryConn to a family given by its face tables.
+function familyByFaces(family) {
+  var faces = family.faces;
+
+  family.create = function(conn, dim) {
+    if (dim === 0) {
+      if (typeof conn[0] === 'number')
+        return [ conn.map(function(idx) { return [idx]; }) ];
+      return [ cloneDeep(conn) ];
+    } else if (dim === 1 || dim === 2 || dim === 3) {
+      var complexes = array1d(dim + 1, function() { return null; });
+      var d;
+      complexes[dim] = cloneDeep(conn);
+      for (d = dim; d > 1; --d)
+        complexes[d-1] = skeletonByFaces(faces, complexes[d], d);
+      complexes[0] = allPoints(complexes[1]);
+      return complexes;
+    }
+
+    throw new Error(family.name + '(conn, dim): dim must be one of 0,1,2,3.');
+  };
+
+  family.boundaryConn = function(conn, dim) {
+    return boundaryByFaces(faces, conn, dim);
+  };
+
+  return family;
+}
 
 // Topology family protocol:
 // cellSizes: [Int]
@@ -621,32 +722,16 @@ simplex.prototype.constructor = simplex;
 // extrude: Connectivity -> Dim -> FlagList -> Complexes
 // create: Connectivity -> Dim -> Complexes
 // boundaryConn: Connectivity -> Dim -> Connectivity
+// A family may give faces instead of create and boundaryConn, see
+// familyByFaces().
 Topology.FAMILY = {
-  P1L2T3T4: {
-    cellSizes: [1, 2, 3, 4],
-    cellTypes: ['P1', 'L2', 'T3', 'T4'],
-    extrude: function(hlist) {},
-    create: function(conn, dim) {},
-    boundaryConn: function(conn, dim) {}
-  },
-
-  P1L3T6T10: {
-    cellSizes: [1, 3, 6, 10],
-    cellTypes: ['P1', 'L3', 'T6', 'T10'],
-    extrude: function(conn, dim, hlist) {},
-    create: function(conn, dim) {},
-    boundaryConn: function(conn, dim) {}
-  },
+  P1L2T3T4: familyByFaces(require('./geometry.topology.P1L2T3T4')),
+
+  P1L3T6T10: familyByFaces(require('./geometry.topology.P1L3T6T10')),
 
   P1L2Q4H8: require('./geometry.topology.P1L2Q4H8'),
 
-  P1L3Q8H20: {
-    cellSizes: [1, 3, 8, 20],
-    cellTypes: ['P1', 'L3', 'Q8', 'H20'],
-    extrude: function(hlist) {},
-    create: function(conn, dim) {},
-    boundaryConn: function(conn, dim) {}
-  }
+  P1L3Q8H20: familyByFaces(require('./geometry.topology.P1L3Q8H20'))
 };
 
 exports.Topology = Topology;
@@ -658,6 +743,15 @@ exports.hypercube = function(conn, dim) {
 };
 
 exports.simplex = simplex;
-// TODO:
-// exports.hypercubeHO = hypercubeHO;
-// exports.simplexHO = simplexHO;
+
+exports.hypercubeHO = function(conn, dim) {
+  var create = Topology.FAMILY.P1L3Q8H20.create;
+  var complexes = create(conn, dim);
+  return new Topology(complexes, 'P1L3Q8H20');
+};
+
+exports.simplexHO = function(conn, dim) {
+  var create = Topology.FAMILY.P1L3T6T10.create;
+  var complexes = create(conn, dim);
+  return new Topology(complexes, 'P1L3T6T10');
+};
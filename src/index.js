@@ -14,6 +14,7 @@ exports.gcellset = require('./gcellset');
 exports.field = require('./field');
 exports.property = require('./property');
 exports.material = require('./material');
+exports.ipgeometry = require('./ipgeometry');
 exports.feblock = require('./feblock');
 exports.system = require('./system');
 exports.nodalload = require('./nodalload');
@@ -21,3 +22,10 @@ exports.forceintensity = require('./forceintensity');
 exports.integrationrule = require('./integrationrule');
 exports.ebc = require('./ebc');
 exports.mesh = require('./mesh');
+exports.renumber = require('./renumber');
+exports.mpc = require('./mpc');
+exports.periodic = require('./periodic');
+exports.spring = require('./spring');
+exports.modal = require('./modal');
+exports.transient = require('./transient');
+exports.explicit = require('./explicit');
@@ -121,3 +121,122 @@ GaussRule.prototype.dim = function() {
 };
 
 exports.GaussRule = GaussRule;
+
+// TriRule :: NumberOfPoints -> TriRule
+// NumberOfPoints :: Int
+// Integration rule over the triangle (0, 0), (1, 0), (0, 1). The
+// weights add up to the area of the triangle, 0.5.
+// npts: 1 (exact for linear), 3 (exact for quadratic), 6 (exact for
+// quartic)
+function TriRule(npts) {
+  var paramCoords, weights, a, b, wa, wb;
+  switch(npts) {
+  case 1:
+    paramCoords = [ [ 1/3, 1/3 ] ];
+    weights = [ 1/2 ];
+    break;
+  case 3:
+    paramCoords = [
+      [ 2/3, 1/6 ],
+      [ 1/6, 2/3 ],
+      [ 1/6, 1/6 ]
+    ];
+    weights = [ 1/6, 1/6, 1/6 ];
+    break;
+  case 6:
+    // Dunavant, degree 4.
+    a = 0.445948490915965;
+    b = 0.091576213509771;
+    wa = 0.223381589678011 / 2;
+    wb = 0.109951743655322 / 2;
+    paramCoords = [
+      [ a, a ],
+      [ 1 - 2*a, a ],
+      [ a, 1 - 2*a ],
+      [ b, b ],
+      [ 1 - 2*b, b ],
+      [ b, 1 - 2*b ]
+    ];
+    weights = [ wa, wa, wa, wb, wb, wb ];
+    break;
+  default:
+    throw new Error('TriRule(npts): for npts = ' + npts +
+                    ' is not implemented.');
+  }
+
+  this._paramCoords = paramCoords;
+  this._weights = weights;
+}
+
+TriRule.prototype = Object.create(IntegrationRule.prototype);
+TriRule.prototype.constructor = TriRule;
+TriRule.prototype.paramCoords = GaussRule.prototype.paramCoords;
+TriRule.prototype.weights = GaussRule.prototype.weights;
+TriRule.prototype.npts = GaussRule.prototype.npts;
+TriRule.prototype.dim = GaussRule.prototype.dim;
+
+exports.TriRule = TriRule;
+
+// TetRule :: NumberOfPoints -> TetRule
+// NumberOfPoints :: Int
+// Integration rule over the tetrahedron (0, 0, 0), (1, 0, 0),
+// (0, 1, 0), (0, 0, 1). The weights add up to the volume of the
+// tetrahedron, 1/6.
+// npts: 1 (exact for linear), 4 (exact for quadratic), 14 (exact for
+// quintic)
+function TetRule(npts) {
+  var paramCoords, weights, a, b, c, d;
+  switch(npts) {
+  case 1:
+    paramCoords = [ [ 0.25, 0.25, 0.25 ] ];
+    weights = [ 1/6 ];
+    break;
+  case 4:
+    a = 0.5854101966249685;
+    b = 0.1381966011250105;
+    paramCoords = [
+      [ a, b, b ],
+      [ b, a, b ],
+      [ b, b, a ],
+      [ b, b, b ]
+    ];
+    weights = [ 1/24, 1/24, 1/24, 1/24 ];
+    break;
+  case 14:
+    // Walkington, degree 5, all weights positive.
+    a = 0.0455037041256496;
+    b = 0.5 - a;
+    c = 0.0927352503108912;
+    d = 0.3108859192633006;
+    paramCoords = [
+      [ a, a, b ], [ a, b, a ], [ b, a, a ],
+      [ a, b, b ], [ b, a, b ], [ b, b, a ],
+      [ c, c, c ], [ 1 - 3*c, c, c ], [ c, 1 - 3*c, c ], [ c, c, 1 - 3*c ],
+      [ d, d, d ], [ 1 - 3*d, d, d ], [ d, 1 - 3*d, d ], [ d, d, 1 - 3*d ]
+    ];
+    weights = [
+      0.007091003462846911, 0.007091003462846911, 0.007091003462846911,
+      0.007091003462846911, 0.007091003462846911, 0.007091003462846911,
+      0.01224884051939366, 0.01224884051939366,
+      0.01224884051939366, 0.01224884051939366,
+      0.01878132095300264, 0.01878132095300264,
+      0.01878132095300264, 0.01878132095300264
+    ];
+    break;
+  default:
+    throw new Error('TetRule(npts): for npts = ' + npts +
+                    ' is not implemented.');
+  }
+
+  this._paramCoords = paramCoords;
+  this._weights = weights;
+}
+
+TetRule.prototype = Object.create(IntegrationRule.prototype);
+TetRule.prototype.constructor = TetRule;
+TetRule.prototype.paramCoords = GaussRule.prototype.paramCoords;
+TetRule.prototype.weights = GaussRule.prototype.weights;
+TetRule.prototype.npts = GaussRule.prototype.npts;
+TetRule.prototype.dim = GaussRule.prototype.dim;
+
+exports.TetRule = TetRule;
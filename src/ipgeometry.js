@@ -0,0 +1,243 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isFunction = check.function;
+var isAssigned = check.assigned;
+
+var numeric = require('./core.numeric');
+var transpose = numeric.transpose;
+var dot = numeric.dot;
+var inv = numeric.inv;
+
+var GCellSet = require('./gcellset').GCellSet;
+var IntegrationRule = require('./integrationrule').IntegrationRule;
+var Field = require('./field').Field;
+
+/**
+ * @module ipgeometry
+ */
+
+/**
+ * @typedef module:ipgeometry.Gradients
+ * @property {module:types.Matrix} Ndersp - spatial derivatives of the
+ * basis functions, in the frame of rm.
+ * @property {module:types.Matrix|null} rm - the local frame at the
+ * point.
+ */
+
+/**
+ * Geometry of the integration points of a gcellset in a geometric
+ * field: the basis functions, the cell coordinates, the Jacobian
+ * matrices and the Jacobians, computed once and shared by the
+ * operations of the blocks on the gcellset. The values are computed
+ * lazily from the coordinates of geom at construction.
+ * @class
+ * @param {module:gcellset.GCellSet} gcells
+ * @param {module:integrationrule.IntegrationRule} integrationRule
+ * @param {module:field.Field} geom - geometric field.
+ * @param {Object} options - optional, {cache: false} keeps the values
+ * of the last visited cell only, for a cell by cell use with the
+ * least memory.
+ */
+exports.IntegrationPointGeometry = function IntegrationPointGeometry(gcells, integrationRule, geom, options) {
+  if (!isa(gcells, GCellSet) || !isa(integrationRule, IntegrationRule) || !isa(geom, Field))
+    throw new Error('IntegrationPointGeometry(gcells, integrationRule, geom): ' +
+                    'invalid arguments.');
+
+  this._gcells = gcells;
+  this._ir = integrationRule;
+  this._geom = geom;
+  this._version = geom.version();
+
+  var pc = integrationRule.paramCoords();
+  this._Ns = pc.map(function(p) { return gcells.bfun(p); });
+  this._Nders = pc.map(function(p) { return gcells.bfundpar(p); });
+  this._w = integrationRule.weights();
+
+  var xs = geom.values();
+  this._conns = gcells.conn();
+  this._xs = this._conns.map(function(conn) {
+    return conn.map(function(i) { return xs[i]; });
+  });
+
+  // per cell, per point
+  this._c = [];
+  this._J = [];
+  this._jac = {};
+  this._gradients = null;
+
+  this._cache = !(options && options.cache === false);
+  this._cell = -1;
+};
+var IntegrationPointGeometry = exports.IntegrationPointGeometry;
+
+/**
+ * Returns true if the geometry is the one of the given gcellset,
+ * integration rule and geometric field, and geom has not been
+ * modified since.
+ * @returns {Boolean}
+ */
+IntegrationPointGeometry.prototype.isFor = function(gcells, integrationRule, geom) {
+  return this._gcells === gcells && this._ir === integrationRule &&
+    this._geom === geom && this._version === geom.version();
+};
+
+/**
+ * Returns the number of cells.
+ * @returns {Int}
+ */
+IntegrationPointGeometry.prototype.count = function() {
+  return this._conns.length;
+};
+
+/**
+ * Returns the number of integration points per cell.
+ * @returns {Int}
+ */
+IntegrationPointGeometry.prototype.npts = function() {
+  return this._w.length;
+};
+
+/**
+ * Returns the basis function values at point j, cellSize by 1.
+ * @param {Int} j - integration point.
+ * @returns {module:types.Matrix}
+ */
+IntegrationPointGeometry.prototype.N = function(j) {
+  return this._Ns[j];
+};
+
+/**
+ * Returns the parametric derivatives of the basis functions at point j.
+ * @param {Int} j - integration point.
+ * @returns {module:types.Matrix}
+ */
+IntegrationPointGeometry.prototype.Nder = function(j) {
+  return this._Nders[j];
+};
+
+/**
+ * Returns the weight of point j.
+ * @param {Int} j - integration point.
+ * @returns {Number}
+ */
+IntegrationPointGeometry.prototype.weight = function(j) {
+  return this._w[j];
+};
+
+/**
+ * Returns the connectivity of cell i.
+ * @param {Int} i - cell.
+ * @returns {module:types.Connectivity}
+ */
+IntegrationPointGeometry.prototype.conn = function(i) {
+  return this._conns[i];
+};
+
+/**
+ * Returns the nodal coordinates of cell i.
+ * @param {Int} i - cell.
+ * @returns {module:types.Matrix} cellSize by dim.
+ */
+IntegrationPointGeometry.prototype.x = function(i) {
+  return this._xs[i];
+};
+
+// Drops the values of the previous cell if they are not cached.
+IntegrationPointGeometry.prototype._visit_ = function(i) {
+  if (this._cache || this._cell === i) return;
+  this._c = [];
+  this._J = [];
+  this._jac = {};
+  if (this._gradients) this._gradients.values = [];
+  this._cell = i;
+};
+
+IntegrationPointGeometry.prototype._point_ = function(i) {
+  this._visit_(i);
+  if (this._c[i]) return;
+  var x = this._xs[i];
+  this._c[i] = this._Ns.map(function(N) { return dot(transpose(N), x); });
+  this._J[i] = this._Nders.map(function(Nder) { return dot(transpose(x), Nder); });
+};
+
+/**
+ * Returns the location of point j of cell i.
+ * @param {Int} i - cell.
+ * @param {Int} j - integration point.
+ * @returns {module:types.Matrix} 1 by dim.
+ */
+IntegrationPointGeometry.prototype.c = function(i, j) {
+  this._point_(i);
+  return this._c[i][j];
+};
+
+/**
+ * Returns the Jacobian matrix at point j of cell i.
+ * @param {Int} i - cell.
+ * @param {Int} j - integration point.
+ * @returns {module:types.Matrix} dim by manifold dimension.
+ */
+IntegrationPointGeometry.prototype.J = function(i, j) {
+  this._point_(i);
+  return this._J[i][j];
+};
+
+/**
+ * Returns the Jacobian in dimension m at point j of cell i, see
+ * module:gcellset.GCellSet#jacobianInDim. The volume Jacobian by
+ * default.
+ * @param {Int} i - cell.
+ * @param {Int} j - integration point.
+ * @param {Int} m - optional, manifold dimension.
+ * @returns {Number}
+ */
+IntegrationPointGeometry.prototype.jacobian = function(i, j, m) {
+  this._visit_(i);
+  var key = isAssigned(m) ? m : 'volumn';
+  var cache = this._jac[key] || (this._jac[key] = []);
+  if (!cache[i]) {
+    var gcells = this._gcells, conn = this._conns[i], x = this._xs[i];
+    cache[i] = this._Ns.map(function(N, k) {
+      var J = this.J(i, k);
+      return isAssigned(m) ?
+        gcells.jacobianInDim(conn, N, J, x, m) :
+        gcells.jacobianVolumn(conn, N, J, x);
+    }, this);
+  }
+  return cache[i][j];
+};
+
+/**
+ * Returns the spatial derivatives of the basis functions at point j
+ * of cell i, in the frame given by rm. rm is a matrix, a function
+ * (c, J) => matrix or null for the global frame. The values of the
+ * last rm are kept.
+ * @param {Int} i - cell.
+ * @param {Int} j - integration point.
+ * @param {module:types.Matrix|Function|null} rm
+ * @returns {module:ipgeometry.Gradients}
+ */
+IntegrationPointGeometry.prototype.gradients = function(i, j, rm) {
+  this._visit_(i);
+  rm = isAssigned(rm) ? rm : null;
+  if (!this._gradients || this._gradients.rm !== rm)
+    this._gradients = { rm: rm, values: [] };
+
+  var values = this._gradients.values;
+  if (!values[i]) {
+    values[i] = this._Nders.map(function(Nder, k) {
+      var J = this.J(i, k), localRm = rm;
+      if (isFunction(rm)) localRm = rm(this.c(i, k), J);
+      return {
+        Ndersp: localRm ?
+          dot(Nder, inv(dot(transpose(localRm), J))) :
+          dot(Nder, inv(J)),
+        rm: localRm
+      };
+    }, this);
+  }
+  return values[i][j];
+};
@@ -44,6 +44,36 @@ exports.Material.prototype.update = function() {
   throw new Error('Material::update(): is not implemented.');
 };
 
+/**
+ * Returns the material property.
+ * @returns {module:property.MaterialProperty}
+ */
+exports.Material.prototype.property = function() {
+  return this._prop;
+};
+
+/**
+ * Returns the 3 by 3 stress tensor of a stress vector. Override by
+ * subclasses.
+ * @abstract
+ * @param {Array} stress - stress vector, D*B*u.
+ * @returns {module:types.Matrix}
+ */
+exports.Material.prototype.stressTensor = function(stress) {
+  throw new Error('Material::stressTensor(): is not implemented.');
+};
+
+/**
+ * Returns the thermal strain vector of a temperature change, in the
+ * order of the rows of the tangent moduli. Override by subclasses.
+ * @abstract
+ * @param {Number} dT - temperature change.
+ * @returns {Array}
+ */
+exports.Material.prototype.thermalStrain = function(dT) {
+  throw new Error('Material::thermalStrain(): is not implemented.');
+};
+
 /**
  * @typedef module:material.DeforSSLinElUniaxInitOption
  * @property {module:property.LinElIso} property
@@ -73,6 +103,28 @@ exports.DeforSSLinElUniax.prototype.tangentModuli = function() {
   return [ [this._prop.E()] ];
 };
 
+/**
+ * Returns the 3 by 3 stress tensor.
+ * @param {Array} stress - [sx].
+ * @returns {module:types.Matrix}
+ */
+exports.DeforSSLinElUniax.prototype.stressTensor = function(stress) {
+  return [
+    [ stress[0], 0, 0 ],
+    [ 0, 0, 0 ],
+    [ 0, 0, 0 ]
+  ];
+};
+
+/**
+ * Returns the thermal strain.
+ * @param {Number} dT - temperature change.
+ * @returns {Array} [alpha*dT].
+ */
+exports.DeforSSLinElUniax.prototype.thermalStrain = function(dT) {
+  return [ this._prop.alpha() * dT ];
+};
+
 /**
  * @typedef module:material.DeforSSLinElBiaxInitOption
  * @property {module:property.LinElIso} property
@@ -121,6 +173,48 @@ exports.DeforSSLinElBiax.prototype.tangentModuli = function() {
   return reduced;
 };
 
+/**
+ * Returns the 3 by 3 stress tensor. The out of plane stress is
+ * nu*(sx + sy) - E*alpha*dT for 'strain' and zero for 'stress'. For
+ * 'axisSymm' the axes are radial, axial and hoop.
+ * @param {Array} stress - [sx, sy, sxy] or, for 'axisSymm', [sr, sz,
+ * sh, srz].
+ * @param {Number} dT - optional, temperature change, zero by default.
+ * @returns {module:types.Matrix}
+ */
+exports.DeforSSLinElBiax.prototype.stressTensor = function(stress, dT) {
+  var s = stress, sz;
+  if (this._reduction === 'axisSymm') {
+    return [
+      [ s[0], s[3], 0 ],
+      [ s[3], s[1], 0 ],
+      [ 0, 0, s[2] ]
+    ];
+  }
+
+  sz = 0;
+  if (this._reduction === 'strain')
+    sz = this._prop.nu() * (s[0] + s[1]) - this._prop.E() * this._prop.alpha() * (dT || 0);
+  return [
+    [ s[0], s[2], 0 ],
+    [ s[2], s[1], 0 ],
+    [ 0, 0, sz ]
+  ];
+};
+
+/**
+ * Returns the thermal strain. In plane strain the restrained out of
+ * plane expansion gives the in plane strains (1 + nu)*alpha*dT.
+ * @param {Number} dT - temperature change.
+ * @returns {Array} [ex, ey, 0] or, for 'axisSymm', [er, ez, eh, 0].
+ */
+exports.DeforSSLinElBiax.prototype.thermalStrain = function(dT) {
+  var e = this._prop.alpha() * dT;
+  if (this._reduction === 'axisSymm') return [ e, e, e, 0 ];
+  if (this._reduction === 'strain') e *= 1 + this._prop.nu();
+  return [ e, e, 0 ];
+};
+
 /**
  * @typedef module:material.DeforSSLinElTriaxInitOption
  * @property {module:property.LinElIso} property
@@ -149,3 +243,27 @@ DeforSSLinElTriax.prototype.constructor = DeforSSLinElTriax;
 exports.DeforSSLinElTriax.prototype.tangentModuli = function() {
   return this._prop.D();
 };
+
+/**
+ * Returns the 3 by 3 stress tensor.
+ * @param {Array} stress - [sx, sy, sz, sxy, sxz, syz].
+ * @returns {module:types.Matrix}
+ */
+exports.DeforSSLinElTriax.prototype.stressTensor = function(stress) {
+  var s = stress;
+  return [
+    [ s[0], s[3], s[4] ],
+    [ s[3], s[1], s[5] ],
+    [ s[4], s[5], s[2] ]
+  ];
+};
+
+/**
+ * Returns the thermal strain.
+ * @param {Number} dT - temperature change.
+ * @returns {Array} [ex, ey, ez, 0, 0, 0].
+ */
+exports.DeforSSLinElTriax.prototype.thermalStrain = function(dT) {
+  var e = this._prop.alpha() * dT;
+  return [ e, e, e, 0, 0, 0 ];
+};
@@ -9,10 +9,16 @@ var array2d = _.array2d;
 var fens = require('./fens');
 var FeNodeSet = fens.FeNodeSet;
 var gcells = require('./gcellset');
+var renumber = require('./renumber').renumber;
 var P1 = gcells.P1;
 var L2 = gcells.L2;
 var Q4 = gcells.Q4;
 var H8 = gcells.H8;
+var L3 = gcells.L3;
+var Q8 = gcells.Q8;
+var H20 = gcells.H20;
+var T6 = gcells.T6;
+var T10 = gcells.T10;
 
 /**
  * @module mesh
@@ -102,6 +108,38 @@ exports.Mesh.prototype.extrude = function(hList, flags) {
   return new Mesh({ fens: newFens, gcells: newGcells });
 };
 
+/**
+ * @typedef module:mesh.RenumberResult
+ * @property {module:mesh.Mesh} mesh - the renumbered mesh.
+ * @property {Array} order - new to old, order[k] is the old index of
+ * the new node k.
+ * @property {Array} position - old to new node indices.
+ * @property {module:renumber.GraphMeasures} before
+ * @property {module:renumber.GraphMeasures} after
+ */
+
+/**
+ *
+ * Return a mesh with the nodes renumbered to reduce the bandwidth and
+ * the profile, see module:renumber.renumber.
+ * @param {module:renumber.RenumberOption} options - optional.
+ * @returns {module:mesh.RenumberResult}
+ */
+exports.Mesh.prototype.renumber = function(options) {
+  var fens = this._fens, res = renumber(this._gcells, fens.count(), options);
+  var xyz = fens.xyz();
+  return {
+    mesh: new Mesh({
+      xyz: res.order.map(function(i) { return xyz[i]; }),
+      gcells: this._gcells.renumberNodes(res.position)
+    }),
+    order: res.order,
+    position: res.position,
+    before: res.before,
+    after: res.after
+  };
+};
+
 /**
  *
  * Return subdivied mesh.
@@ -188,6 +226,75 @@ exports.Mesh.prototype.subdivideQ4 = function() {
   });
 };
 
+// For each linear cell type: the quadratic counterpart and the
+// local edges whose mid points become the mid-side nodes, listed in
+// the node order of the quadratic cell.
+var QUADRATIC_CELLS = {
+  L2: { ctor: L3, edges: [ [0, 1] ] },
+  Q4: { ctor: Q8, edges: [ [0, 1], [1, 2], [2, 3], [3, 0] ] },
+  H8: {
+    ctor: H20,
+    edges: [
+      [0, 1], [1, 2], [2, 3], [3, 0],
+      [4, 5], [5, 6], [6, 7], [7, 4],
+      [0, 4], [1, 5], [2, 6], [3, 7]
+    ]
+  },
+  T3: { ctor: T6, edges: [ [0, 1], [1, 2], [2, 0] ] },
+  T4: {
+    ctor: T10,
+    edges: [ [0, 1], [1, 2], [2, 0], [0, 3], [1, 3], [2, 3] ]
+  }
+};
+
+/**
+ *
+ * Return the mesh with quadratic cells (L2 -> L3, Q4 -> Q8, H8 ->
+ * H20, T3 -> T6, T4 -> T10). A node is added in the middle of every
+ * edge; nodes shared between neighbouring cells are created only
+ * once.
+ * @returns {module:mesh.Mesh}
+ */
+exports.Mesh.prototype.toQuadratic = function() {
+  var type = this._gcells.type();
+  var spec = QUADRATIC_CELLS[type];
+  if (!spec)
+    throw new Error('Mesh#toQuadratic(): ' + type + ' is not supported.');
+
+  var fens = this._fens;
+  var idx = fens.count();
+  var midNodes = {}, midXyz = [];
+
+  var hashEdge = function(n1, n2) {
+    return Math.min(n1, n2) + ',' + Math.max(n1, n2);
+  };
+
+  var midNodeOf = function(n1, n2) {
+    var key = hashEdge(n1, n2);
+    if (typeof midNodes[key] === 'undefined') {
+      var p1 = fens.xyzAt(n1), p2 = fens.xyzAt(n2);
+      midXyz.push(p1.map(function(x, i) { return 0.5 * (x + p2[i]); }));
+      midNodes[key] = idx++;
+    }
+    return midNodes[key];
+  };
+
+  var newConn = this._gcells.conn().map(function(cell) {
+    return cell.concat(spec.edges.map(function(edge) {
+      return midNodeOf(cell[edge[0]], cell[edge[1]]);
+    }));
+  });
+
+  var newFens = fens.combineWith(new FeNodeSet({ xyz: midXyz }));
+  var newGCellSet = new spec.ctor({
+    conn: newConn,
+    axisSymm: this._gcells.axisSymm(),
+    otherDimension: this._gcells._otherDimension
+  });
+
+  return new Mesh({ fens: newFens, gcells: newGCellSet });
+};
+
 /**
  * Creates a L-shaped domain using 3 quads.
  * @returns {module:mesh.Mesh}
@@ -0,0 +1,64 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+
+var system = require('./system');
+var eigs = system.eigs;
+var Field = require('./field').Field;
+
+/**
+ * @module modal
+ */
+
+/**
+ * @typedef module:modal.ModalResult
+ * @property {Array} eigenvalues - lambda = omega^2, in ascending order.
+ * @property {Array} angularFrequencies - omega, in rad/s.
+ * @property {Array} frequencies - f = omega/(2*pi), in Hz.
+ * @property {module:field.Field[]} modes - mass normalized mode
+ * shapes.
+ * @property {Int} iterations - number of subspace iterations.
+ */
+
+/**
+ * Free vibration analysis. Returns the lowest nev natural
+ * frequencies and mode shapes of K*x = omega^2*M*x.
+ *
+ * The mode shapes are copies of u with the eigenvectors scattered to
+ * the free degrees of freedom. Prescribed degrees of freedom keep the
+ * prescribed values of u, which should be zero.
+ * @param {module:system.matrix.SparseSystemMatrix} K - stiffness.
+ * @param {module:system.matrix.SparseSystemMatrix} M - mass.
+ * @param {module:field.Field} u - displacement field, which numbers
+ * the equations of K and M.
+ * @param {Int} nev - number of modes.
+ * @param {module:numeric.SubspaceEigsOption} options - optional.
+ * @returns {module:modal.ModalResult}
+ */
+exports.modal = function modal(K, M, u, nev, options) {
+  if (!isa(u, Field))
+    throw new Error('modal(K, M, u, nev): u is not a Field.');
+
+  var res = eigs(K, M, nev, options);
+
+  // rigid body modes may come out slightly negative.
+  var omegas = res.values.map(function(lambda) {
+    return Math.sqrt(Math.max(lambda, 0));
+  });
+
+  var modes = res.vectors.map(function(vec) {
+    var mode = u.clone();
+    mode.scatterSystemVector_(vec);
+    return mode;
+  });
+
+  return {
+    eigenvalues: res.values,
+    angularFrequencies: omegas,
+    frequencies: omegas.map(function(omega) { return omega / (2 * Math.PI); }),
+    modes: modes,
+    iterations: res.iterations
+  };
+};
@@ -0,0 +1,473 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isArray = check.array;
+var isNumber = check.number;
+var isInteger = check.integer;
+var isAssigned = check.assigned;
+var array1d = _.array1d;
+
+var numeric = require('./core.numeric');
+var CsrSparseMatrix = numeric.CsrSparseMatrix;
+var factorize = numeric.factorize;
+
+var Field = require('./field').Field;
+var INVALID_EQUATION_NUM = Field.INVALID_EQUATION_NUM;
+var SparseSystemMatrix = require('./system.matrix').SparseSystemMatrix;
+var SparseSystemVector = require('./system.vector').SparseSystemVector;
+
+/**
+ * @module mpc
+ */
+
+/**
+ * @typedef module:mpc.Term
+ * @property {Int} id - node index, 0-based.
+ * @property {Int} dir - direction, 0-based.
+ * @property {Number} coef - coefficient.
+ */
+
+/**
+ * @typedef module:mpc.ConstrainOption
+ * @property {String} method - 'elimination' (default), 'lagrange' or
+ * 'penalty'.
+ * @property {Number|Array} penalty - 'penalty' stiffness, a number or
+ * one per constraint, 1e8 times the largest diagonal entry of K by
+ * default.
+ * @property {Number} tol - relative tolerance of the checks of
+ * constraints without free dofs and of the choice of the slaves,
+ * 1e-10 by default.
+ */
+
+/**
+ * @typedef module:mpc.ConstrainedSystem
+ * @property {module:system.matrix.SparseSystemMatrix} K - the
+ * constrained matrix.
+ * @property {Array} F - the constrained right hand side.
+ * @property {Function} recover - recover(y) returns {x, multipliers}
+ * from the solution y of K*y = F, x being the free values of the field
+ * (length u.neqns()) and multipliers the Lagrange multipliers, one per
+ * constraint.
+ */
+
+/**
+ * Linear multi-point constraint sum(coef_i * u_i) = value over dofs of
+ * a field. Terms on prescribed dofs are allowed, their prescribed
+ * values are moved to the right hand side.
+ * @class
+ * @param {Object} options
+ * @param {module:mpc.Term[]} options.terms
+ * @param {Number} options.value - optional, 0 by default.
+ */
+exports.MPC = function MPC(options) {
+  if (!isAssigned(options) || !isArray(options.terms) || options.terms.length === 0)
+    throw new Error('MPC(): options.terms is not valid.');
+  this._terms = options.terms.map(function(t) {
+    if (!isAssigned(t) || !isInteger(t.id) || !isInteger(t.dir) || !isNumber(t.coef))
+      throw new Error('MPC(): options.terms is not valid.');
+    return { id: t.id, dir: t.dir, coef: t.coef };
+  });
+
+  if (isAssigned(options.value) && !isNumber(options.value))
+    throw new Error('MPC(): options.value is not valid.');
+  this._value = options.value || 0;
+};
+var MPC = exports.MPC;
+
+/**
+ * Returns the terms of the constraint.
+ * @returns {module:mpc.Term[]}
+ */
+MPC.prototype.terms = function() {
+  return this._terms.map(function(t) {
+    return { id: t.id, dir: t.dir, coef: t.coef };
+  });
+};
+
+/**
+ * Returns the right hand side of the constraint.
+ * @returns {Number}
+ */
+MPC.prototype.value = function() {
+  return this._value;
+};
+
+/**
+ * Returns sum(coef_i * u_i) - value for the values of the field.
+ * @param {module:field.Field} u
+ * @returns {Number}
+ */
+MPC.prototype.residual = function(u) {
+  var values = u.values();
+  return this._terms.reduce(function(sum, t) {
+    return sum + t.coef * values[t.id][t.dir];
+  }, -this._value);
+};
+
+function idList(ids, caller) {
+  if (isInteger(ids)) return [ ids ];
+  if (isArray(ids) && ids.every(isInteger)) return ids;
+  throw new Error(caller + ': node indices are not valid.');
+}
+
+/**
+ * Ties the dofs of nodes a[k] and b[k] in the directions dirs,
+ * u(a[k], dir) = u(b[k], dir), e.g. coincident nodes of two meshes.
+ * @param {Int|Int[]} a - node indices.
+ * @param {Int|Int[]} b - node indices, as many as a.
+ * @param {Int|Int[]} dirs - directions.
+ * @returns {module:mpc.MPC[]}
+ */
+exports.tie = function tie(a, b, dirs) {
+  a = idList(a, 'tie()');
+  b = idList(b, 'tie()');
+  dirs = idList(dirs, 'tie()');
+  if (a.length !== b.length)
+    throw new Error('tie(): a and b must be of the same length.');
+
+  var res = [];
+  a.forEach(function(ia, k) {
+    dirs.forEach(function(dir) {
+      res.push(new MPC({
+        terms: [ { id: ia, dir: dir, coef: 1 }, { id: b[k], dir: dir, coef: -1 } ]
+      }));
+    });
+  });
+  return res;
+};
+
+/**
+ * Constrains the slave node to follow the master nodes,
+ * u(slave, dir) = sum(weights[k] * u(masters[k], dir)), e.g. a node of
+ * a non-matching interface interpolated by the basis functions of the
+ * facing cell.
+ * @param {Int} slave - node index.
+ * @param {Int[]} masters - node indices.
+ * @param {Number[]} weights - one per master.
+ * @param {Int|Int[]} dirs - directions.
+ * @returns {module:mpc.MPC[]}
+ */
+exports.interpolate = function interpolate(slave, masters, weights, dirs) {
+  if (!isInteger(slave))
+    throw new Error('interpolate(): slave is not valid.');
+  masters = idList(masters, 'interpolate()');
+  dirs = idList(dirs, 'interpolate()');
+  if (!isArray(weights) || weights.length !== masters.length || !weights.every(isNumber))
+    throw new Error('interpolate(): weights must be numbers, one per master.');
+
+  return dirs.map(function(dir) {
+    return new MPC({
+      terms: [ { id: slave, dir: dir, coef: 1 } ].concat(masters.map(function(id, k) {
+        return { id: id, dir: dir, coef: -weights[k] };
+      }))
+    });
+  });
+};
+
+// Returns the constraints in equation numbers, {coefs, rhs} per
+// MPC, coefs being an {eqnum: coef} map of the free dofs. Constraints
+// without free dofs are checked and get null.
+function equationRows(u, mpcs, tol) {
+  if (!isArray(mpcs) || !mpcs.every(function(c) { return isa(c, MPC); }))
+    throw new Error('constrain(): mpcs must be an array of MPC.');
+
+  return mpcs.map(function(c, k) {
+    var coefs = {}, rhs = c.value(), scale = Math.abs(rhs), free = false;
+    c._terms.forEach(function(t) {
+      var eq = u.eqnum(t.id, t.dir);
+      if (eq === INVALID_EQUATION_NUM) {
+        rhs -= t.coef * u.prescribedValue(t.id, t.dir);
+        scale = Math.max(scale, Math.abs(t.coef * u.prescribedValue(t.id, t.dir)));
+      } else {
+        coefs[eq] = (coefs[eq] || 0) + t.coef;
+        free = true;
+      }
+    });
+    if (!free) {
+      if (Math.abs(rhs) > tol * Math.max(scale, 1))
+        throw new Error('constrain(): constraint ' + k + ' on prescribed dofs is violated.');
+      return null;
+    }
+    return { coefs: coefs, rhs: rhs };
+  });
+}
+
+// Eliminates the slave dofs, u = T*y + g. Every constraint gives one
+// slave, the free dof of largest coefficient after substitution of the
+// previous slaves, and the expressions of the slaves are kept in the
+// masters only (Gauss-Jordan).
+function eliminate(Kcsr, F, rows, tol) {
+  var n = Kcsr.n(), slaves = {}, slaveOf = [];
+
+  rows.forEach(function(row, k) {
+    slaveOf.push(null);
+    if (!row) return;
+
+    var coefs = {}, rhs = row.rhs, amax = 0;
+    Object.keys(row.coefs).forEach(function(eq) {
+      var a = row.coefs[eq], s = slaves[eq];
+      amax = Math.max(amax, Math.abs(a));
+      if (!s) {
+        coefs[eq] = (coefs[eq] || 0) + a;
+        return;
+      }
+      rhs -= a * s.g;
+      Object.keys(s.t).forEach(function(m) {
+        coefs[m] = (coefs[m] || 0) + a * s.t[m];
+      });
+    });
+
+    var slave = null;
+    Object.keys(coefs).forEach(function(eq) {
+      if (Math.abs(coefs[eq]) <= tol * amax) delete coefs[eq];
+      else if (slave === null || Math.abs(coefs[eq]) > Math.abs(coefs[slave])) slave = eq;
+    });
+    if (slave === null) {
+      if (Math.abs(rhs) > tol * Math.max(Math.abs(row.rhs), 1))
+        throw new Error('constrain(): constraint ' + k + ' is inconsistent with ' +
+                        'the previous ones.');
+      return;
+    }
+
+    var as = coefs[slave], expr = { t: {}, g: rhs / as };
+    Object.keys(coefs).forEach(function(eq) {
+      if (eq !== slave) expr.t[eq] = -coefs[eq] / as;
+    });
+    Object.keys(slaves).forEach(function(eq) {
+      var s = slaves[eq], a = s.t[slave];
+      if (a === undefined) return;
+      delete s.t[slave];
+      s.g += a * expr.g;
+      Object.keys(expr.t).forEach(function(m) {
+        s.t[m] = (s.t[m] || 0) + a * expr.t[m];
+      });
+    });
+    slaves[slave] = expr;
+    slaveOf[k] = Number(slave);
+  });
+
+  // reduced numbering of the masters
+  var col = array1d(n, -1), nr = 0, i;
+  for (i = 0; i < n; ++i)
+    if (!slaves[i]) col[i] = nr++;
+  if (nr === 0)
+    throw new Error('constrain(): every free dof is constrained.');
+
+  var g = array1d(n, 0), trows = array1d(n, function(i) {
+    var s = slaves[i];
+    if (!s) return [ [ col[i], 1 ] ];
+    g[i] = s.g;
+    return Object.keys(s.t).map(function(m) { return [ col[m], s.t[m] ]; });
+  });
+
+  // T'*K*T and T'*(F - K*g)
+  var ri = [], ci = [], vals = [];
+  Kcsr.forEachNonzero(function(i, j, kij) {
+    trows[i].forEach(function(ti) {
+      trows[j].forEach(function(tj) {
+        ri.push(ti[0]);
+        ci.push(tj[0]);
+        vals.push(ti[1] * kij * tj[1]);
+      });
+    });
+  });
+  var Kg = Kcsr.mulVector(g), Fr = array1d(nr, 0);
+  trows.forEach(function(ti, i) {
+    ti.forEach(function(t) { Fr[t[0]] += t[1] * (F[i] - Kg[i]); });
+  });
+
+  return {
+    K: SparseSystemMatrix.fromCsrMatrix(CsrSparseMatrix.fromTriplets(nr, nr, ri, ci, vals)),
+    F: Fr,
+    recover: function(y) {
+      if (!isArray(y) || y.length !== nr)
+        throw new Error('constrain(): recover(y): y must be of length ' + nr + '.');
+      var x = trows.map(function(ti, i) {
+        return ti.reduce(function(sum, t) { return sum + t[1] * y[t[0]]; }, g[i]);
+      });
+      return { x: x, multipliers: multipliers(Kcsr, F, rows, slaveOf, x) };
+    }
+  };
+}
+
+// Returns the multipliers of the eliminated constraints, the least
+// squares solution of C'*lambda = F - K*x over the independent
+// constraints, 0 for the others.
+function multipliers(Kcsr, F, rows, slaveOf, x) {
+  var Kx = Kcsr.mulVector(x), r = F.map(function(f, i) { return f - Kx[i]; });
+  var lambda = array1d(rows.length, 0), indep = [], byEq = {};
+  rows.forEach(function(row, k) {
+    if (slaveOf[k] === null) return;
+    var c = indep.length;
+    indep.push(k);
+    Object.keys(row.coefs).forEach(function(eq) {
+      (byEq[eq] || (byEq[eq] = [])).push([ c, row.coefs[eq] ]);
+    });
+  });
+  if (indep.length === 0) return lambda;
+
+  var ri = [], ci = [], vals = [], Cr = array1d(indep.length, 0);
+  Object.keys(byEq).forEach(function(eq) {
+    byEq[eq].forEach(function(a) {
+      Cr[a[0]] += a[1] * r[eq];
+      byEq[eq].forEach(function(b) {
+        ri.push(a[0]);
+        ci.push(b[0]);
+        vals.push(a[1] * b[1]);
+      });
+    });
+  });
+  var CCt = CsrSparseMatrix.fromTriplets(indep.length, indep.length, ri, ci, vals);
+  factorize(CCt).solve(Cr).forEach(function(l, c) { lambda[indep[c]] = l; });
+  return lambda;
+}
+
+// Augments the system with the constraints, [K C'; C 0].
+function augment(Kcsr, F, rows) {
+  var n = Kcsr.n(), ri = [], ci = [], vals = [], rhs = F.slice(), index = [];
+  Kcsr.forEachNonzero(function(i, j, kij) {
+    ri.push(i);
+    ci.push(j);
+    vals.push(kij);
+  });
+  rows.forEach(function(row, k) {
+    index.push(row ? rhs.length - n : -1);
+    if (!row) return;
+    var c = n + index[k];
+    Object.keys(row.coefs).forEach(function(eq) {
+      ri.push(c, Number(eq));
+      ci.push(Number(eq), c);
+      vals.push(row.coefs[eq], row.coefs[eq]);
+    });
+    rhs.push(row.rhs);
+  });
+  var N = rhs.length;
+  if (N === n)
+    throw new Error('constrain(): no constraint on free dofs.');
+
+  return {
+    K: SparseSystemMatrix.fromCsrMatrix(CsrSparseMatrix.fromTriplets(N, N, ri, ci, vals)),
+    F: rhs,
+    recover: function(y) {
+      if (!isArray(y) || y.length !== N)
+        throw new Error('constrain(): recover(y): y must be of length ' + N + '.');
+      return {
+        x: y.slice(0, n),
+        multipliers: index.map(function(c) { return c < 0 ? 0 : y[n + c]; })
+      };
+    }
+  };
+}
+
+// Adds the penalty stiffness alpha*C'*C to K and alpha*C'*d to F.
+function penalize(Kcsr, F, rows, penalty) {
+  var n = Kcsr.n(), ri = [], ci = [], vals = [], rhs = F.slice();
+  var dmax = Kcsr.diagonal().reduce(function(m, d) { return Math.max(m, Math.abs(d)); }, 0);
+  var alphas = rows.map(function(row, k) {
+    var alpha = isArray(penalty) ? penalty[k] : penalty;
+    if (!isAssigned(alpha)) alpha = 1e8 * (dmax || 1);
+    if (!isNumber(alpha) || !(alpha > 0))
+      throw new Error('constrain(): penalty must be positive.');
+    return alpha;
+  });
+
+  Kcsr.forEachNonzero(function(i, j, kij) {
+    ri.push(i);
+    ci.push(j);
+    vals.push(kij);
+  });
+  rows.forEach(function(row, k) {
+    if (!row) return;
+    var eqs = Object.keys(row.coefs).map(Number), alpha = alphas[k];
+    eqs.forEach(function(a) {
+      rhs[a] += alpha * row.coefs[a] * row.rhs;
+      eqs.forEach(function(b) {
+        ri.push(a);
+        ci.push(b);
+        vals.push(alpha * row.coefs[a] * row.coefs[b]);
+      });
+    });
+  });
+
+  return {
+    K: SparseSystemMatrix.fromCsrMatrix(CsrSparseMatrix.fromTriplets(n, n, ri, ci, vals)),
+    F: rhs,
+    recover: function(y) {
+      if (!isArray(y) || y.length !== n)
+        throw new Error('constrain(): recover(y): y must be of length ' + n + '.');
+      return {
+        x: y.slice(),
+        multipliers: rows.map(function(row, k) {
+          if (!row) return 0;
+          return alphas[k] * Object.keys(row.coefs).reduce(function(sum, eq) {
+            return sum + row.coefs[eq] * y[eq];
+          }, -row.rhs);
+        })
+      };
+    }
+  };
+}
+
+/**
+ * Applies the multi-point constraints to the system K*x = F of the
+ * free dofs of u.
+ *
+ * With 'elimination', one slave dof per independent constraint is
+ * expressed in the others and removed, the constrained matrix keeps
+ * the symmetry and the definiteness of K. Redundant constraints are
+ * dropped, conflicting ones throw. With 'lagrange', the multipliers
+ * are added as unknowns, the constrained matrix is symmetric
+ * indefinite and the constraints must be independent. With
+ * 'penalty', the stiffness alpha*C'*C is added and the constraints are
+ * satisfied approximately, the larger alpha the closer, without
+ * changing the size of the system.
+ *
+ * The multipliers lambda are those of K*x + C'*lambda = F, i.e. the
+ * reactions -C'*lambda are the forces the constraints apply.
+ * @param {module:system.matrix.SparseSystemMatrix} K
+ * @param {Array|module:system.vector.SparseSystemVector} F
+ * @param {module:field.Field} u - the field numbering the equations.
+ * @param {module:mpc.MPC[]} mpcs
+ * @param {module:mpc.ConstrainOption} options - optional.
+ * @returns {module:mpc.ConstrainedSystem}
+ */
+exports.constrain = function constrain(K, F, u, mpcs, options) {
+  if (isa(K, SparseSystemMatrix))
+    K = K.csrMatrix();
+  else if (!isa(K, CsrSparseMatrix))
+    throw new Error('constrain(): K must be a SparseSystemMatrix or a CsrSparseMatrix.');
+  if (isa(F, SparseSystemVector))
+    F = F.sparseVector().toList();
+  if (!isa(u, Field))
+    throw new Error('constrain(): u must be a Field.');
+  if (K.m() !== u.neqns() || K.n() !== u.neqns() || !isArray(F) || F.length !== u.neqns())
+    throw new Error('constrain(): K and F must be of dimension u.neqns().');
+
+  options = options || {};
+  var tol = isAssigned(options.tol) ? options.tol : 1e-10;
+  var rows = equationRows(u, mpcs, tol);
+  var method = options.method || 'elimination';
+
+  if (method === 'elimination') return eliminate(K, F, rows, tol);
+  if (method === 'lagrange') return augment(K, F, rows);
+  if (method === 'penalty') return penalize(K, F, rows, options.penalty);
+  throw new Error('constrain(): unknown method ' + method + '.');
+};
+
+/**
+ * Solves K*x = F under the multi-point constraints, see
+ * module:mpc.constrain. The result can be scattered with
+ * module:field.Field#scatterSystemVector_.
+ * @param {module:system.matrix.SparseSystemMatrix} K
+ * @param {Array|module:system.vector.SparseSystemVector} F
+ * @param {module:field.Field} u - the field numbering the equations.
+ * @param {module:mpc.MPC[]} mpcs
+ * @param {module:mpc.ConstrainOption} options - optional.
+ * @returns {Object} {x, multipliers}.
+ */
+exports.solve = function solve(K, F, u, mpcs, options) {
+  var sys = exports.constrain(K, F, u, mpcs, options);
+  return sys.recover(sys.K.csrMatrix().solveVector(sys.F));
+};
@@ -15,20 +15,36 @@ function NodalLoad(options) {
   this._ids = ids;
   this._dirs = dirs;
   this._magns = magns;
+
+  // optional time function scaling the magnitudes, see loads().
+  if (check.assigned(options.amplitude) && !check.function(options.amplitude))
+    throw new Error('NodalLoad(): options.amplitude is not a function.');
+  this._amplitude = options.amplitude || null;
+
+  // the directions are global axes even at nodes with a local frame,
+  // see Field#setNodeFrames_.
+  this._global = !!options.global;
 }
 
-NodalLoad.prototype.loads = function(u) {
+// t is the time at which the loads are evaluated, 0 by default. The
+// magnitudes are scaled by amplitude(t) when an amplitude is given.
+NodalLoad.prototype.loads = function(u, t) {
   var i, j, en;
   var id, dir;
   var val;
+  var scale = this._amplitude ? this._amplitude(t || 0) : 1;
   var nids = this._ids.length, ndirs = this._dirs.length;
   var vec = [], eqnums = [];
   for (i = 0; i < nids; ++i) {
     id = this._ids[i];
+    if (this._global && u.nodeFrame(id)) {
+      this._pushLocal_(u, id, scale, vec, eqnums);
+      continue;
+    }
     for (j = 0; j < ndirs; ++j) {
       dir = this._dirs[j];
       en = u.eqnum(id, dir);
-      val = this._magns[j];
+      val = this._magns[j] * scale;
       vec.push(val);
       eqnums.push(en);
     }
@@ -36,4 +52,18 @@ NodalLoad.prototype.loads = function(u) {
   return new ElementVector(vec, eqnums);
 };
 
+// Pushes the loads of node id, given in global directions, in the
+// frame of the node.
+NodalLoad.prototype._pushLocal_ = function(u, id, scale, vec, eqnums) {
+  var R = u.nodeFrame(id), dim = u.dim(), f = [], j, k, val;
+  for (k = 0; k < dim; ++k) f.push(0);
+  for (j = 0; j < this._dirs.length; ++j)
+    f[this._dirs[j]] += this._magns[j] * scale;
+  for (k = 0; k < dim; ++k) {
+    for (val = 0, j = 0; j < dim; ++j) val += R[j][k] * f[j];
+    vec.push(val);
+    eqnums.push(u.eqnum(id, k));
+  }
+};
+
 exports.NodalLoad = NodalLoad;
@@ -0,0 +1,246 @@
+/*global require __dirname*/
+// dependencies
+var os = require('os');
+var Worker = require('worker_threads').Worker;
+
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isArray = check.array;
+var isNumber = check.number;
+var isFunction = check.function;
+var isAssigned = check.assigned;
+
+var DeforSS = require('./feblock').DeforSS;
+var Field = require('./field').Field;
+var ElementMatrix = require('./system.matrix').ElementMatrix;
+var SparseSystemMatrix = require('./system.matrix').SparseSystemMatrix;
+var ElementVector = require('./system.vector').ElementVector;
+var ForceIntensity = require('./forceintensity').ForceIntensity;
+var genISORm = require('./feutils').genISORm;
+
+/**
+ * Node only, it is not exported by the index used for the browser
+ * build. Require it directly, e.g. require('js-fea/src/parallel').
+ * @module parallel
+ */
+
+/**
+ * @typedef module:parallel.ParallelOption
+ * @property {Int} workers - number of worker threads, the number of
+ * cpus by default. The cells are split in as many contiguous chunks.
+ */
+
+// Classes whose instances are sent to the workers as their own
+// properties and rebuilt there with the same prototype.
+var CLASS_MODULES = [ 'material', 'property', 'integrationrule' ];
+
+function classKey(obj) {
+  var key = null;
+  CLASS_MODULES.some(function(name) {
+    var mod = require('./' + name);
+    return Object.keys(mod).some(function(exportName) {
+      if (isFunction(mod[exportName]) && obj.constructor === mod[exportName]) {
+        key = name + '.' + exportName;
+        return true;
+      }
+      return false;
+    });
+  });
+  return key;
+}
+
+// Returns a structured cloneable description of obj.
+function describe(obj, what) {
+  if (!isAssigned(obj) || typeof obj !== 'object') return obj;
+  if (isArray(obj)) return obj.map(function(x) { return describe(x, what); });
+
+  var key = classKey(obj);
+  if (!key)
+    throw new Error('parallel: ' + what + ' can not be sent to a worker.');
+  var props = {};
+  Object.keys(obj).forEach(function(k) {
+    if (isFunction(obj[k]))
+      throw new Error('parallel: ' + what + ' has a function and can not be ' +
+                      'sent to a worker.');
+    props[k] = describe(obj[k], what);
+  });
+  return { __class: key, props: props };
+}
+
+// Returns the description of the block restricted to the cells of
+// conn. Functions can not be sent, except genISORm.
+function describeBlock(feb, conn) {
+  var gcells = feb._gcells, rm = feb._rm, otherDimension = gcells._otherDimension;
+  if (rm === genISORm)
+    rm = 'genISORm';
+  else if (isFunction(rm))
+    throw new Error('parallel: rm function can not be sent to a worker.');
+  if (!isNumber(otherDimension))
+    throw new Error('parallel: otherDimension function can not be sent to a worker.');
+
+  return {
+    gcells: {
+      type: gcells.type(),
+      conn: conn,
+      axisSymm: gcells.axisSymm(),
+      otherDimension: otherDimension
+    },
+    material: describe(feb._mater, 'material'),
+    integrationRule: describe(feb._ir, 'integrationRule'),
+    rm: rm
+  };
+}
+
+exports._rebuild = function rebuild(desc) {
+  if (!isAssigned(desc) || typeof desc !== 'object') return desc;
+  if (isArray(desc)) return desc.map(rebuild);
+  var parts = desc.__class.split('.');
+  var obj = Object.create(require('./' + parts[0])[parts[1]].prototype);
+  Object.keys(desc.props).forEach(function(k) {
+    obj[k] = rebuild(desc.props[k]);
+  });
+  return obj;
+};
+
+// Returns the jobs of the workers, one per chunk of cells.
+function makeJobs(feb, geom, u, task, options) {
+  if (!isa(feb, DeforSS))
+    throw new Error('parallel: feb must be a DeforSS.');
+  if (!isa(geom, Field) || !isa(u, Field))
+    throw new Error('parallel: geom and u must be Field.');
+
+  options = options || {};
+  var conns = feb.gcells().conn();
+  var nworkers = options.workers || os.cpus().length;
+  if (!(nworkers >= 1))
+    throw new Error('parallel: workers must be a positive integer.');
+  nworkers = Math.max(1, Math.min(nworkers, conns.length));
+
+  var dim = geom.dim(), xs = geom.values();
+  var xyz = new Float64Array(xs.length * dim);
+  xs.forEach(function(x, i) { xyz.set(x, i * dim); });
+
+  var chunk = Math.ceil(conns.length / nworkers), start, jobs = [];
+  for (start = 0; start < conns.length; start += chunk) {
+    jobs.push({
+      block: describeBlock(feb, conns.slice(start, start + chunk)),
+      xyz: xyz,
+      dim: dim,
+      udim: u.dim(),
+      task: task
+    });
+  }
+  return jobs;
+}
+
+// Runs task over the cells of feb in parallel. Resolves to the
+// results of the chunks in order, {values, size} per chunk, values
+// holding size numbers per cell.
+function run(feb, geom, u, task, options) {
+  var jobs;
+  try {
+    jobs = makeJobs(feb, geom, u, task, options);
+  } catch (e) {
+    return Promise.reject(e);
+  }
+
+  return Promise.all(jobs.map(function(job) {
+    return new Promise(function(resolve, reject) {
+      var worker = new Worker(__dirname + '/parallel.worker.js', { workerData: job });
+      var result = null;
+      worker.once('message', function(msg) { result = msg; });
+      worker.once('error', reject);
+      worker.once('exit', function(code) {
+        if (result) resolve(result);
+        else reject(new Error('parallel: worker exited with code ' + code + '.'));
+      });
+    });
+  }));
+}
+
+/**
+ * Computes the element stiffness matrices like
+ * module:feblock.DeforSS#stiffness, with the cells split across
+ * worker threads. The workers return the matrices in transferable
+ * typed arrays, they are identical to the serial ones and in the same
+ * order. The node frames of u are applied on the calling thread.
+ * @param {module:feblock.DeforSS} feb
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:parallel.ParallelOption} options - optional.
+ * @returns {Promise} resolves to an array of {@link
+ * module:system.matrix.ElementMatrix}.
+ */
+exports.stiffness = function stiffness(feb, geom, u, options) {
+  return run(feb, geom, u, { name: 'stiffness' }, options).then(function(chunks) {
+    var conns = feb.gcells().conn(), ems = [];
+    chunks.forEach(function(res) {
+      var n = Math.sqrt(res.size), offset, a, rows, conn;
+      for (offset = 0; offset < res.values.length; offset += res.size) {
+        rows = [];
+        for (a = 0; a < n; ++a)
+          rows.push(Array.prototype.slice.call(res.values, offset + a * n, offset + (a + 1) * n));
+        conn = conns[ems.length];
+        ems.push(new ElementMatrix(feb._toNodeFrames(u, conn, rows), u.gatherEqnumsVector(conn)));
+      }
+    });
+    return ems;
+  });
+};
+
+/**
+ * Computes and assembles the stiffness matrix in parallel, see
+ * module:parallel.stiffness. The assembly is done on the calling
+ * thread in cell order, so the result does not depend on the number
+ * of workers.
+ * @param {module:feblock.DeforSS} feb
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:parallel.ParallelOption} options - optional.
+ * @returns {Promise} resolves to a {@link
+ * module:system.matrix.SparseSystemMatrix}, already assembled.
+ */
+exports.assembleStiffness = function assembleStiffness(feb, geom, u, options) {
+  return exports.stiffness(feb, geom, u, options).then(function(ems) {
+    var K = new SparseSystemMatrix(u.neqns(), u.neqns(), ems);
+    K.csrMatrix();
+    return K;
+  });
+};
+
+/**
+ * Computes the element load vectors like
+ * module:feblock.DeforSS#distributeLoads in parallel. Only force
+ * intensities of constant magnitude can be sent to the workers.
+ * @param {module:feblock.DeforSS} feb
+ * @param {module:field.Field} geom - geometric field.
+ * @param {module:field.Field} u - displacement field.
+ * @param {module:forceintensity.ForceIntensity} fi - force intensity.
+ * @param {Int} m - manifold dimension, null for the volume, see
+ * module:feblock.DeforSS#distributeLoads.
+ * @param {module:parallel.ParallelOption} options - optional.
+ * @returns {Promise} resolves to an array of {@link
+ * module:system.vector.ElementVector}.
+ */
+exports.distributeLoads = function distributeLoads(feb, geom, u, fi, m, options) {
+  if (!isa(fi, ForceIntensity) || !fi.constantMagn())
+    return Promise.reject(new Error('parallel.distributeLoads(): fi must be a ' +
+                                    'ForceIntensity of constant magnitude.'));
+
+  var task = { name: 'distributeLoads', magn: fi.constantMagn(), m: m };
+  return run(feb, geom, u, task, options).then(function(chunks) {
+    var conns = feb.gcells().conn(), evs = [];
+    chunks.forEach(function(res) {
+      var offset, conn;
+      for (offset = 0; offset < res.values.length; offset += res.size) {
+        conn = conns[evs.length];
+        evs.push(new ElementVector(
+          feb._toNodeFrames(u, conn, Array.prototype.slice.call(res.values, offset, offset + res.size)),
+          u.gatherEqnumsVector(conn)
+        ));
+      }
+    });
+    return evs;
+  });
+};
@@ -0,0 +1,46 @@
+/*global require*/
+// parallel.worker, computes the element matrices or vectors of a
+// chunk of cells, see module:parallel.
+var workerThreads = require('worker_threads');
+var job = workerThreads.workerData;
+
+var gcellset = require('./gcellset');
+var DeforSS = require('./feblock').DeforSS;
+var Field = require('./field').Field;
+var ForceIntensity = require('./forceintensity').ForceIntensity;
+var genISORm = require('./feutils').genISORm;
+var rebuild = require('./parallel')._rebuild;
+
+var block = job.block;
+var feb = new DeforSS({
+  material: rebuild(block.material),
+  gcells: new gcellset[block.gcells.type]({
+    conn: block.gcells.conn,
+    axisSymm: block.gcells.axisSymm,
+    otherDimension: block.gcells.otherDimension
+  }),
+  integrationRule: rebuild(block.integrationRule),
+  rm: block.rm === 'genISORm' ? genISORm : block.rm
+});
+
+var nfens = job.xyz.length / job.dim, xs = [], i;
+for (i = 0; i < nfens; ++i)
+  xs.push(Array.prototype.slice.call(job.xyz, i * job.dim, (i + 1) * job.dim));
+var geom = new Field({ values: xs });
+// the equation numbers are gathered by the caller.
+var u = new Field({ nfens: nfens, dim: job.udim });
+
+var items, size;
+if (job.task.name === 'stiffness') {
+  items = feb.stiffness(geom, u).map(function(em) {
+    return [].concat.apply([], em.matrix);
+  });
+} else {
+  items = feb.distributeLoads(geom, u, new ForceIntensity({ magn: job.task.magn }),
+                              job.task.m).map(function(ev) { return ev.vector; });
+}
+
+size = items.length > 0 ? items[0].length : 0;
+var values = new Float64Array(items.length * size);
+items.forEach(function(item, k) { values.set(item, k * size); });
+workerThreads.parentPort.postMessage({ values: values, size: size }, [ values.buffer ]);
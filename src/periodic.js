@@ -0,0 +1,287 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isArray = check.array;
+var isNumber = check.number;
+var isAssigned = check.assigned;
+var array1d = _.array1d;
+var array2d = _.array2d;
+
+var FeNodeSet = require('./fens').FeNodeSet;
+var Field = require('./field').Field;
+var EBC = require('./ebc').EBC;
+var DeforSS = require('./feblock').DeforSS;
+var SparseSystemMatrix = require('./system.matrix').SparseSystemMatrix;
+var SparseSystemVector = require('./system.vector').SparseSystemVector;
+var mpc = require('./mpc');
+var MPC = mpc.MPC;
+
+/**
+ * @module periodic
+ */
+
+/**
+ * @typedef module:periodic.NodePair
+ * @property {Int} minus - node on the lower face.
+ * @property {Int} plus - the matching node on the upper face.
+ * @property {Int} axis - the axis normal to the faces.
+ */
+
+/**
+ * @typedef module:periodic.PeriodicOption
+ * @property {module:fens.FeNodeSet} fens - nodes of the RVE.
+ * @property {Array} strain - macroscopic strain, a dim by dim tensor
+ * or a vector in the order of the rows of the B matrices, with
+ * engineering shear strains. Zero by default.
+ * @property {Array} bounds - optional, [xmin, xmax, ymin, ymax, ...]
+ * of the RVE, the bounding box of the nodes by default.
+ * @property {Number} tol - optional, tolerance of the face selection
+ * and of the node matching, 1e-6 times the largest extent by default.
+ */
+
+// Voigt components in the order of the rows of the B matrices, see
+// module:feblock.DeforSS#_blmat2 and _blmat3.
+var VOIGT = {
+  2: [ [0, 0], [1, 1], [0, 1] ],
+  3: [ [0, 0], [1, 1], [2, 2], [0, 1], [0, 2], [1, 2] ]
+};
+
+// Returns the strain tensor of strain, a tensor or a Voigt vector.
+function strainTensor(strain, dim) {
+  if (!isAssigned(strain)) return array2d(dim, dim, 0);
+  if (isArray(strain) && strain.length === dim && strain.every(function(row) {
+    return isArray(row) && row.length === dim && row.every(isNumber);
+  }))
+    return strain;
+  if (isArray(strain) && VOIGT[dim] && strain.length === VOIGT[dim].length &&
+      strain.every(isNumber)) {
+    var E = array2d(dim, dim, 0);
+    VOIGT[dim].forEach(function(ij, k) {
+      var v = ij[0] === ij[1] ? strain[k] : strain[k] / 2;
+      E[ij[0]][ij[1]] = v;
+      E[ij[1]][ij[0]] = v;
+    });
+    return E;
+  }
+  throw new Error('PeriodicBC(): options.strain is not valid.');
+}
+
+function boundingBox(fens) {
+  var dim = fens.dim(), bounds = [], i, d, xyz;
+  for (d = 0; d < dim; ++d) bounds.push(Infinity, -Infinity);
+  for (i = 0; i < fens.nfens(); ++i) {
+    xyz = fens.xyzAt(i);
+    for (d = 0; d < dim; ++d) {
+      bounds[2*d] = Math.min(bounds[2*d], xyz[d]);
+      bounds[2*d+1] = Math.max(bounds[2*d+1], xyz[d]);
+    }
+  }
+  return bounds;
+}
+
+// Returns the nodes of the face of the box at bounds[2*axis + side].
+function faceNodes(fens, bounds, axis, side, tol) {
+  var face = bounds.slice(), x = bounds[2*axis + side];
+  face[2*axis] = x;
+  face[2*axis + 1] = x;
+  return fens.boxSelect({ bounds: face, inflate: tol });
+}
+
+/**
+ * Periodic boundary conditions of a box shaped representative volume
+ * element. Every node of an upper face is paired with the node of
+ * the opposite face at the same position, and their displacements
+ * are constrained to differ by the macroscopic strain,
+ * u(plus) - u(minus) = strain * (x(plus) - x(minus)). The rigid body
+ * motion is removed by the EBC of module:periodic.PeriodicBC#anchor.
+ * @class
+ * @param {module:periodic.PeriodicOption} options
+ */
+exports.PeriodicBC = function PeriodicBC(options) {
+  if (!isAssigned(options) || !isa(options.fens, FeNodeSet))
+    throw new Error('PeriodicBC(): options.fens must be a FeNodeSet.');
+  var fens = options.fens, dim = fens.dim();
+  var bounds = options.bounds || boundingBox(fens);
+  if (!isArray(bounds) || bounds.length !== 2*dim || !bounds.every(isNumber))
+    throw new Error('PeriodicBC(): options.bounds is not valid.');
+
+  var extent = 0, d;
+  for (d = 0; d < dim; ++d) extent = Math.max(extent, bounds[2*d+1] - bounds[2*d]);
+  var tol = isNumber(options.tol) ? options.tol : 1e-6 * extent;
+
+  this._fens = fens;
+  this._bounds = bounds;
+  this._tol = tol;
+  this._strain = strainTensor(options.strain, dim);
+  this._pairs = [];
+
+  for (d = 0; d < dim; ++d) {
+    var minus = faceNodes(fens, bounds, d, 0, tol).map(function(i) {
+      return { id: i, xyz: fens.xyzAt(i) };
+    });
+    faceNodes(fens, bounds, d, 1, tol).forEach(function(p) {
+      var xp = fens.xyzAt(p), match = null;
+      minus.some(function(m) {
+        var k;
+        for (k = 0; k < dim; ++k)
+          if (k !== d && Math.abs(m.xyz[k] - xp[k]) > tol) return false;
+        match = m.id;
+        return true;
+      });
+      if (match === null)
+        throw new Error('PeriodicBC(): node ' + p + ' has no match on the opposite face.');
+      this._pairs.push({ minus: match, plus: p, axis: d });
+    }, this);
+  }
+};
+var PeriodicBC = exports.PeriodicBC;
+
+/**
+ * Returns the pairs of nodes of the opposite faces.
+ * @returns {module:periodic.NodePair[]}
+ */
+PeriodicBC.prototype.pairs = function() {
+  return this._pairs.slice();
+};
+
+/**
+ * Returns the macroscopic strain tensor.
+ * @returns {module:types.Matrix}
+ */
+PeriodicBC.prototype.strain = function() {
+  return this._strain;
+};
+
+// Returns strain * xyz, the macroscopic displacement at xyz.
+PeriodicBC.prototype._macro = function(xyz) {
+  return this._strain.map(function(row) {
+    return row.reduce(function(sum, e, j) { return sum + e * xyz[j]; }, 0);
+  });
+};
+
+/**
+ * Returns the EBC fixing the node at the lower corner of the box to
+ * the macroscopic displacement strain * x, to be given to the
+ * displacement field.
+ * @returns {module:ebc.EBC}
+ */
+PeriodicBC.prototype.anchor = function() {
+  var bounds = this._bounds, corner = [], d;
+  for (d = 0; d < bounds.length / 2; ++d) corner.push(bounds[2*d], bounds[2*d]);
+  var ids = this._fens.boxSelect({ bounds: corner, inflate: this._tol });
+  if (ids.length === 0)
+    throw new Error('PeriodicBC::anchor(): no node at the lower corner.');
+
+  var fens = this._fens, self = this;
+  return new EBC({
+    id: ids[0],
+    dir: array1d(fens.dim(), function(i) { return i; }),
+    value: function(id, dir) { return self._macro(fens.xyzAt(id))[dir]; }
+  });
+};
+
+/**
+ * Returns the periodic constraints on the field u, see module:mpc.
+ * Constraints of the edge and corner nodes are redundant and must be
+ * applied by elimination.
+ * @param {module:field.Field} u - displacement field.
+ * @returns {module:mpc.MPC[]}
+ */
+PeriodicBC.prototype.constraints = function(u) {
+  var fens = this._fens, dim = u.dim(), res = [];
+  this._pairs.forEach(function(pair) {
+    var xm = fens.xyzAt(pair.minus), xp = fens.xyzAt(pair.plus);
+    var jump = this._macro(xp.map(function(x, k) { return x - xm[k]; })), i;
+    for (i = 0; i < dim; ++i) {
+      res.push(new MPC({
+        terms: [ { id: pair.plus, dir: i, coef: 1 }, { id: pair.minus, dir: i, coef: -1 } ],
+        value: jump[i]
+      }));
+    }
+  }, this);
+  return res;
+};
+
+/**
+ * @typedef module:periodic.Homogenization
+ * @property {module:types.Matrix} C - effective elasticity matrix,
+ * volume averaged stresses of the unit macroscopic strains, in the
+ * order of the rows of the B matrices.
+ * @property {Number} volume - volume of the box.
+ */
+
+/**
+ * Computes the effective elasticity matrix of a periodic RVE, solving
+ * one load case per strain component, six in 3D and three in 2D. The
+ * stresses are averaged over the box, so voids count with zero
+ * stress. The blocks must use the global frame (no rm, or genISORm on
+ * volume cells).
+ * @param {module:feblock.DeforSS|module:feblock.DeforSS[]} febs - the
+ * blocks of the phases.
+ * @param {module:fens.FeNodeSet} fens - nodes of the RVE.
+ * @param {module:periodic.PeriodicOption} options - optional bounds
+ * and tol.
+ * @returns {module:periodic.Homogenization}
+ */
+exports.homogenize = function homogenize(febs, fens, options) {
+  if (isa(febs, DeforSS)) febs = [ febs ];
+  if (!isArray(febs) || febs.length === 0 || !febs.every(function(feb) {
+    return isa(feb, DeforSS);
+  }))
+    throw new Error('homogenize(): febs must be DeforSS.');
+  if (!isa(fens, FeNodeSet))
+    throw new Error('homogenize(): fens must be a FeNodeSet.');
+
+  options = options || {};
+  var dim = fens.dim(), voigt = VOIGT[dim];
+  if (!voigt)
+    throw new Error('homogenize(): fens must be of dimension 2 or 3.');
+  var nv = voigt.length;
+
+  var geom = new Field({ fens: fens });
+  function periodicBC(strain) {
+    return new PeriodicBC({ fens: fens, bounds: options.bounds, tol: options.tol, strain: strain });
+  }
+  function displacement(pbc) {
+    return new Field({ dim: dim, nfens: fens.nfens(), ebcs: [ pbc.anchor() ] });
+  }
+
+  // The prescribed dofs do not depend on the strain, neither do the
+  // equation numbers and the stiffness.
+  var pbc = periodicBC(null), u = displacement(pbc), neqns = u.neqns();
+  var kes = febs.map(function(feb) { return feb.stiffness(geom, u); });
+  var K = new SparseSystemMatrix(neqns, neqns, [].concat.apply([], kes));
+
+  var bounds = pbc._bounds, volume = 1, d;
+  for (d = 0; d < dim; ++d) volume *= bounds[2*d+1] - bounds[2*d];
+
+  var C = array2d(nv, nv, 0), k;
+  function loadCase(k) {
+    var pbc = periodicBC(array1d(nv, function(i) { return i === k ? 1 : 0; }));
+    var u = displacement(pbc);
+    var loads = [];
+    febs.forEach(function(feb, b) {
+      loads.push.apply(loads, feb.noneZeroEBCLoads(geom, u, kes[b]));
+    });
+    var F = new SparseSystemVector(neqns, loads);
+    u.scatterSystemVector_(mpc.solve(K, F, u, pbc.constraints(u)).x);
+
+    febs.forEach(function(feb) {
+      var g = feb.geometry(geom);
+      feb.integrationPointStresses(geom, u).forEach(function(ips, i) {
+        ips.forEach(function(ip, j) {
+          if (ip.stress.length !== nv)
+            throw new Error('homogenize(): the material must have ' + nv +
+                            ' stress components.');
+          var w = g.weight(j) * g.jacobian(i, j, dim) / volume;
+          ip.stress.forEach(function(s, r) { C[r][k] += w * s; });
+        });
+      });
+    });
+  }
+  for (k = 0; k < nv; ++k) loadCase(k);
+
+  return { C: C, volume: volume };
+};
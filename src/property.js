@@ -15,9 +15,12 @@ var mul = numeric.mul;
 
 function MaterialProperty(props) {
   this._rho = (props && typeof props.rho === 'number') ? props.rho : 1.0;
+  this._alpha = (props && typeof props.alpha === 'number') ? props.alpha : 0.0;
 }
 
 MaterialProperty.prototype.rho = function() { return this._rho; };
+// Coefficient of thermal expansion.
+MaterialProperty.prototype.alpha = function() { return this._alpha; };
 exports.MaterialProperty = MaterialProperty;
 
 var _input_contract_LinElIsoProp_ = _.defineContract(function(props) {
@@ -28,6 +31,8 @@ var _input_contract_LinElIsoProp_ = _.defineContract(function(props) {
     assert.number(props.nu, 'props.nu is not a number.');
     if (props.nu < 0) throw new Error('props.nu < 0.');
   }
+  if (check.assigned(props.alpha))
+    assert.number(props.alpha, 'props.alpha is not a number.');
 }, 'input is not a valid linear elasitc iso property.');
 
 function LinElIso(props) {
@@ -0,0 +1,303 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isArray = check.array;
+var isAssigned = check.assigned;
+var array1d = _.array1d;
+
+var GCellSet = require('./gcellset').GCellSet;
+
+/**
+ * @module renumber
+ */
+
+/**
+ * @typedef module:renumber.Graph
+ * @type {Array}
+ * @description adjacency list of the nodes, graph[i] is the sorted
+ * array of the nodes sharing a cell with node i.
+ */
+
+/**
+ * @typedef module:renumber.GraphMeasures
+ * @property {Int} bandwidth - max |i - j| over the edges.
+ * @property {Int} profile - sum over the nodes i of i - min(j),
+ * j being i or a neighbour of i.
+ */
+
+/**
+ * @typedef module:renumber.RenumberOption
+ * @property {String} method - 'rcm' (default) or 'sloan'.
+ * @property {Number} w1 - weight of the distance to the end node in
+ * the sloan priority, 1 by default.
+ * @property {Number} w2 - weight of the degree in the sloan priority,
+ * 2 by default.
+ */
+
+/**
+ * @typedef module:renumber.RenumberResult
+ * @property {Array} order - new to old, order[k] is the old index of
+ * the k-th node.
+ * @property {Array} position - old to new, the inverse of order.
+ * @property {module:renumber.GraphMeasures} before
+ * @property {module:renumber.GraphMeasures} after
+ */
+
+function gcellsetList(gcellsets) {
+  if (isa(gcellsets, GCellSet)) return [ gcellsets ];
+  if (isArray(gcellsets) && gcellsets.every(function(g) { return isa(g, GCellSet); }))
+    return gcellsets;
+  throw new Error('renumber: gcellsets must be a GCellSet or an array of GCellSet.');
+}
+
+/**
+ * Returns the nodal graph of the cells, nodes are connected if they
+ * share a cell.
+ * @param {module:gcellset.GCellSet|module:gcellset.GCellSet[]} gcellsets
+ * @param {Int} nfens - optional, number of nodes. Default is the
+ * largest node index plus one.
+ * @returns {module:renumber.Graph}
+ */
+exports.nodalGraph = function nodalGraph(gcellsets, nfens) {
+  var conns = gcellsetList(gcellsets).map(function(g) { return g.conn(); });
+  if (!isAssigned(nfens)) {
+    nfens = 0;
+    conns.forEach(function(conn) {
+      conn.forEach(function(cell) {
+        nfens = Math.max(nfens, Math.max.apply(null, cell) + 1);
+      });
+    });
+  }
+
+  var sets = array1d(nfens, function() { return {}; });
+  conns.forEach(function(conn) {
+    conn.forEach(function(cell) {
+      cell.forEach(function(i) {
+        if (i < 0 || i >= nfens)
+          throw new Error('nodalGraph(): node ' + i + ' out of range.');
+        cell.forEach(function(j) {
+          if (i !== j) sets[i][j] = true;
+        });
+      });
+    });
+  });
+
+  return sets.map(function(set) {
+    return Object.keys(set).map(Number).sort(function(a, b) { return a - b; });
+  });
+};
+
+// Returns the level structure rooted at root, an array of levels.
+function levelStructure(graph, root, mark, tag) {
+  var levels = [ [ root ] ], level, next;
+  mark[root] = tag;
+  for (;;) {
+    level = levels[levels.length - 1];
+    next = [];
+    level.forEach(function(i) {
+      graph[i].forEach(function(j) {
+        if (mark[j] !== tag) {
+          mark[j] = tag;
+          next.push(j);
+        }
+      });
+    });
+    if (next.length === 0) return levels;
+    levels.push(next);
+  }
+}
+
+// Returns {start, end, nodes} of the component of root, start and end
+// being a pair of pseudo-peripheral nodes (George and Liu).
+function pseudoPeripheral(graph, root, mark, nextTag) {
+  var levels = levelStructure(graph, root, mark, nextTag()), candidate, res;
+  for (;;) {
+    candidate = levels[levels.length - 1].reduce(function(best, i) {
+      return graph[i].length < graph[best].length ? i : best;
+    });
+    res = levelStructure(graph, candidate, mark, nextTag());
+    if (res.length <= levels.length)
+      return { start: root, end: candidate, levels: levels };
+    root = candidate;
+    levels = res;
+  }
+}
+
+// Calls fn(start, end) for every connected component, returns the
+// marks of visited nodes.
+function forEachComponent(graph, fn) {
+  var n = graph.length, mark = array1d(n, 0), visited = array1d(n, false);
+  var tag = 0, i, comp;
+  function nextTag() { return ++tag; }
+  for (i = 0; i < n; ++i) {
+    if (visited[i]) continue;
+    comp = pseudoPeripheral(graph, i, mark, nextTag);
+    comp.levels.forEach(function(level) {
+      level.forEach(function(j) { visited[j] = true; });
+    });
+    fn(comp.start, comp.end);
+  }
+}
+
+function checkOrder(order, n, caller) {
+  if (order.length !== n)
+    throw new Error(caller + ': order must be of length ' + n + '.');
+}
+
+/**
+ * Reverse Cuthill-McKee ordering, every connected component starts
+ * from a pseudo-peripheral node.
+ * @param {module:renumber.Graph} graph
+ * @returns {Array} new to old order.
+ */
+exports.reverseCuthillMcKee = function reverseCuthillMcKee(graph) {
+  var n = graph.length, numbered = array1d(n, false), order = [];
+  function byDegree(a, b) { return graph[a].length - graph[b].length || a - b; }
+
+  forEachComponent(graph, function(start) {
+    var head = order.length;
+    order.push(start);
+    numbered[start] = true;
+    while (head < order.length) {
+      graph[order[head++]].filter(function(j) {
+        return !numbered[j];
+      }).sort(byDegree).forEach(function(j) {
+        numbered[j] = true;
+        order.push(j);
+      });
+    }
+  });
+
+  return order.reverse();
+};
+
+var INACTIVE = 0, PREACTIVE = 1, ACTIVE = 2, POSTACTIVE = 3;
+
+/**
+ * Sloan profile reducing ordering.
+ * @param {module:renumber.Graph} graph
+ * @param {module:renumber.RenumberOption} options - optional weights.
+ * @returns {Array} new to old order.
+ */
+exports.sloan = function sloan(graph, options) {
+  options = options || {};
+  var w1 = isAssigned(options.w1) ? options.w1 : 1;
+  var w2 = isAssigned(options.w2) ? options.w2 : 2;
+  var n = graph.length, order = [];
+  var status = array1d(n, INACTIVE), priority = array1d(n, 0);
+
+  forEachComponent(graph, function(start, end) {
+    var dist = {}, queue = [ start ], k, best, i;
+    levelStructure(graph, end, [], 1).forEach(function(level, d) {
+      level.forEach(function(j) {
+        dist[j] = d;
+        priority[j] = w1 * d - w2 * (graph[j].length + 1);
+      });
+    });
+    status[start] = PREACTIVE;
+
+    function activate(j) {
+      if (status[j] === INACTIVE) {
+        status[j] = PREACTIVE;
+        queue.push(j);
+      }
+    }
+
+    while (queue.length > 0) {
+      best = 0;
+      for (k = 1; k < queue.length; ++k)
+        if (priority[queue[k]] > priority[queue[best]]) best = k;
+      i = queue[best];
+      queue[best] = queue[queue.length - 1];
+      queue.pop();
+
+      if (status[i] === PREACTIVE) {
+        graph[i].forEach(function(j) {
+          priority[j] += w2;
+          activate(j);
+        });
+      }
+      status[i] = POSTACTIVE;
+      order.push(i);
+
+      graph[i].forEach(function(j) {
+        if (status[j] !== PREACTIVE) return;
+        status[j] = ACTIVE;
+        priority[j] += w2;
+        graph[j].forEach(function(m) {
+          if (status[m] === POSTACTIVE) return;
+          priority[m] += w2;
+          activate(m);
+        });
+      });
+    }
+  });
+
+  return order;
+};
+
+/**
+ * Returns the bandwidth and the profile of the graph numbered by order.
+ * @param {module:renumber.Graph} graph
+ * @param {Array} order - optional new to old order, identity by
+ * default.
+ * @returns {module:renumber.GraphMeasures}
+ */
+exports.graphMeasures = function graphMeasures(graph, order) {
+  var n = graph.length, position = array1d(n, function(i) { return i; });
+  if (isAssigned(order)) {
+    checkOrder(order, n, 'graphMeasures(graph, order)');
+    order.forEach(function(old, k) { position[old] = k; });
+  }
+
+  var bandwidth = 0, profile = 0;
+  graph.forEach(function(adj, i) {
+    var pi = position[i], lowest = pi;
+    adj.forEach(function(j) {
+      var pj = position[j];
+      bandwidth = Math.max(bandwidth, Math.abs(pi - pj));
+      lowest = Math.min(lowest, pj);
+    });
+    profile += pi - lowest;
+  });
+
+  return { bandwidth: bandwidth, profile: profile };
+};
+
+/**
+ * Returns a node ordering of the cells that reduces the bandwidth and
+ * the profile of the system matrices. Pass result.order to
+ * module:field.Field#setEqnumOrder_ to number the equations in this
+ * order, or use module:mesh.Mesh#renumber to renumber the nodes.
+ *
+ * The measures are those of the nodal graph, for a field of
+ * dimension dim the equation bandwidth is about dim times larger.
+ * @param {module:gcellset.GCellSet|module:gcellset.GCellSet[]} gcellsets
+ * @param {Int} nfens - optional, number of nodes.
+ * @param {module:renumber.RenumberOption} options - optional.
+ * @returns {module:renumber.RenumberResult}
+ */
+exports.renumber = function renumber(gcellsets, nfens, options) {
+  options = options || {};
+  var graph = exports.nodalGraph(gcellsets, nfens), order;
+  var method = options.method || 'rcm';
+
+  if (method === 'rcm')
+    order = exports.reverseCuthillMcKee(graph);
+  else if (method === 'sloan')
+    order = exports.sloan(graph, options);
+  else
+    throw new Error('renumber(): unknown method ' + method + '.');
+
+  var position = array1d(graph.length, 0);
+  order.forEach(function(old, k) { position[old] = k; });
+
+  return {
+    order: order,
+    position: position,
+    before: exports.graphMeasures(graph),
+    after: exports.graphMeasures(graph, order)
+  };
+};
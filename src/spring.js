@@ -0,0 +1,191 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isArray = check.array;
+var isNumber = check.number;
+var isInteger = check.integer;
+var isAssigned = check.assigned;
+var array2d = _.array2d;
+
+var numeric = require('./core.numeric');
+var dot = numeric.dot;
+var transpose = numeric.transpose;
+var add = numeric.add;
+
+var Field = require('./field').Field;
+var ElementMatrix = require('./system.matrix').ElementMatrix;
+
+/**
+ * @module spring
+ */
+
+/**
+ * @typedef module:spring.Coefficient
+ * @type {Number|Array|module:types.Matrix}
+ * @description stiffness or damping of a spring, in the global
+ * frame. A number acts in every direction, an array of dim numbers
+ * per direction, a dim by dim matrix couples the directions, and for
+ * a spring between two nodes a 2*dim by 2*dim matrix gives the full
+ * element matrix.
+ */
+
+/**
+ * @typedef module:spring.SpringOption
+ * @property {Array} conn - the springs, [a] grounds node a and [a, b]
+ * connects nodes a and b.
+ * @property {Array} ids - optional instead of conn, nodes of grounded
+ * springs.
+ * @property {module:spring.Coefficient} stiffness - optional, zero by
+ * default.
+ * @property {module:spring.Coefficient} damping - optional, dashpots,
+ * zero by default.
+ */
+
+function isCoefficient(c) {
+  return isNumber(c) || (isArray(c) && c.every(function(row) {
+    return isNumber(row) || (isArray(row) && row.every(isNumber));
+  }));
+}
+
+/**
+ * Discrete springs and dashpots, attaching nodes to the ground or to
+ * each other, e.g. elastic foundations and bearings. All springs of a
+ * set share the same coefficients.
+ * @class
+ * @param {module:spring.SpringOption} options
+ */
+exports.Spring = function Spring(options) {
+  if (!isAssigned(options))
+    throw new Error('Spring(): options is not valid.');
+  var conn = isAssigned(options.ids) ?
+    (isArray(options.ids) ? options.ids : [ options.ids ]).map(function(id) { return [ id ]; }) :
+    options.conn;
+  if (!isArray(conn) || conn.length === 0 || !conn.every(function(c) {
+    return isArray(c) && (c.length === 1 || c.length === 2) && c.every(isInteger);
+  }))
+    throw new Error('Spring(): options.conn is not valid.');
+  if (!isAssigned(options.stiffness) && !isAssigned(options.damping))
+    throw new Error('Spring(): stiffness or damping is required.');
+  if ((isAssigned(options.stiffness) && !isCoefficient(options.stiffness)) ||
+      (isAssigned(options.damping) && !isCoefficient(options.damping)))
+    throw new Error('Spring(): stiffness or damping is not valid.');
+
+  this._conn = conn.map(function(c) { return c.slice(); });
+  this._stiffness = isAssigned(options.stiffness) ? options.stiffness : 0;
+  this._damping = isAssigned(options.damping) ? options.damping : 0;
+};
+var Spring = exports.Spring;
+
+/**
+ * Returns the springs, see module:spring.SpringOption.
+ * @returns {Array}
+ */
+Spring.prototype.conn = function() {
+  return this._conn.map(function(c) { return c.slice(); });
+};
+
+// Returns the global element matrix of a spring of nnodes nodes with
+// the coefficient c.
+function cellMatrix(c, nnodes, dim, caller) {
+  var n = nnodes * dim, k;
+  if (isArray(c) && c.length === n && n > dim && isArray(c[0]))
+    return c.map(function(row) {
+      if (row.length !== n) throw new Error(caller + ': the coefficient is not valid.');
+      return row.slice();
+    });
+
+  var kd;
+  if (isNumber(c)) {
+    kd = array2d(dim, dim, 0);
+    for (k = 0; k < dim; ++k) kd[k][k] = c;
+  } else if (isArray(c) && c.length === dim && c.every(isNumber)) {
+    kd = array2d(dim, dim, 0);
+    for (k = 0; k < dim; ++k) kd[k][k] = c[k];
+  } else if (isArray(c) && c.length === dim && c.every(function(row) {
+    return isArray(row) && row.length === dim;
+  })) {
+    kd = c;
+  } else {
+    throw new Error(caller + ': the coefficient is not valid for dimension ' + dim + '.');
+  }
+  if (nnodes === 1) return kd.map(function(row) { return row.slice(); });
+
+  var Ke = array2d(n, n, 0), i, j;
+  for (i = 0; i < dim; ++i) {
+    for (j = 0; j < dim; ++j) {
+      Ke[i][j] = Ke[dim+i][dim+j] = kd[i][j];
+      Ke[i][dim+j] = Ke[dim+i][j] = -kd[i][j];
+    }
+  }
+  return Ke;
+}
+
+Spring.prototype._matrices = function(c, u, caller) {
+  if (!isa(u, Field))
+    throw new Error(caller + ': u must be a Field.');
+  var dim = u.dim();
+  return this._conn.map(function(conn) {
+    var Ke = cellMatrix(c, conn.length, dim, caller);
+    var T = u.gatherFrameMatrix(conn);
+    if (T) Ke = dot(dot(transpose(T), Ke), T);
+    return new ElementMatrix(Ke, u.gatherEqnumsVector(conn));
+  });
+};
+
+/**
+ * Returns the stiffness matrices of the springs, to be assembled with
+ * the ones of the blocks. The dofs of nodes with a local frame are in
+ * that frame.
+ * @param {module:field.Field} u - displacement field.
+ * @returns {ElementMatrix[]}
+ */
+Spring.prototype.stiffness = function(u) {
+  return this._matrices(this._stiffness, u, 'Spring::stiffness()');
+};
+
+/**
+ * Returns the damping matrices of the dashpots, e.g. to assemble the
+ * damping matrix C of module:transient.
+ * @param {module:field.Field} u - displacement field.
+ * @returns {ElementMatrix[]}
+ */
+Spring.prototype.damping = function(u) {
+  return this._matrices(this._damping, u, 'Spring::damping()');
+};
+
+/**
+ * Returns the forces in the springs, K*ue + C*ve per spring in the
+ * global frame, ue and ve holding the displacements and the velocities
+ * of its nodes. These are the loads the nodes put on the spring, the
+ * spring pushes them back with the opposite forces. For a grounded
+ * spring it is the force carried to the ground.
+ * @param {module:field.Field} u - solved displacement field.
+ * @param {module:field.Field} v - optional velocity field, for the
+ * dashpot forces.
+ * @returns {Array} for every spring a matrix of its nodal forces,
+ * conn.length by dim.
+ */
+Spring.prototype.forces = function(u, v) {
+  if (!isa(u, Field) || (isAssigned(v) && !isa(v, Field)))
+    throw new Error('Spring::forces(): u and v must be Field.');
+  var dim = u.dim(), stiffness = this._stiffness, damping = this._damping;
+
+  function globalValues(field, conn) {
+    var ve = [];
+    field.gatherValuesMatrix(conn).forEach(function(val) { ve.push.apply(ve, val); });
+    var T = field.gatherFrameMatrix(conn);
+    return T ? dot(T, ve) : ve;
+  }
+
+  return this._conn.map(function(conn) {
+    var f = dot(cellMatrix(stiffness, conn.length, dim, 'Spring::forces()'),
+                globalValues(u, conn));
+    if (isAssigned(v)) {
+      f = add(f, dot(cellMatrix(damping, conn.length, dim, 'Spring::forces()'),
+                     globalValues(v, conn)));
+    }
+    return conn.map(function(id, a) { return f.slice(a * dim, (a + 1) * dim); });
+  });
+};
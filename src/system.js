@@ -2,23 +2,74 @@
 // system
 var _ = require('./core.utils');
 var isVector = _.isArray;
+var numeric = require('./core.numeric');
+var subspaceEigs = numeric.subspaceEigs;
+var Field = require('./field').Field;
 var matrix = require('./system.matrix');
 var vector = require('./system.vector');
 var SparseSystemMatrix = matrix.SparseSystemMatrix;
+var ElementOperator = matrix.ElementOperator;
 var SparseSystemVector = vector.SparseSystemVector;
 
 exports.matrix = matrix;
 exports.vector = vector;
 
-// Return a full vector (1d js array).
+// Return a full vector (1d js array). SPD systems are solved by sparse
+// LDL' factorization, others by LU, see module:numeric.factorize.
 function mldivide(A, b) {
   if (A instanceof SparseSystemMatrix && b instanceof SparseSystemVector) {
-    return A.dokMatrix().solveSparseVector(b.sparseVector()).toList();
+    return A.csrMatrix().solveVector(b.sparseVector().toList());
   } else if (A instanceof SparseSystemMatrix && isVector(b)) {
-    return A.dokMatrix().solveVector(b);
+    return A.csrMatrix().solveVector(b);
   }
 
   throw new Error('system.solve(): unsupported type A and b.');
 }
 
 exports.mldivide = mldivide;
+
+// Return the lowest nev eigenpairs of K*x = lambda*M*x, see
+// module:numeric.subspaceEigs for the options.
+function eigs(K, M, nev, options) {
+  if (K instanceof SparseSystemMatrix && M instanceof SparseSystemMatrix)
+    return subspaceEigs(K.dokMatrix(), M.dokMatrix(), nev, options);
+
+  throw new Error('system.eigs(): K and M must be SparseSystemMatrix.');
+}
+
+exports.eigs = eigs;
+
+var ITERATIVE_SOLVERS = {
+  pcg: numeric.pcg,
+  minres: numeric.minres,
+  gmres: numeric.gmres
+};
+
+// Iterative solution of A*x = b, A being a SparseSystemMatrix or an
+// ElementOperator, see module:numeric.pcg for the options and the
+// result. options.method is 'pcg' (default), 'minres'
+// or 'gmres'. options.x0 may be a Field numbering the equations of A,
+// e.g. the solution of a previous load step, to warm start from its
+// free values.
+function iterativeSolve(A, b, options) {
+  if (A instanceof SparseSystemMatrix)
+    A = A.csrMatrix();
+  else if (!(A instanceof ElementOperator))
+    throw new Error('system.iterativeSolve(): A must be SparseSystemMatrix ' +
+                    'or ElementOperator.');
+  if (b instanceof SparseSystemVector)
+    b = b.sparseVector().toList();
+  else if (!isVector(b))
+    throw new Error('system.iterativeSolve(): unsupported type b.');
+
+  options = _.assign({}, options);
+  var solver = ITERATIVE_SOLVERS[options.method || 'pcg'];
+  if (!solver)
+    throw new Error('system.iterativeSolve(): unknown method ' + options.method + '.');
+  if (options.x0 instanceof Field)
+    options.x0 = options.x0.gatherSystemVector();
+
+  return solver(A, b, options);
+}
+
+exports.iterativeSolve = iterativeSolve;
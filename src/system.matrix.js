@@ -1,12 +1,12 @@
 /*global require*/
 // system.matrix
 var _ = require('./core.utils');
-var iteratorFromList = _.iteratorFromList;
 var isArray = _.isArray;
 var isIterator = _.isIterator;
+var listFromIterator = _.listFromIterator;
 var numeric = require('./core.numeric');
 var mldivide = numeric.mldivide;
-var DokSparseMatrix = numeric.DokSparseMatrix;
+var CsrSparseMatrix = numeric.CsrSparseMatrix;
 var INVALID_EQUATION_NUM = require('./field').Field.INVALID_EQUATION_NUM;
 
 function ElementMatrix(mat, eqnums) {
@@ -16,71 +16,198 @@ function ElementMatrix(mat, eqnums) {
 }
 exports.ElementMatrix = ElementMatrix;
 
-function assemble_(dest, sources) {
-  // TODO: ensure sources of made of ElementMatrix;
-  if (!isIterator(sources)) {
-    if (isArray(sources))
-      sources = iteratorFromList(sources);
-    else
-      throw new Error('assemble_(dest, sources): sources must be a iterator or array.');
-  }
+// Collect the entries of the element matrices at valid equation
+// numbers as COO triplets and build a CsrSparseMatrix, duplicates are
+// summed.
+function assembleCsr(nrows, ncols, sources) {
+  if (isIterator(sources))
+    sources = listFromIterator(sources);
+  else if (!isArray(sources))
+    throw new Error('assembleCsr(nrows, ncols, sources): sources must be a iterator or array.');
 
-  var Ke;
-  while (sources.hasNext()) {
-
-    Ke = sources.next();
-    var mat = Ke.matrix, eqnums = Ke.eqnums;
-
-    var validIndices = eqnums.map(function(globalIndex, localIndex) {
-      return {
-        globalIndex: globalIndex,
-        localIndex: localIndex
-      };
-    }).filter(function(item) {
-      return item.globalIndex !== INVALID_EQUATION_NUM;
-    });
-
-    validIndices.forEach(function(item0) {
-      var globalRowIndex = item0.globalIndex;
-      var localRowIndex = item0.localIndex;
-      validIndices.forEach(function(item1) {
-        var globalColIndex = item1.globalIndex;
-        var localColIndex = item1.localIndex;
-
-        var oldVal = dest.at(globalRowIndex, globalColIndex);
-
-        // TODO: use mat.at()
-        var elementContribution = mat[localRowIndex][localColIndex];
-        dest.set_(globalRowIndex, globalColIndex, oldVal + elementContribution);
-      });
-    });
-  }
+  var nnz = 0;
+  sources.forEach(function(Ke) {
+    var nvalid = Ke.eqnums.filter(function(en) {
+      return en !== INVALID_EQUATION_NUM;
+    }).length;
+    nnz += nvalid * nvalid;
+  });
+
+  var rows = new Int32Array(nnz), cols = new Int32Array(nnz);
+  var vals = new Float64Array(nnz);
+  var k = 0;
+  sources.forEach(function(Ke) {
+    var mat = Ke.matrix, eqnums = Ke.eqnums, len = eqnums.length;
+    var a, b, ea, eb, row;
+    for (a = 0; a < len; ++a) {
+      ea = eqnums[a];
+      if (ea === INVALID_EQUATION_NUM) continue;
+      row = mat[a];
+      for (b = 0; b < len; ++b) {
+        eb = eqnums[b];
+        if (eb === INVALID_EQUATION_NUM) continue;
+        rows[k] = ea;
+        cols[k] = eb;
+        vals[k] = row[b];
+        ++k;
+      }
+    }
+  });
+
+  return CsrSparseMatrix.fromTriplets(nrows, ncols, rows, cols, vals);
 }
 
 function SparseSystemMatrix(nrows, ncols, kes) {
   this._kes = kes;
   this._nrows = nrows;
   this._ncols = ncols;
+  this._csrMatrix = null;
   this._dokMatrix = null;
 }
 
 SparseSystemMatrix.prototype._assemble_ = function() {
-  this._dokMatrix = new DokSparseMatrix([], this._nrows, this._ncols);
-  assemble_(this._dokMatrix, this._kes);
+  this._csrMatrix = assembleCsr(this._nrows, this._ncols, this._kes);
+};
+
+SparseSystemMatrix.prototype.csrMatrix = function() {
+  if (this._csrMatrix == null) this._assemble_();
+  return this._csrMatrix;
 };
 
 SparseSystemMatrix.prototype.dokMatrix = function() {
-  if (this._dokMatrix == null) this._assemble_();
+  if (this._dokMatrix == null) this._dokMatrix = this.csrMatrix().toDok();
   return this._dokMatrix;
 };
 
 SparseSystemMatrix.prototype.toFull = function() {
-  return this.dokMatrix().toFull();
+  return this.csrMatrix().toFull();
 };
 
 SparseSystemMatrix.prototype.mldivide = function(vec) {
-  var mat = this.dokMatrix();
-  return mldivide(mat, vec);
+  return mldivide(this.csrMatrix(), vec);
+};
+
+// Returns a SparseSystemMatrix of an already assembled
+// CsrSparseMatrix.
+SparseSystemMatrix.fromCsrMatrix = function(csr) {
+  if (!(csr instanceof CsrSparseMatrix))
+    throw new Error('SparseSystemMatrix.fromCsrMatrix(csr): csr is not a CsrSparseMatrix.');
+  var K = new SparseSystemMatrix(csr.m(), csr.n(), []);
+  K._csrMatrix = csr;
+  return K;
 };
 
 exports.SparseSystemMatrix = SparseSystemMatrix;
+
+// Global matrix given by its element matrices, applied cell by cell
+// and never assembled. options:
+//   count - number of elements.
+//   eqnums(i) - equation numbers of element i.
+//   matrix(i) - element matrix i, a 2d js array.
+//   store - keep the element matrices instead of calling matrix(i)
+//     at every application, true by default.
+//   symmetric - the element matrices are symmetric, only their upper
+//     triangles are stored.
+function ElementOperator(nrows, ncols, options) {
+  if (!options || typeof options.eqnums !== 'function' ||
+      typeof options.matrix !== 'function' || !(options.count >= 0))
+    throw new Error('ElementOperator(nrows, ncols, options): options must have ' +
+                    'count, eqnums and matrix.');
+  this._nrows = nrows;
+  this._ncols = ncols;
+  this._count = options.count;
+  this._matrixAt = options.matrix;
+  this._symmetric = !!options.symmetric;
+  this._eqnums = [];
+  this._stored = null;
+
+  var i;
+  for (i = 0; i < this._count; ++i)
+    this._eqnums.push(Int32Array.from(options.eqnums(i)));
+
+  if (options.store !== false) {
+    this._stored = [];
+    for (i = 0; i < this._count; ++i)
+      this._stored.push(this._pack(options.matrix(i)));
+  }
+}
+
+// Returns the element matrix as a row major Float64Array, or its
+// upper triangle if symmetric.
+ElementOperator.prototype._pack = function(mat) {
+  var len = mat.length, a, b, k = 0;
+  var packed = new Float64Array(this._symmetric ? len * (len + 1) / 2 : len * len);
+  for (a = 0; a < len; ++a)
+    for (b = this._symmetric ? a : 0; b < len; ++b)
+      packed[k++] = mat[a][b];
+  return packed;
+};
+
+ElementOperator.prototype._packedAt = function(i) {
+  return this._stored ? this._stored[i] : this._pack(this._matrixAt(i));
+};
+
+ElementOperator.prototype.m = function() { return this._nrows; };
+
+ElementOperator.prototype.n = function() { return this._ncols; };
+
+// Return a [number], A * x, x is a js array of length n().
+ElementOperator.prototype.mulVector = function(x) {
+  if (x.length !== this._ncols)
+    throw new Error('ElementOperator::mulVector(): x must be of length ' + this._ncols + '.');
+
+  var y = new Array(this._nrows), i, a, b, k, len, eqnums, packed, ea, eb, s;
+  for (i = 0; i < this._nrows; ++i) y[i] = 0;
+
+  for (i = 0; i < this._count; ++i) {
+    eqnums = this._eqnums[i];
+    packed = this._packedAt(i);
+    len = eqnums.length;
+    k = 0;
+    for (a = 0; a < len; ++a) {
+      ea = eqnums[a];
+      if (this._symmetric) {
+        // diagonal, then the upper and the mirrored lower entries.
+        s = 0;
+        if (ea !== INVALID_EQUATION_NUM) s = packed[k] * x[ea];
+        ++k;
+        for (b = a + 1; b < len; ++b, ++k) {
+          eb = eqnums[b];
+          if (eb === INVALID_EQUATION_NUM) continue;
+          if (ea !== INVALID_EQUATION_NUM) {
+            s += packed[k] * x[eb];
+            y[eb] += packed[k] * x[ea];
+          }
+        }
+      } else {
+        s = 0;
+        for (b = 0; b < len; ++b, ++k) {
+          eb = eqnums[b];
+          if (eb !== INVALID_EQUATION_NUM) s += packed[k] * x[eb];
+        }
+      }
+      if (ea !== INVALID_EQUATION_NUM) y[ea] += s;
+    }
+  }
+  return y;
+};
+
+// Return a [number], the diagonal of the assembled matrix.
+ElementOperator.prototype.diagonal = function() {
+  var d = new Array(Math.min(this._nrows, this._ncols)), i, a, len, eqnums, packed;
+  for (i = 0; i < d.length; ++i) d[i] = 0;
+
+  for (i = 0; i < this._count; ++i) {
+    eqnums = this._eqnums[i];
+    packed = this._packedAt(i);
+    len = eqnums.length;
+    for (a = 0; a < len; ++a) {
+      if (eqnums[a] === INVALID_EQUATION_NUM) continue;
+      d[eqnums[a]] += this._symmetric ?
+        packed[a * len - a * (a - 1) / 2] : packed[a * len + a];
+    }
+  }
+  return d;
+};
+
+exports.ElementOperator = ElementOperator;
@@ -0,0 +1,261 @@
+/*global require*/
+// dependencies
+var _ = require('./core.utils');
+var check = _.check;
+var isa = check.instance;
+var isObject = check.object;
+var isFunction = check.function;
+var isAssigned = check.assigned;
+var isArray = check.array;
+var array1d = _.array1d;
+var array2d = _.array2d;
+
+var DokSparseMatrix = require('./core.numeric').DokSparseMatrix;
+var system = require('./system');
+var SparseSystemMatrix = system.matrix.SparseSystemMatrix;
+var SparseSystemVector = system.vector.SparseSystemVector;
+var ElementVector = system.vector.ElementVector;
+var Field = require('./field').Field;
+
+/**
+ * @module transient
+ */
+
+/**
+ * @typedef module:transient.TransientOption
+ * @property {module:system.matrix.SparseSystemMatrix} K - stiffness.
+ * @property {module:system.matrix.SparseSystemMatrix} M - mass.
+ * @property {module:system.matrix.SparseSystemMatrix} C - optional
+ * damping.
+ * @property {Object} rayleigh - optional Rayleigh damping
+ * {mass: a, stiffness: b}, C = a*M + b*K. Ignored if C is given.
+ * @property {module:field.Field} u - initial displacement, which
+ * numbers the equations of K, M and C.
+ * @property {module:field.Field} v - optional initial velocity, zero
+ * by default.
+ * @property {Function} loads - optional, (t, u, v, a) => loads at
+ * time t. Returns an array of module:system.vector.ElementVector, a
+ * SparseSystemVector or a js array of length u.neqns(). u, v and a
+ * hold the prescribed displacements, velocities and accelerations at
+ * time t, the free values of v and a are zero.
+ * @property {module:ebc.EBC[]} ebcs - optional time dependent EBCs,
+ * applied to u at every step. They must prescribe the same degrees of
+ * freedom as the EBCs u was created with. K, M and C only couple the
+ * free degrees of freedom, so loads must add the coupling
+ * -K_fp*u_p - C_fp*v_p - M_fp*a_p of the prescribed ones, e.g. with
+ * module:feblock.DeforSS#noneZeroEBCLoads(geom, u),
+ * noneZeroEBCLoads(geom, v, ces) and noneZeroEBCLoads(geom, a, mes)
+ * where mes and ces are the element mass and damping matrices. The M
+ * and C terms vanish for a lumped mass without damping.
+ * @property {Number} dt - time step.
+ * @property {Int} nsteps - number of steps.
+ * @property {Number} t0 - initial time, 0 by default.
+ * @property {String} method - 'newmark' (default) or 'hht'.
+ * @property {Number} beta - Newmark beta, 1/4 by default.
+ * @property {Number} gamma - Newmark gamma, 1/2 by default.
+ * @property {Number} alpha - HHT alpha in [-1/3, 0], -0.05 by
+ * default. beta and gamma follow from alpha.
+ * @property {Int} outputEvery - record every outputEvery steps, 1 by
+ * default. The initial state is always recorded.
+ */
+
+/**
+ * @typedef module:transient.TransientResult
+ * @property {Array} times - recorded times.
+ * @property {module:field.Field[]} u - displacements at times.
+ * @property {module:field.Field[]} v - velocities at times.
+ * @property {module:field.Field[]} a - accelerations at times.
+ */
+
+function integrationParams(options) {
+  var method = options.method || 'newmark';
+  var alpha = 0, beta, gamma;
+
+  if (method === 'newmark') {
+    beta = isAssigned(options.beta) ? options.beta : 0.25;
+    gamma = isAssigned(options.gamma) ? options.gamma : 0.5;
+    if (!(beta > 0) || !(gamma >= 0))
+      throw new Error('transient(): beta must be positive and gamma ' +
+                      'must not be negative.');
+  } else if (method === 'hht') {
+    alpha = isAssigned(options.alpha) ? options.alpha : -0.05;
+    if (!(alpha >= -1/3 && alpha <= 0))
+      throw new Error('transient(): alpha must be in [-1/3, 0].');
+    gamma = (1 - 2 * alpha) / 2;
+    beta = (1 - alpha) * (1 - alpha) / 4;
+  } else {
+    throw new Error('transient(): unknown method ' + method + '.');
+  }
+
+  return { alpha: alpha, beta: beta, gamma: gamma };
+}
+
+function dampingMatrix(options) {
+  var K = options.K.dokMatrix(), M = options.M.dokMatrix();
+  if (isAssigned(options.C)) {
+    if (!isa(options.C, SparseSystemMatrix))
+      throw new Error('transient(): C is not a SparseSystemMatrix.');
+    return options.C.dokMatrix();
+  }
+
+  if (isObject(options.rayleigh)) {
+    var a = options.rayleigh.mass || 0, b = options.rayleigh.stiffness || 0;
+    return new DokSparseMatrix([], M.m(), M.n()).add(M, a).add(K, b);
+  }
+  return null;
+}
+
+// Returns the loads as a js array of length neqns.
+function loadVector(res, neqns) {
+  if (!isAssigned(res))
+    return array1d(neqns, 0);
+  if (isa(res, SparseSystemVector))
+    return res.sparseVector().toList();
+  if (isArray(res) && (res.length === 0 || isa(res[0], ElementVector)))
+    return new SparseSystemVector(neqns, res).sparseVector().toList();
+  if (isArray(res) && res.length === neqns)
+    return res.slice();
+
+  throw new Error('transient(): loads(t, u, v, a) must return ElementVectors, ' +
+                  'a SparseSystemVector or an array of length ' + neqns + '.');
+}
+
+function mulAdd(x, y, alpha) {
+  return x.map(function(xi, i) { return xi + alpha * y[i]; });
+}
+
+/**
+ * Implicit direct time integration of M*a + C*v + K*u = F(t) by the
+ * Newmark-beta or the HHT-alpha method. The effective matrix is
+ * factorized once, so dt is constant.
+ *
+ * The velocities and accelerations of the prescribed degrees of
+ * freedom are obtained from the prescribed displacement history by
+ * the same integration formulas, starting from rest.
+ * @param {module:transient.TransientOption} options
+ * @returns {module:transient.TransientResult}
+ */
+exports.transient = function transient(options) {
+  if (!isObject(options) ||
+      !isa(options.K, SparseSystemMatrix) ||
+      !isa(options.M, SparseSystemMatrix))
+    throw new Error('transient(): K and M must be SparseSystemMatrix.');
+  if (!isa(options.u, Field))
+    throw new Error('transient(): u is not a Field.');
+  if (!(options.dt > 0) || !check.integer(options.nsteps))
+    throw new Error('transient(): dt must be positive and nsteps an integer.');
+  if (isAssigned(options.loads) && !isFunction(options.loads))
+    throw new Error('transient(): loads is not a function.');
+
+  var params = integrationParams(options);
+  var alpha = params.alpha, beta = params.beta, gamma = params.gamma;
+  var dt = options.dt, nsteps = options.nsteps, t = options.t0 || 0;
+  var outputEvery = options.outputEvery || 1;
+  var ebcs = options.ebcs || [];
+  var loadsFn = options.loads || function() { return null; };
+
+  var u = options.u.clone();
+  var nfens = u.nfens(), dim = u.dim(), neqns = u.neqns();
+  var K = options.K.dokMatrix(), M = options.M.dokMatrix();
+  var C = dampingMatrix(options);
+
+  function applyEBCs(time) {
+    ebcs.forEach(function(ebc) { ebc.applyToField_(u, time); });
+  }
+
+  function forEachPrescribed(fn) {
+    var i, j;
+    for (i = 0; i < nfens; ++i)
+      for (j = 0; j < dim; ++j)
+        if (u.isPrescribed(i, j)) fn(i, j);
+  }
+
+  // a field with the given prescribed values and zero free values.
+  function prescribedField(vals) {
+    var f = u.clone();
+    f.scatterSystemVector_(array1d(neqns, 0));
+    forEachPrescribed(function(i, j) { f.setPrescribedValue_(i, j, vals[i][j]); });
+    return f;
+  }
+
+  function loadsAt(time) {
+    return loadVector(loadsFn(time, u, prescribedField(pvel), prescribedField(pacc)), neqns);
+  }
+
+  function internalForces(dis, vel) {
+    var f = K.mulVector(dis);
+    return C ? mulAdd(f, C.mulVector(vel), 1) : f;
+  }
+
+  applyEBCs(t);
+  forEachPrescribed(function(i, j) {
+    if (u.eqnum(i, j) !== Field.INVALID_EQUATION_NUM)
+      throw new Error('transient(): ebcs prescribe a free degree of freedom.');
+  });
+
+  // prescribed degrees of freedom
+  var pdis = array2d(nfens, dim, function(i, j) { return u.prescribedValue(i, j); });
+  var pvel = array2d(nfens, dim, 0), pacc = array2d(nfens, dim, 0);
+
+  // free degrees of freedom
+  var dis = u.gatherSystemVector();
+  var vel = isAssigned(options.v) ? u.gatherSystemVector(options.v) : array1d(neqns, 0);
+  var F = loadsAt(t);
+  var acc = M.lu().solve(mulAdd(F, internalForces(dis, vel), -1));
+
+  var A = M.add(K, (1 + alpha) * beta * dt * dt);
+  if (C) A = A.add(C, (1 + alpha) * gamma * dt);
+  var factor = A.lu();
+
+  var res = { times: [], u: [], v: [], a: [] };
+
+  function record() {
+    var uu = u.clone(), vv = u.clone(), aa = u.clone();
+    uu.scatterSystemVector_(dis);
+    vv.scatterSystemVector_(vel);
+    aa.scatterSystemVector_(acc);
+    forEachPrescribed(function(i, j) {
+      vv.setPrescribedValue_(i, j, pvel[i][j]);
+      aa.setPrescribedValue_(i, j, pacc[i][j]);
+    });
+    res.times.push(t);
+    res.u.push(uu);
+    res.v.push(vv);
+    res.a.push(aa);
+  }
+
+  record();
+
+  var step, F1, rhs, disPred, velPred;
+  for (step = 1; step <= nsteps; ++step) {
+    t += dt;
+    applyEBCs(t);
+    forEachPrescribed(function(i, j) {
+      var d1 = u.prescribedValue(i, j);
+      var pred = pdis[i][j] + dt * pvel[i][j] + (0.5 - beta) * dt * dt * pacc[i][j];
+      var a1 = (d1 - pred) / (beta * dt * dt);
+      pvel[i][j] += dt * ((1 - gamma) * pacc[i][j] + gamma * a1);
+      pacc[i][j] = a1;
+      pdis[i][j] = d1;
+    });
+    F1 = loadsAt(t);
+
+    disPred = mulAdd(mulAdd(dis, vel, dt), acc, (0.5 - beta) * dt * dt);
+    velPred = mulAdd(vel, acc, (1 - gamma) * dt);
+
+    rhs = mulAdd(mulAdd(F1, F, -alpha / (1 + alpha)),
+                 internalForces(disPred, velPred), -1);
+    rhs = mulAdd(rhs, internalForces(dis, vel), alpha / (1 + alpha));
+    rhs = rhs.map(function(x) { return (1 + alpha) * x; });
+
+    acc = factor.solve(rhs);
+    dis = mulAdd(disPred, acc, beta * dt * dt);
+    vel = mulAdd(velPred, acc, gamma * dt);
+    F = F1;
+    u.scatterSystemVector_(dis);
+
+    if (step % outputEvery === 0 || step === nsteps) record();
+  }
+
+  return res;
+};
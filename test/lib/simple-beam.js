@@ -0,0 +1,124 @@
+/*global __dirname require exports*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var fe = require(SRC);
+
+// FAESOR simple_beam example: a cantilever of W x L x H clamped at
+// y = 0 and loaded by a vertical traction on its free end y = L.
+//
+// options.mesh(W, L, H, nx, ny, nz) returns the mesh, options.nx is
+// the number of cells across the width, options.volumeRule and
+// options.surfaceRule integrate the block and its loaded end.
+//
+// Returns the average uz of the free end, the reference uzex and the
+// total reactions at the supports.
+function SimpleBeam(options) {
+  var LinElIso = fe.property.LinElIso;
+  var DeforSSLinElTriax = fe.material.DeforSSLinElTriax;
+  var SparseSystemMatrix = fe.system.matrix.SparseSystemMatrix;
+  var SparseSystemVector = fe.system.vector.SparseSystemVector;
+  var mldivide = fe.system.mldivide;
+  var Field = fe.field.Field;
+  var EBC = fe.ebc.EBC;
+  var DeforSS = fe.feblock.DeforSS;
+  var ForceIntensity = fe.forceintensity.ForceIntensity;
+  var genISORm = fe.feutils.genISORm;
+  var sum = fe.numeric.sum;
+  var nthColumn = fe.numeric.nthColumn;
+
+  // parameters:
+  var E = 1000;
+  var nu = 0.0;
+  var W = 2.5;
+  var H = 5;
+  var L = 50;
+  var htol = Math.min(L, H, W)/1000;
+  var uzex = -12.6;
+  var magn = 0.2*uzex/4;
+
+  var nx = options.nx;
+  var mult = 4;
+  var ny = mult*nx;
+  var nz = 2*nx;
+
+  var mesh = options.mesh(W, L, H, nx, ny, nz);
+  var fens = mesh.fens();
+  var gcells = mesh.gcells();
+
+  var mater = new DeforSSLinElTriax({
+    property: new LinElIso({ E: E, nu: nu })
+  });
+
+  var feb = new DeforSS({
+    material: mater,
+    gcells: gcells,
+    integrationRule: options.volumeRule,
+    rm: genISORm
+  });
+
+  var geom = new Field({
+    name: 'geom',
+    fens: fens
+  });
+
+  var ebcs = [
+    {
+      id: fens.boxSelect({
+        bounds: [0, W, 0, 0, 0, H],
+        inflate: 1e-4
+      }),
+      dir: [0, 1, 2],
+      value: 0
+    },
+    {
+      id: fens.boxSelect({
+        bounds: [W, W, 0, L, 0, H],
+        inflate: 1e-4
+      }),
+      dir: 0,
+      value: 0
+    }
+  ].map(function(o) { return new EBC(o); });
+
+  var u = new Field({
+    name: 'u',
+    dim: geom.dim(),
+    nfens: geom.nfens(),
+    ebcs: ebcs
+  });
+
+  var neqns = u.neqns();
+  var elementMatrices = feb.stiffness(geom, u);
+  var K = new SparseSystemMatrix(neqns, neqns, elementMatrices);
+
+  var fi = new ForceIntensity({ magn: [0, 0, magn] });
+  var bdryGcells = gcells.boundary();
+  var bcl = bdryGcells.boxSelect(fens, {
+    bounds: [0, W, L, L, 0, H],
+    inflate: htol
+  });
+
+  var lfeb = new DeforSS({
+    material: mater,
+    gcells: bdryGcells.subset(bcl),
+    integrationRule: options.surfaceRule
+  });
+
+  var F = new SparseSystemVector(neqns, lfeb.distributeLoads(geom, u, fi, 2));
+  u.scatterSystemVector_(mldivide(K, F));
+
+  var freeendNids = fens.boxSelect({
+    bounds: [0, W, L, L, 0, H],
+    inflate: 1e-4
+  });
+
+  var uv = u.gatherValuesMatrix(freeendNids);
+
+  return {
+    uz: sum(nthColumn(uv, 2))/freeendNids.length,
+    uzex: uzex,
+    reactions: feb.reactions(geom, u, elementMatrices).sum(),
+    force: magn*W*H
+  };
+}
+
+exports.SimpleBeam = SimpleBeam;
@@ -0,0 +1,31 @@
+/*jshint undef: true, unused: true */
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var fe = require(SRC);
+var SimpleBeam = require(ROOT + '/test/lib/simple-beam').SimpleBeam;
+
+describe('FAESOR simple_beam example with H20', function() {
+
+  it('should create model.', function() {
+
+    var H8Block = fe.mesh.H8Block;
+    var GaussRule = fe.integrationrule.GaussRule;
+
+    var res = SimpleBeam({
+      mesh: function(W, L, H, nx, ny, nz) {
+        return H8Block(W, L, H, nx, ny, nz).toQuadratic();
+      },
+      nx: 1,
+      volumeRule: new GaussRule(3, 3),
+      surfaceRule: new GaussRule(2, 3)
+    });
+
+    // A few quadratic bricks are enough to get close to uzex, while
+    // the linear bricks in simple_beam lock at -9.4052.
+    var uzExpected = -12.5983;
+    expect(Math.abs(res.uz - uzExpected) < 1e-4).to.be(true);
+    expect(Math.abs(res.uz - res.uzex)/Math.abs(res.uzex) < 0.01).to.be(true);
+  });
+
+});
@@ -0,0 +1,37 @@
+/*jshint undef: true, unused: true */
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var fe = require(SRC);
+var SimpleBeam = require(ROOT + '/test/lib/simple-beam').SimpleBeam;
+
+describe('FAESOR simple_beam example with T10', function() {
+
+  it('should create model.', function() {
+
+    var L2Block = fe.mesh.L2Block;
+    var TriRule = fe.integrationrule.TriRule;
+    var TetRule = fe.integrationrule.TetRule;
+
+    var res = SimpleBeam({
+      // Tetrahedra are made by extruding an L2 block in the simplex
+      // family, then turned into T10.
+      mesh: function(W, L, H, nx, ny, nz) {
+        var mesh = L2Block(W, nx);
+        mesh.gcells().setFamily_('P1L2T3T4');
+        return mesh
+          .extrude(fe._.array1d(ny, L/ny), fe._.array1d(ny, true))
+          .extrude(fe._.array1d(nz, H/nz), fe._.array1d(nz, true))
+          .toQuadratic();
+      },
+      nx: 1,
+      volumeRule: new TetRule(4),
+      surfaceRule: new TriRule(3)
+    });
+
+    var uzExpected = -12.5588;
+    expect(Math.abs(res.uz - uzExpected) < 1e-4).to.be(true);
+    expect(Math.abs(res.uz - res.uzex)/Math.abs(res.uzex) < 0.01).to.be(true);
+  });
+
+});
@@ -0,0 +1,121 @@
+/*jshint undef: true, unused: true */
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var fe = require(SRC);
+
+describe('Thick-walled cylinder under internal pressure (axisymmetric)', function() {
+
+  it('should match the Lame solution.', function() {
+
+    var Q4Block = fe.mesh.Q4Block;
+    var LinElIso = fe.property.LinElIso;
+    var DeforSSLinElBiax = fe.material.DeforSSLinElBiax;
+    var GaussRule = fe.integrationrule.GaussRule;
+    var SparseSystemMatrix = fe.system.matrix.SparseSystemMatrix;
+    var SparseSystemVector = fe.system.vector.SparseSystemVector;
+    var mldivide = fe.system.mldivide;
+    var Field = fe.field.Field;
+    var EBC = fe.ebc.EBC;
+    var DeforSS = fe.feblock.DeforSS;
+    var ForceIntensity = fe.forceintensity.ForceIntensity;
+    var genISORm = fe.feutils.genISORm;
+    var Q4 = fe.gcellset.Q4;
+
+    // parameters:
+    var E = 1000;
+    var nu = 0.3;
+    var a = 1;
+    var b = 2;
+    var h = 0.25;
+    var p = 1;
+    var htol = (b - a)/1000;
+
+    // Plane strain Lame solution: ur = (1+nu)/E*((1-2*nu)*A*r + B/r)
+    var A = p*a*a/(b*b - a*a);
+    var B = p*a*a*b*b/(b*b - a*a);
+    var urex = (1 + nu)/E*((1 - 2*nu)*A*a + B/a);
+
+    var feb, fens, gcells, mater, prop, ebcs, geom, u;
+
+    // r in x, z in y.
+    var mesh = Q4Block(b - a, h, 16, 1).map(function(xy) {
+      return [ xy[0] + a, xy[1] ];
+    });
+    fens = mesh.fens();
+    gcells = new Q4({
+      conn: mesh.gcells().conn(),
+      axisSymm: true
+    });
+
+    prop = new LinElIso({ E: E, nu: nu });
+
+    mater = new DeforSSLinElBiax({
+      property: prop,
+      reduction: 'axisSymm'
+    });
+
+    feb = new DeforSS({
+      material: mater,
+      gcells: gcells,
+      integrationRule: new GaussRule(2, 2),
+      rm: genISORm
+    });
+
+    geom = new Field({
+      name: 'geom',
+      fens: fens
+    });
+
+    // No axial displacement anywhere: plane strain.
+    ebcs = [
+      {
+        id: fens.boxSelect({
+          bounds: [a, b, 0, h],
+          inflate: htol
+        }),
+        dir: 1,
+        value: 0
+      }
+    ].map(function(o) { return new EBC(o); });
+
+    u = new Field({
+      name: 'u',
+      dim: geom.dim(),
+      nfens: geom.nfens(),
+      ebcs: ebcs
+    });
+
+    var neqns = u.neqns();
+    var K = new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u));
+
+    var bdryGcells = gcells.boundary();
+    var inner = bdryGcells.boxSelect(fens, {
+      bounds: [a, a, 0, h],
+      inflate: htol
+    });
+
+    var lfeb = new DeforSS({
+      material: mater,
+      gcells: bdryGcells.subset(inner),
+      integrationRule: new GaussRule(1, 2)
+    });
+
+    var fi = new ForceIntensity({ magn: [p, 0] });
+    var F = new SparseSystemVector(neqns, lfeb.distributeLoads(geom, u, fi, 2));
+
+    var x = mldivide(K, F);
+    u.scatterSystemVector_(x);
+
+    var innerNids = fens.boxSelect({
+      bounds: [a, a, 0, h],
+      inflate: htol
+    });
+
+    var uv = u.gatherValuesMatrix(innerNids);
+    uv.forEach(function(ur) {
+      expect(Math.abs(ur[0] - urex)/urex < 0.01).to.be(true);
+    });
+  });
+
+});
@@ -14,6 +14,52 @@ var vecEquals = numeric.vecEquals;
 var array2dEquals = numeric.array2dEquals;
 var isMatrixLikeArray = numeric.isMatrixLikeArray;
 var ensureMatrixDimension = numeric.ensureMatrixDimension;
+var LUFactor = numeric.LUFactor;
+var CsrSparseMatrix = numeric.CsrSparseMatrix;
+var LDLFactor = numeric.LDLFactor;
+var approximateMinimumDegree = numeric.approximateMinimumDegree;
+var factorize = numeric.factorize;
+var pcg = numeric.pcg;
+var minres = numeric.minres;
+var gmres = numeric.gmres;
+var IC0Preconditioner = numeric.IC0Preconditioner;
+var jacobiEig = numeric.jacobiEig;
+var cholesky = numeric.cholesky;
+var subspaceEigs = numeric.subspaceEigs;
+
+// 1D chain of springs, eigenvalues of K*x = lambda*x are
+// 2 - 2*cos(k*pi/(n+1)).
+function springChain(n, fixedEnds) {
+  var K = new DokSparseMatrix([], n, n);
+  var i;
+  for (i = 0; i < n; ++i) {
+    K.set_(i, i, (fixedEnds || (i > 0 && i < n-1)) ? 2 : 1);
+    if (i > 0) {
+      K.set_(i, i-1, -1);
+      K.set_(i-1, i, -1);
+    }
+  }
+  return K;
+}
+
+// 5-point Laplacian of a nx by nx grid, shifted to be SPD unless
+// another diagonal is given.
+function gridLaplacian(nx, diag) {
+  var rows = [], cols = [], vals = [];
+  function add(i, j, v) { rows.push(i); cols.push(j); vals.push(v); }
+  var a, b, i;
+  for (a = 0; a < nx; ++a) {
+    for (b = 0; b < nx; ++b) {
+      i = a*nx + b;
+      add(i, i, diag || 4.01);
+      if (a > 0) add(i, i - nx, -1);
+      if (a < nx - 1) add(i, i + nx, -1);
+      if (b > 0) add(i, i - 1, -1);
+      if (b < nx - 1) add(i, i + 1, -1);
+    }
+  }
+  return CsrSparseMatrix.fromTriplets(nx*nx, nx*nx, rows, cols, vals);
+}
 
 describe('core.numeric', function() {
 
@@ -578,6 +624,9 @@ describe('core.numeric', function() {
       expect(v.at(1)).to.be(0);
       v.set_(1, 5);
       expect(v.at(1)).to.be(5);
+      v.set_(1, 0);
+      expect(v.at(1)).to.be(0);
+      expect(v.nzCount()).to.be(2);
 
       expect(v.set_.bind(v, 1, 'sdf')).to.throwException();
     });
@@ -1025,4 +1074,251 @@ describe('core.numeric', function() {
     });
   });
 
+  describe('DokSparseMatrix#mulVector/add/diagonal', function() {
+    var A = new DokSparseMatrix([
+      [0, 0, 1], [0, 1, 2], [1, 1, 3], [2, 0, 4]
+    ], 3, 2);
+
+    it('#mulVector(x)', function() {
+      expect(A.mulVector([1, 2])).to.eql([5, 6, 4]);
+      expect(A.mulVector.bind(A, [1, 2, 3])).to.throwException();
+    });
+
+    it('#add(other, alpha)', function() {
+      var B = A.add(A, -0.5);
+      expect(B.toFull()).to.eql([ [0.5, 1], [0, 1.5], [2, 0] ]);
+      expect(A.toFull()).to.eql([ [1, 2], [0, 3], [4, 0] ]);
+    });
+
+    it('#diagonal()', function() {
+      expect(A.diagonal()).to.eql([1, 3]);
+    });
+  });
+
+  describe('LUFactor', function() {
+    it('should solve many right hand sides', function() {
+      var A = new DokSparseMatrix([
+        [0, 0, 2], [0, 1, 1], [1, 0, 1], [1, 1, 3], [2, 2, 4]
+      ], 3, 3);
+      var lu = new LUFactor(A);
+      expect(vecEquals(lu.solve([3, 4, 4]), [1, 1, 1])).to.be(true);
+      expect(vecEquals(lu.solve([2, 1, 8]), [1, 0, 2])).to.be(true);
+      expect(vecEquals(A.lu().solve([2, 1, 8]), [1, 0, 2])).to.be(true);
+    });
+
+    it('should throw for non square matrix', function() {
+      expect(function() {
+        return new LUFactor(new DokSparseMatrix([], 2, 3));
+      }).to.throwException();
+    });
+  });
+
+  describe('CsrSparseMatrix', function() {
+    // duplicates are summed, (2, 0) cancels out but is kept.
+    var A = CsrSparseMatrix.fromTriplets(3, 3,
+      [2, 0, 1, 0, 1, 2, 0, 2],
+      [2, 1, 0, 0, 1, 0, 1, 0],
+      [4, 0.5, 1, 2, 3, 1, 0.5, -1]);
+
+    it('fromTriplets() should sum duplicates and sort columns', function() {
+      expect(A.toFull()).to.eql([ [2, 1, 0], [1, 3, 0], [0, 0, 4] ]);
+      expect(A.nnz()).to.be(6);
+      expect(Array.prototype.slice.call(A._colInd)).to.eql([0, 1, 0, 1, 0, 2]);
+      expect(A.at(0, 1)).to.be(1);
+      expect(A.at(0, 2)).to.be(0);
+      expect(A.at.bind(A, 3, 0)).to.throwException();
+      expect(function() {
+        CsrSparseMatrix.fromTriplets(2, 2, [0, 2], [0, 0], [1, 1]);
+      }).to.throwException();
+    });
+
+    it('#mulVector(x) and #diagonal()', function() {
+      expect(A.mulVector([1, 1, 1])).to.eql([3, 4, 4]);
+      expect(A.diagonal()).to.eql([2, 3, 4]);
+      expect(A.mulVector.bind(A, [1, 2])).to.throwException();
+    });
+
+    it('should convert from and to DokSparseMatrix', function() {
+      var dok = A.toDok();
+      expect(dok).to.be.a(DokSparseMatrix);
+      expect(dok.toFull()).to.eql(A.toFull());
+      var B = dok.toCsr();
+      expect(B).to.be.a(CsrSparseMatrix);
+      expect(B.toFull()).to.eql(A.toFull());
+      expect(A.toCcs()[0]).to.eql([0, 3, 5, 6]);
+    });
+
+    it('should solve by LU', function() {
+      expect(vecEquals(A.lu().solve([3, 4, 4]), [1, 1, 1])).to.be(true);
+      expect(vecEquals(mldivide(A, [3, 4, 4]), [1, 1, 1])).to.be(true);
+    });
+  });
+
+  describe('LDLFactor', function() {
+    var A = gridLaplacian(12), n = A.n();
+    var x = _.array1d(n, function(i) { return Math.cos(i); });
+    var b = A.mulVector(x);
+
+    it('approximateMinimumDegree() should return a permutation', function() {
+      var perm = Array.prototype.slice.call(approximateMinimumDegree(A));
+      expect(perm.slice().sort(function(a, b) { return a - b; }))
+        .to.eql(_.array1d(n, function(i) { return i; }));
+    });
+
+    it('should solve SPD systems with less fill than natural ordering', function() {
+      var amd = new LDLFactor(A), natural = A.ldl({ ordering: 'natural' });
+      expect(amd.n()).to.be(n);
+      expect(amd.isPositiveDefinite()).to.be(true);
+      expect(vecEquals(amd.solve(b), x, 1e-10)).to.be(true);
+      expect(vecEquals(natural.solve(b), x, 1e-10)).to.be(true);
+      expect(amd.nnz() < natural.nnz()).to.be(true);
+      expect(vecEquals(new LDLFactor(springChain(5, true)).solve([1, 0, 0, 0, 1]),
+                       [1, 1, 1, 1, 1])).to.be(true);
+    });
+
+    it('should throw for zero pivot', function() {
+      var B = CsrSparseMatrix.fromTriplets(2, 2, [0, 1, 1], [1, 0, 1], [1, 1, 1]);
+      expect(function() {
+        return new LDLFactor(B, { ordering: 'natural' });
+      }).to.throwException(/zero pivot/);
+    });
+
+    it('factorize() should choose LDLFactor for SPD matrices only', function() {
+      expect(A.isSymmetric()).to.be(true);
+      expect(factorize(A)).to.be.a(LDLFactor);
+      expect(factorize(A.toDok())).to.be.a(LDLFactor);
+      var indefinite = CsrSparseMatrix.fromTriplets(2, 2, [0, 1, 0, 1], [0, 1, 1, 0], [1, -1, 2, 2]);
+      expect(factorize(indefinite)).to.be.a(LUFactor);
+      expect(vecEquals(indefinite.solveVector([3, 1]), [1, 1])).to.be(true);
+      var unsymmetric = CsrSparseMatrix.fromTriplets(2, 2, [0, 1, 0], [0, 1, 1], [2, 3, 1]);
+      expect(unsymmetric.isSymmetric()).to.be(false);
+      expect(factorize(unsymmetric)).to.be.a(LUFactor);
+    });
+  });
+
+  describe('iterative solvers', function() {
+    var A = gridLaplacian(20), n = A.n();
+    var x = _.array1d(n, function(i) { return Math.cos(i); });
+    var b = A.mulVector(x);
+
+    it('pcg() should converge with every preconditioner', function() {
+      var iterations = {};
+      ['none', 'jacobi', 'ssor', 'ic0'].forEach(function(pc) {
+        var res = pcg(A, b, { preconditioner: pc, tol: 1e-10 });
+        expect(res.converged).to.be(true);
+        expect(res.residuals.length).to.be(res.iterations + 1);
+        expect(res.residuals[res.iterations] <= 1e-10).to.be(true);
+        expect(vecEquals(res.x, x, 1e-7)).to.be(true);
+        iterations[pc] = res.iterations;
+      });
+      expect(iterations.ssor < iterations.jacobi).to.be(true);
+      expect(iterations.ic0 < iterations.jacobi).to.be(true);
+    });
+
+    it('pcg() should warm start and stop at maxIter', function() {
+      expect(pcg(A, b, { x0: x }).iterations).to.be(0);
+      var res = pcg(A, b, { maxIter: 3 });
+      expect(res.converged).to.be(false);
+      expect(res.iterations).to.be(3);
+      expect(res.residuals.length).to.be(4);
+    });
+
+    it('IC0Preconditioner should be exact for a tridiagonal matrix', function() {
+      var pc = new IC0Preconditioner(springChain(5, true));
+      expect(pc.shift()).to.be(0);
+      expect(vecEquals(pc.solve([1, 0, 0, 0, 1]), [1, 1, 1, 1, 1], 1e-12)).to.be(true);
+    });
+
+    it('minres() should solve symmetric indefinite systems', function() {
+      var B = gridLaplacian(20, 1.5), c = B.mulVector(x);
+      var res = minres(B, c, { tol: 1e-10, maxIter: 2000 });
+      expect(res.converged).to.be(true);
+      expect(vecEquals(res.x, x, 1e-6)).to.be(true);
+      res = minres(A, b, { preconditioner: 'jacobi', tol: 1e-10 });
+      expect(res.converged).to.be(true);
+      expect(vecEquals(res.x, x, 1e-6)).to.be(true);
+    });
+
+    it('gmres() should solve unsymmetric systems', function() {
+      // convection-diffusion on a 1D grid
+      var m = 50, rows = [], cols = [], vals = [], i;
+      for (i = 0; i < m; ++i) {
+        rows.push(i); cols.push(i); vals.push(2);
+        if (i > 0) { rows.push(i); cols.push(i - 1); vals.push(-1.5); }
+        if (i < m - 1) { rows.push(i); cols.push(i + 1); vals.push(-0.5); }
+      }
+      var C = CsrSparseMatrix.fromTriplets(m, m, rows, cols, vals);
+      var y = _.array1d(m, function(i) { return Math.sin(i); });
+      // full gmres, and restarted with a preconditioner
+      [ { restart: m }, { preconditioner: 'ssor', restart: 10 } ].forEach(function(o) {
+        o.tol = 1e-10;
+        var res = gmres(C, C.mulVector(y), o);
+        expect(res.converged).to.be(true);
+        expect(res.residuals.length).to.be(res.iterations + 1);
+        expect(vecEquals(res.x, y, 1e-7)).to.be(true);
+      });
+    });
+
+    it('should throw for invalid input', function() {
+      expect(function() { pcg(A, [1, 2]); }).to.throwException(/length/);
+      expect(function() {
+        pcg(A, b, { preconditioner: 'ilu' });
+      }).to.throwException(/unknown preconditioner/);
+    });
+  });
+
+  describe('jacobiEig(A)', function() {
+    it('should return sorted eigenpairs', function() {
+      var A = [ [4, 1, 2], [1, 3, 0], [2, 0, 5] ];
+      var res = jacobiEig(A);
+      expect(res.values[0] <= res.values[1] && res.values[1] <= res.values[2]).to.be(true);
+      res.values.forEach(function(lambda, k) {
+        var v = res.vectors.map(function(row) { return row[k]; });
+        expect(vecEquals(numeric.dot(A, v), numeric.mul(lambda, v), 1e-10)).to.be(true);
+      });
+    });
+  });
+
+  describe('cholesky(A)', function() {
+    it('should work for SPD matrix', function() {
+      var A = [ [4, 2], [2, 5] ];
+      var L = cholesky(A);
+      expect(L).to.eql([ [2, 0], [1, 2] ]);
+    });
+
+    it('should throw for indefinite matrix', function() {
+      expect(cholesky.bind(null, [ [1, 2], [2, 1] ])).to.throwException();
+    });
+  });
+
+  describe('subspaceEigs(K, M, nev, options)', function() {
+    var n = 20;
+    var M = new DokSparseMatrix([], n, n);
+    var i;
+    for (i = 0; i < n; ++i) M.set_(i, i, 2);
+
+    it('should return the lowest eigenpairs', function() {
+      var K = springChain(n, true);
+      var res = subspaceEigs(K, M, 3);
+      res.values.forEach(function(lambda, k) {
+        var expected = (2 - 2*Math.cos((k+1)*Math.PI/(n+1)))/2;
+        expect(Math.abs(lambda - expected) < 1e-10).to.be(true);
+        // M-orthonormal
+        var x = res.vectors[k];
+        expect(Math.abs(numeric.dot(x, M.mulVector(x)) - 1) < 1e-10).to.be(true);
+      });
+    });
+
+    it('should find rigid body mode with negative shift', function() {
+      var K = springChain(n, false);
+      var res = subspaceEigs(K, M, 2, { shift: -0.1 });
+      expect(Math.abs(res.values[0]) < 1e-10).to.be(true);
+      expect(Math.abs(res.values[1] - (2 - 2*Math.cos(Math.PI/n))/2) < 1e-10).to.be(true);
+    });
+
+    it('should throw for invalid nev', function() {
+      expect(subspaceEigs.bind(null, springChain(3, true), M, 4)).to.throwException();
+    });
+  });
+
 });
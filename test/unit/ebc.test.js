@@ -1,10 +1,83 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var expect = require('expect.js');
-require(SRC + '/ebc.js');
+var ebc = require(SRC + '/ebc.js');
+var EBC = ebc.EBC;
+var Field = require(SRC + '/field.js').Field;
+var SparseSystemMatrix = require(SRC + '/system.matrix.js').SparseSystemMatrix;
+var ElementMatrix = require(SRC + '/system.matrix.js').ElementMatrix;
+var mldivide = require(SRC + '/system.js').mldivide;
 
 describe('ebc', function() {
   xit('should fail', function() {
     expect(false).to.be(true);
   });
+
+  it('EBC#applyToField_() should scale values by the amplitude', function() {
+    var ebc = new EBC({
+      id: [0, 2], dir: 1, value: [1, 2],
+      amplitude: function(t) { return 2 * t; }
+    });
+    var u = new Field({ nfens: 3, dim: 2, ebcs: [ ebc ] });
+    expect(u.prescribedValue(2, 1)).to.be(0);
+    expect(u.neqns()).to.be(4);
+
+    ebc.applyToField_(u, 1.5);
+    expect(u.prescribedValue(0, 1)).to.be(3);
+    expect(u.prescribedValue(2, 1)).to.be(6);
+    expect(u.at(2)).to.eql([0, 6]);
+    expect(u.neqns()).to.be(4);
+  });
+
+  describe('enforce()', function() {
+    // 0 - k - 1 - k - 2, unit springs, no dof eliminated.
+    var u = new Field({ nfens: 3, dim: 1 });
+    var K = new SparseSystemMatrix(3, 3, [
+      new ElementMatrix([ [1, -1], [-1, 1] ], [0, 1]),
+      new ElementMatrix([ [1, -1], [-1, 1] ], [1, 2])
+    ]);
+
+    function solve(ebcs, F) {
+      var sys = ebc.enforce(K, F, u, ebcs);
+      return sys.recover(mldivide(sys.K, sys.F));
+    }
+
+    function close(a, b, tol) {
+      return a.every(function(x, i) { return Math.abs(x - b[i]) < tol; });
+    }
+
+    it('should keep the dofs free', function() {
+      var fixed = new EBC({ id: 0, dir: 0, value: 0, enforcement: 'penalty' });
+      expect(fixed.enforcement()).to.be('penalty');
+      expect(new Field({ nfens: 3, dim: 1, ebcs: [ fixed ] }).neqns()).to.be(3);
+      expect(function() { return new EBC({ id: 0, dir: 0, value: 0, enforcement: 'x' }); })
+        .to.throwError();
+      expect(function() {
+        return new EBC({ id: 0, dir: 0, value: 0, enforcement: 'penalty', penalty: -1 });
+      }).to.throwError();
+    });
+
+    it('should return the multipliers as reactions', function() {
+      [ 'penalty', 'lagrange' ].forEach(function(enforcement) {
+        var res = solve([ new EBC({ id: 0, dir: 0, value: 0, enforcement: enforcement }) ],
+                        [0, 0, 1]);
+        expect(close(res.x, [0, 1, 2], 1e-6)).to.be(true);
+        expect(close(res.reactions.values().map(function(r) { return r[0]; }),
+                     [-1, 0, 0], 1e-6)).to.be(true);
+      });
+    });
+
+    it('should mix the enforcements and toggle them without renumbering', function() {
+      var left = new EBC({ id: 0, dir: 0, value: 0, enforcement: 'lagrange' });
+      var right = new EBC({ id: 2, dir: 0, value: 3, enforcement: 'penalty', penalty: 1e10 });
+      var res = solve([ left, right ], [0, 0, 0]);
+      expect(close(res.x, [0, 1.5, 3], 1e-8)).to.be(true);
+      expect(close(res.reactions.values().map(function(r) { return r[0]; }),
+                   [-1.5, 0, 1.5], 1e-6)).to.be(true);
+
+      res = solve([ left ], [0, 0, 1]);
+      expect(close(res.x, [0, 1, 2], 1e-12)).to.be(true);
+      expect(function() { ebc.enforce(K, [0, 0, 1], u, []); }).to.throwError();
+    });
+  });
 });
@@ -0,0 +1,129 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var L2Block = require(SRC + '/mesh').L2Block;
+var Q4Block = require(SRC + '/mesh').Q4Block;
+var H8Block = require(SRC + '/mesh').H8Block;
+var LinElIso = require(SRC + '/property').LinElIso;
+var DeforSSLinElUniax = require(SRC + '/material').DeforSSLinElUniax;
+var DeforSSLinElBiax = require(SRC + '/material').DeforSSLinElBiax;
+var DeforSSLinElTriax = require(SRC + '/material').DeforSSLinElTriax;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var Field = require(SRC + '/field').Field;
+var EBC = require(SRC + '/ebc').EBC;
+var NodalLoad = require(SRC + '/nodalload').NodalLoad;
+var DeforSS = require(SRC + '/feblock').DeforSS;
+var genISORm = require(SRC + '/feutils').genISORm;
+var eye = require(SRC + '/core.numeric').eye;
+var explicit = require(SRC + '/explicit');
+
+describe('explicit', function() {
+  // Fixed-free bar with a step load F at the free end. The tip moves
+  // at F/(rho*c) until the reflected wave comes back at t = 2L/c.
+  var E = 1000, rho = 2, L = 10, nel = 50, F = 5;
+  var c = Math.sqrt(E/rho);
+
+  var mesh = L2Block(L, nel);
+  var geom = new Field({ fens: mesh.fens() });
+  var u = new Field({
+    dim: 1,
+    nfens: geom.nfens(),
+    ebcs: [ new EBC({ id: 0, dir: 0, value: 0 }) ]
+  });
+  var feb = new DeforSS({
+    material: new DeforSSLinElUniax({
+      property: new LinElIso({ E: E, rho: rho })
+    }),
+    gcells: mesh.gcells(),
+    integrationRule: new GaussRule(1, 2),
+    rm: genISORm
+  });
+  var load = new NodalLoad({ id: nel, dir: 0, magn: F });
+
+  it('stableTimeStep() should be h/c', function() {
+    var dt = explicit.stableTimeStep([feb], geom);
+    expect(Math.abs(dt - L/nel/c)).to.be.below(1e-12);
+  });
+
+  it('should propagate a wave in a bar', function() {
+    var res = explicit.explicit({
+      feblocks: [ feb ], geom: geom, u: u, tEnd: 0.5,
+      outputInterval: 0.1,
+      loads: function(t, u) { return [ load.loads(u, t) ]; }
+    });
+    expect(res.dt).to.be.below(L/nel/c);
+    expect(Math.abs(res.nsteps*res.dt - 0.5)).to.be.below(1e-12);
+    expect(res.times.length).to.be(6);
+    expect(Math.abs(res.times[5] - 0.5)).to.be.below(1e-12);
+
+    var tip = res.u[5].at(nel)[0];
+    expect(Math.abs(tip - F*0.5/(rho*c))/tip).to.be.below(0.02);
+    // the wave front has not reached the middle yet.
+    expect(Math.abs(res.u[1].at(nel/2)[0])).to.be.below(1e-3*tip);
+    expect(res.u[5].at(0)[0]).to.be(0);
+  });
+
+  it('should move with prescribed displacements', function() {
+    var ebc = new EBC({
+      id: 0, dir: 0, value: 1,
+      amplitude: function(t) { return t; }
+    });
+    var u1 = new Field({ dim: 1, nfens: geom.nfens(), ebcs: [ ebc ] });
+    var v = new Field({ values: geom.values().map(function() { return [1]; }) });
+    // rigid body motion at unit velocity.
+    var res = explicit.explicit({
+      feblocks: [ feb ], geom: geom, u: u1, v: v, ebcs: [ ebc ], tEnd: 0.2
+    });
+    expect(res.times.length).to.be(res.nsteps + 1);
+    var last = res.nsteps;
+    res.u[last].values().forEach(function(val) {
+      expect(Math.abs(val[0] - 0.2)).to.be.below(1e-9);
+    });
+    expect(Math.abs(res.v[last].at(0)[0] - 1)).to.be.below(1e-9);
+    expect(Math.abs(res.v[last].at(nel)[0] - 1)).to.be.below(1e-9);
+  });
+
+  it('should throw if dt is not stable', function() {
+    expect(function() {
+      explicit.explicit({ feblocks: [ feb ], geom: geom, u: u, tEnd: 1, dt: 0.1 });
+    }).to.throwException(/stable/);
+  });
+
+  // Runs a free block for many steps at the default time step, from
+  // initial velocities exciting all its modes, and returns the largest
+  // displacement. An unstable step grows it exponentially.
+  function freeVibration(mesh, material, rule, rm) {
+    var fens = mesh.fens(), dim = fens.dim();
+    var geom = new Field({ fens: fens });
+    var u = new Field({ dim: dim, nfens: fens.nfens() });
+    var v = new Field({ values: geom.values().map(function(x, i) {
+      return x.map(function(xk, k) { return 0.01 * Math.sin(7*i + 3*k + 1); });
+    }) });
+    var feb = new DeforSS({ material: material, gcells: mesh.gcells(), integrationRule: rule, rm: rm });
+    var res = explicit.explicit({
+      feblocks: [ feb ], geom: geom, u: u, v: v, tEnd: 40, outputInterval: 4
+    });
+    expect(res.nsteps).to.be.above(1000);
+    return res.u.reduce(function(umax, field) {
+      return field.values().reduce(function(m, val) {
+        return val.reduce(function(m, x) { return Math.max(m, Math.abs(x)); }, m);
+      }, umax);
+    }, 0);
+  }
+
+  var prop = new LinElIso({ E: 1000, nu: 0.3, rho: 2 });
+
+  it('should stay bounded at the default time step in 2D', function() {
+    var umax = freeVibration(Q4Block(1, 1, 1, 1),
+                             new DeforSSLinElBiax({ property: prop, reduction: 'stress' }),
+                             new GaussRule(2, 2), eye(2));
+    expect(umax).to.be.below(1);
+  });
+
+  it('should stay bounded at the default time step in 3D', function() {
+    var umax = freeVibration(H8Block(1, 1, 1, 1, 1, 1), new DeforSSLinElTriax({ property: prop }),
+                             new GaussRule(3, 2), genISORm);
+    expect(umax).to.be.below(1);
+  });
+});
@@ -10,11 +10,27 @@ var size = numeric.size;
 var eye = numeric.eye;
 var div = numeric.div;
 var norm2 = numeric.norm2;
+var array1d = _.array1d;
 
 var FeNodeSet = require(SRC + '/fens').FeNodeSet;
 var L2 = require(SRC + '/gcellset').L2;
+var Q4 = require(SRC + '/gcellset').Q4;
+var Q8 = require(SRC + '/gcellset').Q8;
+var Q4Block = require(SRC + '/mesh').Q4Block;
+var L2Block = require(SRC + '/mesh').L2Block;
+var H8Block = require(SRC + '/mesh').H8Block;
+var SparseSystemVector = require(SRC + '/system.vector').SparseSystemVector;
+var NodalLoad = require(SRC + '/nodalload').NodalLoad;
+var ForceIntensity = require(SRC + '/forceintensity').ForceIntensity;
+var Pressure = require(SRC + '/forceintensity').Pressure;
+var mldivide = require(SRC + '/system').mldivide;
+var iterativeSolve = require(SRC + '/system').iterativeSolve;
+var genISORm = require(SRC + '/feutils').genISORm;
 var LinElIso = require(SRC + '/property.js').LinElIso;
 var DeforSSLinElUniax = require(SRC + '/material.js').DeforSSLinElUniax;
+var DeforSSLinElBiax = require(SRC + '/material.js').DeforSSLinElBiax;
+var DeforSSLinElTriax = require(SRC + '/material.js').DeforSSLinElTriax;
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
 var GaussRule = require(SRC + '/integrationrule').GaussRule;
 var Field = require(SRC + '/field').Field;
 var EBC = require(SRC + '/ebc').EBC;
@@ -141,4 +157,703 @@ describe('feblock', function() {
 
   });
 
+  describe('DeforSS axisymmetric', function() {
+    var gcells = new Q4({
+      conn: [ [0, 1, 2, 3] ],
+      axisSymm: true
+    });
+
+    var feb = new DeforSS({
+      material: new DeforSSLinElBiax({
+        property: new LinElIso({ E: 1000, nu: 0.3 }),
+        reduction: 'axisSymm'
+      }),
+      gcells: gcells,
+      integrationRule: new GaussRule(2, 2)
+    });
+
+    it('should use the axisymmetric B matrix', function() {
+      expect(feb.hBlmat).to.be(feb._blmat2axisymm);
+    });
+
+    it('_blmat2axisymm() should have the hoop strain row', function() {
+      var N = [ [0.25], [0.75] ];
+      var Ndersp = [ [-1, 0], [1, 0.5] ];
+      var B = feb._blmat2axisymm(N, Ndersp, [ [2, 0] ]);
+      expect(B).to.eql([
+        [ -1, 0, 1, 0 ],
+        [ 0, 0, 0, 0.5 ],
+        [ 0.125, 0, 0.375, 0 ],
+        [ 0, -1, 0.5, 1 ]
+      ]);
+    });
+
+    it('stiffness should scale with the radius', function() {
+      var fens = new FeNodeSet({
+        xyz: [ [1, 0], [2, 0], [2, 1], [1, 1] ]
+      });
+      var geom = new Field({ name: 'geom', fens: fens });
+      var u = new Field({ name: 'u', dim: 2, nfens: 4 });
+      var shifted = new Field({
+        name: 'geom',
+        fens: fens.map(function(xy) { return [ xy[0] + 10, xy[1] ]; })
+      });
+      var K1 = feb.stiffness(geom, u)[0].matrix;
+      var K2 = feb.stiffness(shifted, u)[0].matrix;
+      // The axial stiffness grows roughly as the mean radius.
+      expect(K2[1][1]/K1[1][1] > 7).to.be(true);
+    });
+  });
+
+  describe('DeforSS mass', function() {
+    var rho = 2;
+    var fens = new FeNodeSet({
+      xyz: [
+        [0, 0], [2, 0], [2, 1], [0, 1],
+        [1, 0], [2, 0.5], [1, 1], [0, 0.5]
+      ]
+    });
+    var geom = new Field({ name: 'geom', fens: fens });
+    var u = new Field({ name: 'u', dim: 2, nfens: 8 });
+    var mater = new DeforSSLinElBiax({
+      property: new LinElIso({ E: 1000, nu: 0.3, rho: rho })
+    });
+
+    function febOf(gcells) {
+      return new DeforSS({
+        material: mater,
+        gcells: gcells,
+        integrationRule: new GaussRule(2, 3)
+      });
+    }
+
+    var q4 = febOf(new Q4({ conn: [ [0, 1, 2, 3] ], otherDimension: 0.5 }));
+    var q8 = febOf(new Q8({ conn: [ [0, 1, 2, 3, 4, 5, 6, 7] ] }));
+
+    // Sum of the entries coupling the x direction.
+    function massInX(M) {
+      var total = 0;
+      M.forEach(function(row, a) {
+        row.forEach(function(v, b) {
+          if (a % 2 === 0 && b % 2 === 0) total += v;
+        });
+      });
+      return total;
+    }
+
+    it('consistent mass should add up to the cell mass', function() {
+      var M = q4.mass(geom, u)[0].matrix;
+      expect(Math.abs(massInX(M) - rho*2*0.5) < 1e-12).to.be(true);
+      expect(Math.abs(M[0][2] - rho*2*0.5/18) < 1e-12).to.be(true);
+      expect(M[0][1]).to.be(0);
+    });
+
+    it('lumped mass should be diagonal and keep the cell mass', function() {
+      ['rowsum', 'hrz'].forEach(function(lumping) {
+        var M = q4.mass(geom, u, { lumping: lumping })[0].matrix;
+        M.forEach(function(row, a) {
+          row.forEach(function(v, b) {
+            if (a === b)
+              expect(Math.abs(v - 0.5) < 1e-12).to.be(true);
+            else
+              expect(v).to.be(0);
+          });
+        });
+      });
+    });
+
+    it('hrz should give positive masses for Q8', function() {
+      var Mrs = q8.mass(geom, u, { lumping: 'rowsum' })[0].matrix;
+      var Mhrz = q8.mass(geom, u, { lumping: 'hrz' })[0].matrix;
+      expect(Mrs[0][0] < 0).to.be(true);
+      Mhrz.forEach(function(row, a) {
+        expect(row[a] > 0).to.be(true);
+      });
+      expect(Math.abs(massInX(Mhrz) - rho*2) < 1e-12).to.be(true);
+    });
+
+    it('should assemble to SparseSystemMatrix', function() {
+      var M = new SparseSystemMatrix(16, 16, q8.mass(geom, u)).toFull();
+      expect(Math.abs(massInX(M) - rho*2) < 1e-12).to.be(true);
+    });
+
+    it('should throw for unknown lumping', function() {
+      expect(function() {
+        q4.mass(geom, u, { lumping: 'foo' });
+      }).to.throwError();
+    });
+  });
+
+  describe('DeforSS explicit dynamics helpers', function() {
+    var E = 1000, nu = 0.3, rho = 2;
+    var fens = new FeNodeSet({
+      xyz: [ [0, 0], [2, 0], [2, 1], [0, 1] ]
+    });
+    var geom = new Field({ name: 'geom', fens: fens });
+    var u = new Field({
+      name: 'u', dim: 2, nfens: 4,
+      ebcs: [ new EBC({ id: 0, dir: [0, 1], value: 0.01 }) ]
+    });
+    u.scatterSystemVector_([0.03, 0.01, -0.02, 0.04, 0.05, 0.02]);
+    var feb = new DeforSS({
+      material: new DeforSSLinElBiax({
+        property: new LinElIso({ E: E, nu: nu, rho: rho }),
+        reduction: 'stress'
+      }),
+      gcells: new Q4({ conn: [ [0, 1, 2, 3] ] }),
+      integrationRule: new GaussRule(2, 2),
+      rm: eye(2)
+    });
+
+    it('lumpedMass() should return the diagonal of the lumped mass', function() {
+      var evs = feb.lumpedMass(geom, u);
+      expect(evs.length).to.be(1);
+      expect(evs[0].eqnums).to.eql([-1, -1, 0, 1, 2, 3, 4, 5]);
+      evs[0].vector.forEach(function(m) {
+        expect(Math.abs(m - rho*2/4) < 1e-12).to.be(true);
+      });
+      expect(function() {
+        feb.lumpedMass(geom, u, { lumping: 'consistent' });
+      }).to.throwError();
+    });
+
+    it('internalForces() should be Ke times the nodal values', function() {
+      var kes = feb.stiffness(geom, u);
+      var ue = [0.01, 0.01, 0.03, 0.01, -0.02, 0.04, 0.05, 0.02];
+      var expected = numeric.dot(kes[0].matrix, ue);
+      [feb.internalForces(geom, u), feb.internalForces(geom, u, kes)].forEach(function(evs) {
+        expect(evs[0].eqnums).to.eql(kes[0].eqnums);
+        expect(norm2(numeric.sub(evs[0].vector, expected)) < 1e-10).to.be(true);
+      });
+    });
+
+    it('stableTimeStep() should be 2/wmax of the cell with lumped mass', function() {
+      var Ke = feb.stiffness(geom, new Field({ dim: 2, nfens: 4 }))[0].matrix;
+      var m = rho*2/4;
+      var w2 = numeric.jacobiEig(Ke.map(function(row) {
+        return row.map(function(k) { return k / m; });
+      })).values[7];
+      expect(Math.abs(feb.stableTimeStep(geom) - 2/Math.sqrt(w2)) < 1e-12).to.be(true);
+      // the edge over the wave speed would not be conservative.
+      expect(feb.stableTimeStep(geom)).to.be.below(1/Math.sqrt(E/(1 - nu*nu)/rho));
+      expect(Math.abs(feb.stableTimeStep(geom, { lumping: 'rowsum' }) -
+                      feb.stableTimeStep(geom)) < 1e-12).to.be(true);
+    });
+  });
+
+  describe('DeforSS stress recovery', function() {
+    var E = 1000, nu = 0.3;
+    var mesh = Q4Block(2, 1, 2, 1);
+    var geom = new Field({ fens: mesh.fens() });
+
+    function febOf(nu) {
+      return new DeforSS({
+        material: new DeforSSLinElBiax({
+          property: new LinElIso({ E: E, nu: nu }),
+          reduction: 'stress'
+        }),
+        gcells: mesh.gcells(),
+        integrationRule: new GaussRule(2, 2),
+        rm: eye(2)
+      });
+    }
+
+    function displacement(fn) {
+      return new Field({ values: geom.values().map(fn) });
+    }
+
+    it('should recover uniform tension', function() {
+      var eps = 1e-3, s = E*eps;
+      var u = displacement(function(xy) { return [eps*xy[0], -nu*eps*xy[1]]; });
+      var feb = febOf(nu);
+
+      var ips = feb.integrationPointStresses(geom, u);
+      expect(ips.length).to.be(2);
+      expect(ips[0].length).to.be(4);
+      ips.forEach(function(points) {
+        points.forEach(function(ip) {
+          expect(ip.xyz.length).to.be(2);
+          expect(norm2(numeric.sub(ip.strain, [eps, -nu*eps, 0])) < 1e-12).to.be(true);
+          expect(norm2(numeric.sub(ip.stress, [s, 0, 0])) < 1e-9).to.be(true);
+          expect(Math.abs(ip.vonMises - s) < 1e-9).to.be(true);
+          expect(Math.abs(ip.pressure + s/3) < 1e-9).to.be(true);
+          expect(Math.abs(ip.principal[0] - s) < 1e-9).to.be(true);
+        });
+      });
+
+      var res = feb.nodalStresses(geom, u);
+      expect(res.stress).to.be.a(Field);
+      expect(res.stress.nfens()).to.be(geom.nfens());
+      expect(res.stress.dim()).to.be(3);
+      expect(res.principal.dim()).to.be(3);
+      res.vonMises.values().forEach(function(val) {
+        expect(Math.abs(val[0] - s) < 1e-9).to.be(true);
+      });
+      res.pressure.values().forEach(function(val) {
+        expect(Math.abs(val[0] + s/3) < 1e-9).to.be(true);
+      });
+    });
+
+    it('should extrapolate linear stresses to the nodes', function() {
+      // u = [x*y, 0]: sx = E*y, sxy = G*x.
+      var u = displacement(function(xy) { return [xy[0]*xy[1], 0]; });
+      var res = febOf(0).nodalStresses(geom, u);
+      geom.values().forEach(function(xy, i) {
+        var stress = res.stress.at(i);
+        expect(Math.abs(stress[0] - E*xy[1]) < 1e-9).to.be(true);
+        expect(Math.abs(stress[1]) < 1e-9).to.be(true);
+        expect(Math.abs(stress[2] - E/2*xy[0]) < 1e-9).to.be(true);
+      });
+    });
+  });
+
+  describe('DeforSS reactions', function() {
+    // Bar fixed at both ends with a load P at the first interior node.
+    var E = 1000, L = 4, nel = 4, P = 3;
+    var mesh = L2Block(L, nel);
+    var geom = new Field({ fens: mesh.fens() });
+    var u = new Field({
+      dim: 1,
+      nfens: geom.nfens(),
+      ebcs: [ new EBC({ id: [0, nel], dir: 0, value: 0 }) ]
+    });
+    var feb = new DeforSS({
+      material: new DeforSSLinElUniax({
+        property: new LinElIso({ E: E })
+      }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(1, 2),
+      rm: genISORm
+    });
+    var neqns = u.neqns();
+    var kes = feb.stiffness(geom, u);
+    var K = new SparseSystemMatrix(neqns, neqns, kes);
+    var F = new SparseSystemVector(neqns, [
+      new NodalLoad({ id: 1, dir: 0, magn: P }).loads(u)
+    ]);
+    u.scatterSystemVector_(mldivide(K, F));
+
+    it('should return reactions at the prescribed degrees of freedom', function() {
+      var R = feb.reactions(geom, u);
+      expect(R).to.be.a(Field);
+      expect(Math.abs(R.at(0)[0] + P*3/4) < 1e-10).to.be(true);
+      expect(Math.abs(R.at(nel)[0] + P/4) < 1e-10).to.be(true);
+      expect(R.at(2)[0]).to.be(0);
+      expect(Math.abs(R.sum()[0] + P) < 1e-10).to.be(true);
+      expect(Math.abs(feb.reactions(geom, u, kes).sum([0])[0] + P*3/4) < 1e-10).to.be(true);
+    });
+  });
+
+  describe('DeforSS stiffness operator', function() {
+    // cantilever block clamped at x = 0.
+    var mesh = H8Block(4, 1, 1, 4, 2, 2);
+    var geom = new Field({ fens: mesh.fens() });
+    var clamped = mesh.fens().boxSelect({ bounds: [0, 0, 0, 1, 0, 1], inflate: 1e-6 });
+    var tip = mesh.fens().boxSelect({ bounds: [4, 4, 0, 1, 0, 1], inflate: 1e-6 });
+    var u = new Field({
+      dim: 3,
+      nfens: geom.nfens(),
+      ebcs: [ new EBC({ id: clamped, dir: [0, 1, 2], value: 0 }) ]
+    });
+    var feb = new DeforSS({
+      material: new DeforSSLinElTriax({
+        property: new LinElIso({ E: 1000, nu: 0.3 })
+      }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(3, 2),
+      rm: eye(3)
+    });
+    var neqns = u.neqns();
+    var K = new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u));
+    var F = new SparseSystemVector(neqns, tip.map(function(id) {
+      return new NodalLoad({ id: id, dir: 2, magn: -1 }).loads(u);
+    }));
+
+    it('should apply the assembled stiffness', function() {
+      var v = _.array1d(neqns, function(i) { return Math.sin(i); });
+      var Kv = K.csrMatrix().mulVector(v);
+      [true, false].forEach(function(store) {
+        var op = feb.stiffnessOperator(geom, u, { store: store });
+        expect(op.m()).to.be(neqns);
+        expect(norm2(numeric.sub(op.mulVector(v), Kv)) < 1e-9 * norm2(Kv)).to.be(true);
+        expect(norm2(numeric.sub(op.diagonal(), K.csrMatrix().diagonal())) < 1e-9).to.be(true);
+      });
+    });
+
+    it('should not keep the geometry without storing', function() {
+      feb.clearGeometry_();
+      var v = _.array1d(neqns, function(i) { return Math.cos(i); });
+      var Kv = K.csrMatrix().mulVector(v);
+      var op = feb.stiffnessOperator(geom, u, { store: false });
+      expect(norm2(numeric.sub(op.mulVector(v), Kv)) < 1e-9 * norm2(Kv)).to.be(true);
+      expect(feb._geometry).to.be(null);
+      var g = feb.geometry(geom);
+      feb.clearGeometry_();
+      expect(feb.geometry(geom)).not.to.be(g);
+    });
+
+    it('should be solved by iterative solvers', function() {
+      var expected = mldivide(K, F);
+      var res = iterativeSolve(feb.stiffnessOperator(geom, u), F, { tol: 1e-10 });
+      expect(res.converged).to.be(true);
+      expect(norm2(numeric.sub(res.x, expected)) < 1e-7 * norm2(expected)).to.be(true);
+      expect(function() {
+        iterativeSolve(feb.stiffnessOperator(geom, u), F, { preconditioner: 'ic0' });
+      }).to.throwError();
+    });
+  });
+
+  describe('DeforSS integration point geometry', function() {
+    var mesh = Q4Block(2, 1, 2, 1);
+    var geom = new Field({ fens: mesh.fens() });
+    var u = new Field({
+      dim: 2,
+      nfens: geom.nfens(),
+      ebcs: [ new EBC({ id: [0, 3], dir: 0, value: 0.01 }) ]
+    });
+    var mater = new DeforSSLinElBiax({
+      property: new LinElIso({ E: 1000, nu: 0.3 }),
+      reduction: 'stress'
+    });
+    var ir = new GaussRule(2, 2);
+    var feb = new DeforSS({ material: mater, gcells: mesh.gcells(), integrationRule: ir, rm: eye(2) });
+
+    it('should be shared by the operations on the same geom', function() {
+      var g = feb.geometry(geom);
+      feb.stiffness(geom, u);
+      feb.mass(geom, u);
+      expect(feb.geometry(geom)).to.be(g);
+      var other = new DeforSS({
+        material: mater, gcells: mesh.gcells(), integrationRule: ir, geometry: g
+      });
+      expect(other.geometry(geom)).to.be(g);
+      expect(feb.geometry(geom.clone())).not.to.be(g);
+
+      // a modified geom is not shared with its old geometry.
+      var moved = geom.clone();
+      var g1 = feb.geometry(moved);
+      moved.scatterSystemVector_(moved.gatherSystemVector().map(function(x) { return 2 * x; }));
+      var g2 = feb.geometry(moved);
+      expect(g2).not.to.be(g1);
+      expect(Math.abs(g2.jacobian(0, 0) - 4 * g1.jacobian(0, 0)) < 1e-12).to.be(true);
+      expect(feb.geometry(moved)).to.be(g2);
+      expect(function() {
+        return new DeforSS({
+          material: mater, gcells: mesh.gcells(), integrationRule: new GaussRule(2, 1),
+          geometry: g
+        });
+      }).to.throwError();
+    });
+
+    it('noneZeroEBCLoads() should reuse the element matrices', function() {
+      var kes = feb.stiffness(geom, u);
+      var expected = feb.noneZeroEBCLoads(geom, u);
+      var evs = feb.noneZeroEBCLoads(geom, u, kes);
+      expect(evs.length).to.be(1);
+      expect(evs[0].eqnums).to.eql(expected[0].eqnums);
+      expect(norm2(numeric.sub(evs[0].vector, expected[0].vector)) < 1e-12).to.be(true);
+      expect(function() { feb.noneZeroEBCLoads(geom, u, kes.slice(1)); }).to.throwError();
+    });
+  });
+
+  describe('DeforSS node frames', function() {
+    var c = Math.cos(Math.PI / 6), s = Math.sin(Math.PI / 6);
+
+    it('should support a roller on a 30 degree incline', function() {
+      // bar along x, its end rolls on the incline t = (cos30, sin30).
+      var E = 1000, A = 2, L = 4, P = 3, k = E * A / L;
+      var geom = new Field({ values: [ [0, 0], [L, 0] ] });
+      var feb = new DeforSS({
+        material: new DeforSSLinElUniax({ property: new LinElIso({ E: E, nu: 0 }) }),
+        gcells: new L2({ conn: [ [0, 1] ], otherDimension: A }),
+        integrationRule: new GaussRule(1, 1),
+        rm: genISORm
+      });
+      var u = new Field({
+        dim: 2, nfens: 2,
+        ebcs: [ new EBC({ id: 0, dir: [0, 1], value: 0 }), new EBC({ id: 1, dir: 1, value: 0 }) ]
+      });
+      u.setNodeFrames_(1, [ [c, -s], [s, c] ]);
+      expect(u.neqns()).to.be(1);
+
+      var K = new SparseSystemMatrix(u.neqns(), u.neqns(), feb.stiffness(geom, u));
+      var F = new SparseSystemVector(u.neqns(), [
+        new NodalLoad({ id: 1, dir: 0, magn: P, global: true }).loads(u)
+      ]);
+      u.scatterSystemVector_(mldivide(K, F));
+
+      expect(Math.abs(u.at(1)[0] - P / (k * c)) < 1e-12).to.be(true);
+      var end = u.toGlobal().at(1);
+      expect(Math.abs(end[0] - P / k) < 1e-12).to.be(true);
+      expect(Math.abs(end[1] - P * s / (c * k)) < 1e-12).to.be(true);
+      var stress = feb.integrationPointStresses(geom, u)[0][0].stress[0];
+      expect(Math.abs(stress - P / A) < 1e-12).to.be(true);
+    });
+
+    it('should not change the solution when all dofs are free or fixed', function() {
+      var mesh = Q4Block(2, 1, 4, 2);
+      var geom = new Field({ fens: mesh.fens() });
+      var feb = new DeforSS({
+        material: new DeforSSLinElBiax({
+          property: new LinElIso({ E: 1000, nu: 0.3 }), reduction: 'stress'
+        }),
+        gcells: mesh.gcells(),
+        integrationRule: new GaussRule(2, 2),
+        rm: eye(2)
+      });
+      var fi = new ForceIntensity({ magn: [0, -1] });
+      var clamp = new EBC({ id: mesh.fens().boxSelect({ bounds: [0, 0, 0, 1], inflate: 1e-6 }),
+                            dir: [0, 1], value: 0 });
+
+      function solve(u) {
+        var K = new SparseSystemMatrix(u.neqns(), u.neqns(), feb.stiffness(geom, u));
+        u.scatterSystemVector_(mldivide(K, new SparseSystemVector(u.neqns(),
+          feb.distributeLoads(geom, u, fi, 2))));
+        return u;
+      }
+
+      var plain = solve(new Field({ dim: 2, nfens: geom.nfens(), ebcs: [ clamp ] }));
+      var framed = new Field({ dim: 2, nfens: geom.nfens(), ebcs: [ clamp ] });
+      framed.setNodeFrames_(array1d(geom.nfens(), function(i) { return i; }), function(xyz) {
+        var a = xyz[0] + 2 * xyz[1];
+        return [ [Math.cos(a), -Math.sin(a)], [Math.sin(a), Math.cos(a)] ];
+      }, geom);
+      solve(framed);
+
+      var global = framed.toGlobal().values();
+      plain.values().forEach(function(v, i) {
+        expect(norm2(numeric.sub(v, global[i])) < 1e-10).to.be(true);
+      });
+      expect(norm2(numeric.sub(framed.fromGlobal(plain).at(5), framed.at(5))) < 1e-10).to.be(true);
+      var ips = feb.integrationPointStresses(geom, framed);
+      feb.integrationPointStresses(geom, plain).forEach(function(cell, i) {
+        expect(norm2(numeric.sub(cell[0].stress, ips[i][0].stress)) < 1e-8).to.be(true);
+      });
+    });
+  });
+
+  describe('DeforSS pressure', function() {
+    // Returns the total force of the element vectors of a field of
+    // dimension dim without frames.
+    function total(evs, dim) {
+      var res = array1d(dim, 0);
+      evs.forEach(function(ev) {
+        ev.vector.forEach(function(v, k) { res[k % dim] += v; });
+      });
+      return res;
+    }
+
+    function surface(gcells, rule) {
+      return new DeforSS({
+        material: new DeforSSLinElTriax({ property: new LinElIso({ E: 1000, nu: 0.3 }) }),
+        gcells: gcells,
+        integrationRule: rule
+      });
+    }
+
+    it('should push into L2 edges in 2D', function() {
+      var mesh = Q4Block(2, 1, 2, 2), fens = mesh.fens();
+      var geom = new Field({ fens: fens });
+      var u = new Field({ dim: 2, nfens: fens.nfens() });
+      var bdry = mesh.gcells().boundary();
+      var p = new Pressure({ magn: 3 });
+
+      var all = surface(bdry, new GaussRule(1, 2)).distributeLoads(geom, u, p, 2);
+      expect(norm2(total(all, 2)) < 1e-12).to.be(true);
+      var right = bdry.subset(bdry.boxSelect(fens, { bounds: [2, 2, 0, 1], inflate: 1e-6 }));
+      var f = total(surface(right, new GaussRule(1, 2)).distributeLoads(geom, u, p, 2), 2);
+      expect(norm2(numeric.sub(f, [-3, 0])) < 1e-12).to.be(true);
+    });
+
+    it('should push into Q4 faces in 3D', function() {
+      var mesh = H8Block(1, 2, 1, 1, 2, 1), fens = mesh.fens();
+      var geom = new Field({ fens: fens });
+      var u = new Field({ dim: 3, nfens: fens.nfens() });
+      var bdry = mesh.gcells().boundary();
+      var p = new Pressure({ magn: function(xyz) { return xyz[0][1]; } });
+
+      var top = bdry.subset(bdry.boxSelect(fens, { bounds: [0, 1, 0, 2, 1, 1], inflate: 1e-6 }));
+      var f = total(surface(top, new GaussRule(2, 2)).distributeLoads(geom, u, p, 2), 3);
+      expect(norm2(numeric.sub(f, [0, 0, -2])) < 1e-12).to.be(true);
+      var bottom = bdry.subset(bdry.boxSelect(fens, { bounds: [0, 1, 0, 2, 0, 0], inflate: 1e-6 }));
+      f = total(surface(bottom, new GaussRule(2, 2)).distributeLoads(geom, u, p.atTime(1), 2), 3);
+      expect(norm2(numeric.sub(f, [0, 0, 2])) < 1e-12).to.be(true);
+    });
+
+    it('a follower pressure should turn with the boundary', function() {
+      // the block is rotated by 90 degrees and stretched twice along y.
+      var mesh = Q4Block(1, 1, 1, 1), fens = mesh.fens();
+      var geom = new Field({ fens: fens });
+      var u = geom.map(function(x) { return [-2 * x[1] - x[0], x[0] - x[1]]; });
+      var bdry = mesh.gcells().boundary();
+      var right = surface(bdry.subset(bdry.boxSelect(fens, { bounds: [1, 1, 0, 1], inflate: 1e-6 })),
+                          new GaussRule(1, 2));
+
+      var fixed = total(right.distributeLoads(geom, u, new Pressure({ magn: 1 }), 2), 2);
+      expect(norm2(numeric.sub(fixed, [-1, 0])) < 1e-12).to.be(true);
+      var follower = new Pressure({ magn: 1, follower: true, amplitude: function(t) { return t; } });
+      var f = total(right.distributeLoads(geom, u, follower.atTime(3), 2), 2);
+      expect(norm2(numeric.sub(f, [0, -6])) < 1e-12).to.be(true);
+    });
+  });
+
+  describe('DeforSS body loads', function() {
+    function block(gcells, rule, mater) {
+      return new DeforSS({
+        material: mater,
+        gcells: gcells,
+        integrationRule: rule
+      });
+    }
+
+    function total(evs, dim) {
+      var res = array1d(dim, 0);
+      evs.forEach(function(ev) {
+        ev.vector.forEach(function(v, k) { res[k % dim] += v; });
+      });
+      return res;
+    }
+
+    var prop = new LinElIso({ E: 1000, nu: 0.3, rho: 2 });
+
+    it('should integrate gravity and acceleration over the volume', function() {
+      var mesh = H8Block(1, 2, 3, 1, 2, 2), fens = mesh.fens();
+      var feb = block(mesh.gcells(), new GaussRule(3, 2), new DeforSSLinElTriax({ property: prop }));
+      var geom = new Field({ fens: fens });
+      var u = new Field({ dim: 3, nfens: fens.nfens() });
+
+      var f = total(feb.bodyLoads(geom, u, { gravity: [0, 0, -9.81], acceleration: [1, 0, 0] }), 3);
+      expect(norm2(numeric.sub(f, [-12, 0, -117.72])) < 1e-10).to.be(true);
+      expect(function() { feb.bodyLoads(geom, u, { gravity: [0, -9.81] }); }).to.throwError();
+      expect(function() { feb.bodyLoads(geom, u); }).to.throwError();
+    });
+
+    it('should give centrifugal loads about an axis', function() {
+      var mesh = H8Block(1, 2, 3, 1, 2, 2), fens = mesh.fens();
+      var feb = block(mesh.gcells(), new GaussRule(3, 2), new DeforSSLinElTriax({ property: prop }));
+      var geom = new Field({ fens: fens });
+      var u = new Field({ dim: 3, nfens: fens.nfens() });
+
+      // rho*omega^2*V*(distance of the centroid), V = 6, centroid (0.5, 1, 1.5).
+      var f = total(feb.bodyLoads(geom, u, { omega: 2, axis: [2, 0, 0] }), 3);
+      expect(norm2(numeric.sub(f, [0, 48, 72])) < 1e-10).to.be(true);
+      f = total(feb.bodyLoads(geom, u, { omega: 2, center: [0.5, 1, 0] }), 3);
+      expect(norm2(f) < 1e-10).to.be(true);
+    });
+
+    it('should rotate 2D cells about the normal to the plane', function() {
+      var mesh = Q4Block(2, 1, 4, 2), fens = mesh.fens();
+      var feb = block(mesh.gcells(), new GaussRule(2, 2), new DeforSSLinElBiax({
+        property: prop, reduction: 'stress'
+      }));
+      var geom = new Field({ fens: fens });
+      var u = new Field({ dim: 2, nfens: fens.nfens() });
+
+      var f = total(feb.bodyLoads(geom, u, { omega: 3, gravity: [0, -10] }), 2);
+      expect(norm2(numeric.sub(f, [36, 18 - 40])) < 1e-10).to.be(true);
+    });
+
+    it('reactions of a clamped block should balance its body loads', function() {
+      var mesh = H8Block(2, 1, 1, 2, 1, 1), fens = mesh.fens();
+      var feb = new DeforSS({
+        material: new DeforSSLinElTriax({ property: prop }),
+        gcells: mesh.gcells(),
+        integrationRule: new GaussRule(3, 2),
+        rm: genISORm
+      });
+      var geom = new Field({ fens: fens });
+      var clamped = array1d(fens.nfens(), function(i) { return i; })
+            .filter(function(i) { return geom.at(i)[0] === 0; });
+      var u = new Field({
+        dim: 3, nfens: fens.nfens(),
+        ebcs: [ new EBC({ id: clamped, dir: [0, 1, 2], value: 0 }) ]
+      });
+      var kes = feb.stiffness(geom, u);
+      var gravity = feb.bodyLoads(geom, u, { gravity: [0, 0, -9.81] });
+      var spin = feb.bodyLoads(geom, u, { omega: 2 });
+      var K = new SparseSystemMatrix(u.neqns(), u.neqns(), kes);
+      u.scatterSystemVector_(mldivide(K, new SparseSystemVector(u.neqns(), gravity)));
+
+      var R = feb.reactions(geom, u, kes, gravity).sum();
+      expect(norm2(numeric.add(R, total(gravity, 3))) < 1e-9).to.be(true);
+      // the loads of the clamped nodes are missing otherwise.
+      R = feb.reactions(geom, u, kes).sum();
+      expect(norm2(numeric.add(R, total(gravity, 3))) > 1).to.be(true);
+
+      u.scatterSystemVector_(mldivide(K, new SparseSystemVector(u.neqns(), gravity.concat(spin))));
+      R = feb.reactions(geom, u, kes, [ gravity, spin ]).sum();
+      expect(norm2(numeric.add(R, numeric.add(total(gravity, 3), total(spin, 3)))) < 1e-9).to.be(true);
+      expect(function() { feb.reactions(geom, u, kes, gravity.slice(1)); }).to.throwError();
+    });
+  });
+
+  describe('DeforSS thermal loads', function() {
+    var E = 1000, nu = 0.25, alpha = 1e-3;
+    var prop = new LinElIso({ E: E, nu: nu, alpha: alpha });
+
+    it('a free plate should expand without stress', function() {
+      var mesh = Q4Block(2, 1, 2, 2), fens = mesh.fens();
+      var geom = new Field({ fens: fens });
+      var dT = geom.map(function() { return [50]; });
+      [ 'stress', 'strain' ].forEach(function(reduction) {
+        var feb = new DeforSS({
+          material: new DeforSSLinElBiax({ property: prop, reduction: reduction }),
+          gcells: mesh.gcells(),
+          integrationRule: new GaussRule(2, 2),
+          rm: eye(2)
+        });
+        var u = new Field({
+          dim: 2, nfens: fens.nfens(),
+          ebcs: [ new EBC({ id: 0, dir: [0, 1], value: 0 }), new EBC({ id: 2, dir: 1, value: 0 }) ]
+        });
+        var K = new SparseSystemMatrix(u.neqns(), u.neqns(), feb.stiffness(geom, u));
+        u.scatterSystemVector_(mldivide(K, new SparseSystemVector(u.neqns(),
+          feb.thermalLoads(geom, u, dT))));
+
+        var e = (reduction === 'strain' ? 1 + nu : 1) * alpha * 50;
+        u.values().forEach(function(v, i) {
+          expect(norm2(numeric.sub(v, numeric.mul(geom.at(i), e))) < 1e-12).to.be(true);
+        });
+        feb.integrationPointStresses(geom, u, dT).forEach(function(cell) {
+          cell.forEach(function(ip) { expect(norm2(ip.stress) < 1e-9).to.be(true); });
+        });
+        var sz = feb.nodalStresses(geom, u, dT).principal.at(4);
+        expect(Math.abs(Math.min.apply(null, sz) -
+                        (reduction === 'strain' ? -E * alpha * 50 : 0)) < 1e-9).to.be(true);
+        expect(norm2(feb.reactions(geom, u, null, null, dT).at(0)) < 1e-9).to.be(true);
+      });
+    });
+
+    it('a clamped block should follow the temperature gradient', function() {
+      var mesh = H8Block(2, 1, 1, 2, 1, 1), fens = mesh.fens();
+      var geom = new Field({ fens: fens });
+      var dT = geom.map(function(x) { return [10 + 5 * x[0]]; });
+      var feb = new DeforSS({
+        material: new DeforSSLinElTriax({ property: prop }),
+        gcells: mesh.gcells(),
+        integrationRule: new GaussRule(3, 2),
+        rm: genISORm
+      });
+      var u = new Field({
+        dim: 3, nfens: fens.nfens(),
+        ebcs: [ new EBC({ id: array1d(fens.nfens(), function(i) { return i; }),
+                          dir: [0, 1, 2], value: 0 }) ]
+      });
+      expect(u.neqns()).to.be(0);
+
+      var K = E / (1 - 2 * nu);
+      feb.integrationPointStresses(geom, u, dT).forEach(function(cell) {
+        cell.forEach(function(ip) {
+          var s = -K * alpha * (10 + 5 * ip.xyz[0]);
+          expect(norm2(numeric.sub(ip.stress, [s, s, s, 0, 0, 0])) < 1e-9).to.be(true);
+        });
+      });
+      var sum = array1d(3, 0);
+      feb.reactions(geom, u, null, null, dT).values().forEach(function(r) {
+        sum = numeric.add(sum, r);
+      });
+      expect(norm2(sum) < 1e-9).to.be(true);
+      expect(function() { feb.thermalLoads(geom, u, geom); }).to.throwError();
+    });
+  });
 });
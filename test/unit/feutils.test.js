@@ -1,10 +1,32 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var expect = require('expect.js');
-require(SRC + '/feutils.js');
+var feutils = require(SRC + '/feutils.js');
 
 describe('feutils', function() {
   xit('should fail', function() {
     expect(false).to.be(true);
   });
+
+  function near(a, b) {
+    return Math.abs(a - b) < 1e-10;
+  }
+
+  it('vonMises() should return the equivalent stress', function() {
+    expect(near(feutils.vonMises([[3, 0, 0], [0, 0, 0], [0, 0, 0]]), 3)).to.be(true);
+    expect(near(feutils.vonMises([[0, 2, 0], [2, 0, 0], [0, 0, 0]]), 2*Math.sqrt(3))).to.be(true);
+    expect(near(feutils.vonMises([[5, 0, 0], [0, 5, 0], [0, 0, 5]]), 0)).to.be(true);
+  });
+
+  it('principalStresses() should return descending eigenvalues', function() {
+    var p = feutils.principalStresses([[1, 2, 0], [2, 1, 0], [0, 0, -4]]);
+    expect(p.length).to.be(3);
+    [3, -1, -4].forEach(function(v, i) {
+      expect(near(p[i], v)).to.be(true);
+    });
+  });
+
+  it('pressure() should return minus the mean stress', function() {
+    expect(near(feutils.pressure([[1, 7, 0], [7, 2, 0], [0, 0, 3]]), -2)).to.be(true);
+  });
 });
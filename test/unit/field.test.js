@@ -326,4 +326,62 @@ describe('field', function() {
 
   var tester = new ModuleTester(field, dataset, verifies);
   tester.run();
+
+  it('Field#gatherSystemVector() should be the inverse of scatter', function() {
+    var u = new Field({
+      values: [[1, 2], [3, 4], [5, 6]],
+      ebcs: [ new EBC({ id: 1, dir: 0, value: 7 }) ]
+    });
+    expect(u.gatherSystemVector()).to.eql([1, 2, 4, 5, 6]);
+    u.scatterSystemVector_([0, -1, -2, -3, -4]);
+    expect(u.gatherSystemVector()).to.eql([0, -1, -2, -3, -4]);
+    expect(u.at(1)).to.eql([7, -2]);
+  });
+
+  it('Field#sum() should sum values over nodes', function() {
+    var u = new Field({ values: [[1, 2], [3, 4], [5, 6]] });
+    expect(u.sum()).to.eql([9, 12]);
+    expect(u.sum([0, 2])).to.eql([6, 8]);
+    expect(u.sum([])).to.eql([0, 0]);
+  });
+
+  it('Field#setEqnumOrder_() should number the equations in node order', function() {
+    var u = new Field({
+      values: [[1, 2], [3, 4], [5, 6]],
+      ebcs: [ new EBC({ id: 1, dir: 0, value: 7 }) ]
+    });
+    u.setEqnumOrder_([2, 1, 0]);
+    expect(u.neqns()).to.be(5);
+    expect(u.gatherSystemVector()).to.eql([5, 6, 4, 1, 2]);
+    expect(u.clone().eqnum(0, 0)).to.be(3);
+    expect(u.setEqnumOrder_(null).eqnum(0, 0)).to.be(0);
+    expect(function() { u.setEqnumOrder_([0, 0, 1]); }).to.throwError();
+    expect(function() { u.setEqnumOrder_([0, 1]); }).to.throwError();
+  });
+
+  it('Field#setNodeFrames_() should set the local frames of the nodes', function() {
+    var R = [[0, -1], [1, 0]];
+    var u = new Field({ values: [[1, 2], [3, 4], [5, 6]] });
+    expect(u.hasNodeFrames()).to.be(false);
+    expect(u.gatherFrameMatrix([0, 1])).to.be(null);
+
+    u.setNodeFrames_(1, R);
+    expect(u.nodeFrame(1)).to.eql(R);
+    expect(u.nodeFrame(0)).to.be(null);
+    expect(u.clone().nodeFrame(1)).to.eql(R);
+    expect(u.gatherFrameMatrix([0, 1])).to.eql([
+      [1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 0, -1], [0, 0, 1, 0]
+    ]);
+    expect(u.toGlobal().values()).to.eql([[1, 2], [-4, 3], [5, 6]]);
+    expect(u.fromGlobal(u.toGlobal()).values()).to.eql(u.values());
+
+    var geom = new Field({ values: [[0, 0], [1, 0], [0, 1]] });
+    u.setNodeFrames_([0, 2], function(xyz) { return xyz[1] > 0 ? R : null; }, geom);
+    expect(u.nodeFrame(2)).to.eql(R);
+    expect(u.setNodeFrames_([1, 2], null).hasNodeFrames()).to.be(false);
+
+    expect(function() { u.setNodeFrames_(0, [[1, 1], [0, 1]]); }).to.throwError();
+    expect(function() { u.setNodeFrames_(3, R); }).to.throwError();
+    expect(function() { u.setNodeFrames_(0, function() { return R; }); }).to.throwError();
+  });
 });
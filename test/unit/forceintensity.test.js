@@ -1,10 +1,53 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var expect = require('expect.js');
-require(SRC + '/forceintensity.js');
+var ForceIntensity = require(SRC + '/forceintensity.js').ForceIntensity;
+var Pressure = require(SRC + '/forceintensity.js').Pressure;
 
 describe('forceintensity', function() {
   xit('should fail', function() {
     expect(false).to.be(true);
   });
+
+  it('ForceIntensity#atTime() should scale magnitude by the amplitude', function() {
+    var fi = new ForceIntensity({
+      magn: [1, -2],
+      amplitude: function(t) { return t + 1; }
+    });
+    expect(fi.time()).to.be(0);
+    expect(fi.magn()).to.eql([[1], [-2]]);
+
+    var fi2 = fi.atTime(2);
+    expect(fi2).to.be.a(ForceIntensity);
+    expect(fi2.time()).to.be(2);
+    expect(fi2.magn()).to.eql([[3], [-6]]);
+    expect(fi.magn()).to.eql([[1], [-2]]);
+  });
+
+  it('ForceIntensity#constantMagn() should return the scaled vector', function() {
+    var fi = new ForceIntensity({
+      magn: [1, -2],
+      amplitude: function(t) { return t + 1; }
+    });
+    expect(fi.constantMagn()).to.eql([1, -2]);
+    expect(fi.atTime(2).constantMagn()).to.eql([3, -6]);
+    expect(new ForceIntensity({ magn: function() { return [[1]]; } }).constantMagn())
+      .to.be(null);
+  });
+
+  it('Pressure#magn() should be opposite to the outward normal', function() {
+    var p = new Pressure({ magn: 2, amplitude: function(t) { return t; } });
+    expect(p).to.be.a(ForceIntensity);
+    expect(p.follower()).to.be(false);
+    expect(p.constantMagn()).to.be(null);
+    expect(p.atTime(1).magn([[0, 0]], [[0], [3]])).to.eql([[-2], [0]]);
+    expect(p.atTime(1).magn([[0, 0, 0]], [[0, 1], [2, 0], [0, 0]])).to.eql([[0], [0], [2]]);
+
+    var f = new Pressure({ magn: function(xyz) { return xyz[0][0]; }, follower: true });
+    expect(f.atTime(2)).to.be.a(Pressure);
+    expect(f.atTime(2).follower()).to.be(true);
+    expect(f.magn([[3, 0]], [[-1], [0]])).to.eql([[0], [-3]]);
+    expect(function() { f.magn([[0, 0, 0]], [[1], [0], [0]]); }).to.throwError();
+    expect(function() { return new Pressure({ magn: [1, 0] }); }).to.throwError();
+  });
 });
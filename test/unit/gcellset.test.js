@@ -20,6 +20,18 @@ var P1 = gcellset.P1;
 var L2 = gcellset.L2;
 var Q4 = gcellset.Q4;
 var H8 = gcellset.H8;
+var T3 = gcellset.T3;
+var T4 = gcellset.T4;
+var L3 = gcellset.L3;
+var Q8 = gcellset.Q8;
+var H20 = gcellset.H20;
+var T6 = gcellset.T6;
+var T10 = gcellset.T10;
+var numeric = require(SRC + '/core.numeric');
+var det = numeric.det;
+var dot = numeric.dot;
+var transpose = numeric.transpose;
+var matrixEquals = numeric.matrixEquals;
 
 var VERIFIES = {
   'id': function(computed) {
@@ -455,9 +467,368 @@ describe('gcellset', function() {
           verify: 'sortEql'
         },
       ]
+    },
+    {
+      _type: 'T3',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 2],
+            [2, 3, 0]
+          ]
+        }
+      ],
+      type: [
+        { output: 'T3' }
+      ],
+      dim: [
+        { output: 2 }
+      ],
+      cellSize: [
+        { output: 3 }
+      ],
+      count: [
+        { output: 2 }
+      ],
+      nfens: [
+        { output: 4 }
+      ],
+      edges: [
+        {
+          output: [ [0, 1], [1, 2], [2, 0], [2, 3], [3, 0] ],
+          verify: 'normalizeEql'
+        }
+      ],
+      triangles: [
+        {
+          output: [ [0, 1, 2], [2, 3, 0] ],
+          verify: 'normalizeEql'
+        }
+      ],
+      bfun: [
+        {
+          input: [ [0.25, 0.5] ],
+          output: [ [0.25], [0.25], [0.5] ],
+          verify: 'eql'
+        }
+      ],
+      bfundpar: [
+        {
+          input: [ [0.2, 0.3] ],
+          output: [ [-1, -1], [1, 0], [0, 1] ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: (function() {
+            var l2 = new L2({ conn: [ [0, 1], [1, 2], [2, 3], [3, 0] ] });
+            l2.setFamily_('P1L2T3T4');
+            return l2;
+          })(),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    },
+    {
+      _type: 'T4',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 2, 3],
+            [1, 2, 3, 4]
+          ]
+        }
+      ],
+      type: [
+        { output: 'T4' }
+      ],
+      dim: [
+        { output: 3 }
+      ],
+      cellSize: [
+        { output: 4 }
+      ],
+      count: [
+        { output: 2 }
+      ],
+      triangles: [
+        {
+          output: [
+            [0, 2, 1], [0, 1, 3], [1, 2, 3], [0, 3, 2],
+            [1, 3, 2], [1, 2, 4], [2, 3, 4], [1, 4, 3]
+          ],
+          verify: 'normalizeEql'
+        }
+      ],
+      bfun: [
+        {
+          input: [ [0.5, 0.125, 0.25] ],
+          output: [ [0.125], [0.5], [0.125], [0.25] ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: new T3({
+            conn: [
+              [0, 2, 1], [0, 1, 3], [0, 3, 2],
+              [1, 2, 4], [2, 3, 4], [1, 4, 3]
+            ]
+          }),
+          verify: 'gcellsetEquals'
+        }
+      ]
     }
   ];
 
+  fixtures.push(
+    {
+      _type: 'L3',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 3],
+            [1, 2, 4]
+          ]
+        }
+      ],
+      type: [
+        { output: 'L3' }
+      ],
+      dim: [
+        { output: 1 }
+      ],
+      cellSize: [
+        { output: 3 }
+      ],
+      nfens: [
+        { output: 5 }
+      ],
+      edges: [
+        {
+          output: [ [0, 3], [3, 1], [1, 4], [4, 2] ],
+          verify: 'normalizeEql'
+        }
+      ],
+      bfun: [
+        {
+          input: [ [0.5] ],
+          output: [ [-0.125], [0.375], [0.75] ],
+          verify: 'eql'
+        }
+      ],
+      bfundpar: [
+        {
+          input: [ [0.5] ],
+          output: [ [0], [1], [-1] ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: (function() {
+            var p1 = new P1({ conn: [ [0], [2] ] });
+            p1.setFamily_('P1L3Q8H20');
+            return p1;
+          })(),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    },
+    {
+      _type: 'Q8',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 2, 3, 4, 5, 6, 7]
+          ]
+        }
+      ],
+      type: [
+        { output: 'Q8' }
+      ],
+      dim: [
+        { output: 2 }
+      ],
+      cellSize: [
+        { output: 8 }
+      ],
+      nfens: [
+        { output: 8 }
+      ],
+      triangles: [
+        {
+          output: [
+            [0, 4, 7], [4, 1, 5], [5, 2, 6],
+            [6, 3, 7], [4, 5, 6], [6, 7, 4]
+          ],
+          verify: 'normalizeEql'
+        }
+      ],
+      bfun: [
+        {
+          input: [ [0, 0] ],
+          output: [
+            [-0.25], [-0.25], [-0.25], [-0.25],
+            [0.5], [0.5], [0.5], [0.5]
+          ],
+          verify: 'eql'
+        }
+      ],
+      bfundpar: [
+        {
+          input: [ [0, 0] ],
+          output: [
+            [0, 0], [0, 0], [0, 0], [0, 0],
+            [0, -0.5], [0.5, 0], [0, 0.5], [-0.5, 0]
+          ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: new L3({
+            conn: [ [0, 1, 4], [1, 2, 5], [2, 3, 6], [3, 0, 7] ]
+          }),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    },
+    {
+      _type: 'H20',
+      _init_params: [
+        {
+          conn: [
+            [ 0, 1, 2, 3, 4, 5, 6, 7, 8, 9,
+              10, 11, 12, 13, 14, 15, 16, 17, 18, 19 ]
+          ]
+        }
+      ],
+      type: [
+        { output: 'H20' }
+      ],
+      dim: [
+        { output: 3 }
+      ],
+      cellSize: [
+        { output: 20 }
+      ],
+      nfens: [
+        { output: 20 }
+      ],
+      boundary: [
+        {
+          output: new Q8({
+            conn: [
+              [0, 3, 2, 1, 11, 10, 9, 8],
+              [0, 1, 5, 4, 8, 17, 12, 16],
+              [1, 2, 6, 5, 9, 18, 13, 17],
+              [2, 3, 7, 6, 10, 19, 14, 18],
+              [0, 4, 7, 3, 16, 15, 19, 11],
+              [4, 5, 6, 7, 12, 13, 14, 15]
+            ]
+          }),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    },
+    {
+      _type: 'T6',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 2, 3, 4, 5]
+          ]
+        }
+      ],
+      type: [
+        { output: 'T6' }
+      ],
+      dim: [
+        { output: 2 }
+      ],
+      cellSize: [
+        { output: 6 }
+      ],
+      triangles: [
+        {
+          output: [ [0, 3, 5], [3, 1, 4], [5, 4, 2], [3, 4, 5] ],
+          verify: 'normalizeEql'
+        }
+      ],
+      bfun: [
+        {
+          input: [ [0.5, 0.25] ],
+          output: [ [-0.125], [0], [-0.125], [0.5], [0.5], [0.25] ],
+          verify: 'eql'
+        }
+      ],
+      bfundpar: [
+        {
+          input: [ [0.5, 0.25] ],
+          output: [
+            [0, 0], [1, 0], [0, 0],
+            [-1, -2], [1, 2], [-1, 0]
+          ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: (function() {
+            var l3 = new L3({
+              conn: [ [0, 1, 3], [1, 2, 4], [2, 0, 5] ]
+            });
+            l3.setFamily_('P1L3T6T10');
+            return l3;
+          })(),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    },
+    {
+      _type: 'T10',
+      _init_params: [
+        {
+          conn: [
+            [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+          ]
+        }
+      ],
+      type: [
+        { output: 'T10' }
+      ],
+      dim: [
+        { output: 3 }
+      ],
+      cellSize: [
+        { output: 10 }
+      ],
+      bfun: [
+        {
+          input: [ [0.25, 0.25, 0.25] ],
+          output: [
+            [-0.125], [-0.125], [-0.125], [-0.125],
+            [0.25], [0.25], [0.25], [0.25], [0.25], [0.25]
+          ],
+          verify: 'eql'
+        }
+      ],
+      boundary: [
+        {
+          output: new T6({
+            conn: [
+              [0, 2, 1, 6, 5, 4], [0, 1, 3, 4, 8, 7],
+              [1, 2, 3, 5, 9, 8], [0, 3, 2, 7, 9, 6]
+            ]
+          }),
+          verify: 'gcellsetEquals'
+        }
+      ]
+    }
+  );
+
   var tester = new ModuleTester(gcellset, fixtures, VERIFIES);
   tester.run();
 
@@ -498,3 +869,100 @@ describe('GCellSet#extrude', function() {
   });
 
 });
+
+describe('GCellSet#boundary', function() {
+  it('should inherit axisSymm only', function() {
+    var q = new Q4({
+      conn: [ [0, 1, 2, 3] ],
+      axisSymm: true,
+      otherDimension: 0.5
+    });
+    var bdry = q.boundary();
+    expect(bdry.axisSymm()).to.be(true);
+    expect(bdry.otherDimension()).to.be(1);
+  });
+});
+
+describe('P1L2T3T4 family', function() {
+  it('P1 -> L2 -> T3 -> T4 should work', function() {
+    var p = new P1({
+      conn: [ [0] ]
+    });
+    p.setFamily_('P1L2T3T4');
+
+    var l = p.extrude([1, 1]);
+    expect(l.type()).to.be('L2');
+
+    var t = l.extrude([1]);
+    expect(t.type()).to.be('T3');
+    expect(t.count()).to.be(4);
+
+    var h = t.extrude([1]);
+    expect(h.type()).to.be('T4');
+    expect(h.count()).to.be(12);
+  });
+
+  it('extruded T4 should have positive volumes that add up', function() {
+    var l = new L2({ conn: [ [0, 1], [1, 2] ] });
+    l.setFamily_('P1L2T3T4');
+    var fens = new FeNodeSet({ xyz: [ [0], [1], [3] ] });
+    fens = fens.extrude([2]).extrude([0.5, 0.5]);
+    var h = l.extrude([1]).extrude([1, 1]);
+    var N = h.bfun([0.25, 0.25, 0.25]);
+    var Nder = h.bfundpar([0.25, 0.25, 0.25]);
+    var total = 0;
+    h.conn().forEach(function(conn) {
+      var x = conn.map(function(i) { return fens.xyzAt(i); });
+      var J = h.jacobianMatrix(Nder, x);
+      var vol = h.jacobianVolumn(conn, N, J, x) / 6;
+      expect(vol > 0).to.be(true);
+      total += vol;
+    });
+    expect(Math.abs(total - 6) < 1e-12).to.be(true);
+  });
+
+  it('T3 bfundpar should be consistent with bfun', function() {
+    var t = new T3({ conn: [ [0, 1, 2] ] });
+    var x = [ [0, 0], [2, 0], [0, 1] ];
+    var J = t.jacobianMatrix(t.bfundpar([1/3, 1/3]), x);
+    expect(matrixEquals(J, [ [2, 0], [0, 1] ])).to.be(true);
+    expect(t.jacobianSurface([0, 1, 2], null, J, x)).to.be(2);
+  });
+});
+
+describe('P1L3Q8H20 family', function() {
+  var corners = [
+    [-1, -1, -1], [1, -1, -1], [1, 1, -1], [-1, 1, -1],
+    [-1, -1, 1], [1, -1, 1], [1, 1, 1], [-1, 1, 1]
+  ];
+  var mids = [
+    [0, 1], [1, 2], [2, 3], [3, 0],
+    [4, 5], [5, 6], [6, 7], [7, 4],
+    [0, 4], [1, 5], [2, 6], [3, 7]
+  ];
+  var nodes = corners.concat(mids.map(function(m) {
+    return corners[m[0]].map(function(x, i) {
+      return 0.5 * (x + corners[m[1]][i]);
+    });
+  }));
+
+  it('H20 bfun should be 1 at its own node and 0 at others', function() {
+    var h = new H20({ conn: [ nodes.map(function(x, i) { return i; }) ] });
+    nodes.forEach(function(xyz, i) {
+      var N = h.bfun(xyz);
+      N.forEach(function(row, j) {
+        expect(row[0]).to.be(i === j ? 1 : 0);
+      });
+    });
+  });
+
+  it('H20 should reproduce the volume of a distorted brick', function() {
+    var h = new H20({ conn: [ nodes.map(function(x, i) { return i; }) ] });
+    var x = nodes.map(function(p) {
+      return [ 2 * p[0] + 0.5 * p[1], p[1], 3 * p[2] ];
+    });
+    var Nder = h.bfundpar([0.3, -0.2, 0.7]);
+    var J = h.jacobianMatrix(Nder, x);
+    expect(Math.abs(det(J) - 6) < 1e-12).to.be(true);
+  });
+});
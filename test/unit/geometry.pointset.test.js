@@ -108,6 +108,15 @@ describe('geometry.pointset.js', function() {
       expect(point0.length).to.be(ps.rn);
       expect(point0).to.eql([5, 5, 5]);
     });
+
+    it('should bump the version', function() {
+      var version = ps.getVersion();
+      ps.set_(1, [1, 1, 1]);
+      expect(ps.getVersion()).to.be(version + 1);
+      ps.setAtDir_(1, 2, 3);
+      expect(ps.getVersion()).to.be(version + 2);
+      expect(ps.clone().getVersion()).to.be(0);
+    });
   });
 
   describe('PointSet::clone()', function() {
@@ -11,6 +11,8 @@ var Topology = topology.Topology;
 var hypercube = topology.hypercube;
 var hypercubeBoundary = topology.hypercubeBoundary;
 var simplex = topology.simplex;
+var hypercubeHO = topology.hypercubeHO;
+var simplexHO = topology.simplexHO;
 
 function normalizeEql(computed, expected) {
   computed = computed.slice().map(function(cell) {
@@ -425,6 +427,162 @@ describe('geometry.topology', function() {
 
   });
 
+  describe('simplex(conn, dim)', function() {
+    var casesShouldWork = [
+      {
+        desc: 'A line made of L2',
+        conn: [
+          [1, 2]
+        ],
+        dim: 1,
+        expectedComplexes: [
+          [ [1], [2] ],
+          [ [1, 2] ]
+        ]
+      },
+      {
+        desc: '2 triangles made of T3',
+        conn: [
+          [0, 1, 2],
+          [2, 3, 0]
+        ],
+        dim: 2,
+        expectedComplexes: [
+          [ [0], [1], [2], [3] ],
+          [ [0, 1], [1, 2], [2, 0], [2, 3], [3, 0] ],
+          [ [0, 1, 2], [2, 3, 0] ]
+        ]
+      },
+      {
+        desc: '1 tetrahedron made of T4',
+        conn: [
+          [0, 1, 2, 3]
+        ],
+        dim: 3,
+        expectedComplexes: [
+          [ [0], [1], [2], [3] ],
+          [ [0, 2], [2, 1], [1, 0], [0, 3], [1, 3], [2, 3] ],
+          [ [0, 2, 1], [0, 1, 3], [1, 2, 3], [0, 3, 2] ],
+          [ [0, 1, 2, 3] ]
+        ]
+      }
+    ];
+
+    dataDriven(casesShouldWork, function() {
+      it('should work for dim = {dim} {desc}', function(ctx) {
+        var resultTopology = simplex(ctx.conn, ctx.dim).normalized();
+        var expectedTopology = (new Topology(ctx.expectedComplexes, 'P1L2T3T4')).normalized();
+        expect(resultTopology.getFamilyType()).to.be('P1L2T3T4');
+        expect(resultTopology.equals(expectedTopology)).to.be(true);
+      });
+    });
+
+    it('should list an edge shared by two tetrahedra once', function() {
+      var t = simplex([ [0, 1, 2, 3], [1, 2, 3, 4] ], 3);
+      expect(t.getNumOfCellsInDim(2)).to.be(7);
+      expect(t.getNumOfCellsInDim(1)).to.be(9);
+      expect(t.getNumOfCellsInDim(0)).to.be(5);
+    });
+  });
+
+  describe('hypercubeHO(conn, dim)', function() {
+    var casesShouldWork = [
+      {
+        desc: '2 quadratic lines made of L3',
+        conn: [
+          [0, 1, 3],
+          [1, 2, 4]
+        ],
+        dim: 1,
+        expectedComplexes: [
+          [ [0], [1], [3], [2], [4] ],
+          [ [0, 1, 3], [1, 2, 4] ]
+        ]
+      },
+      {
+        desc: '1 quad made of Q8',
+        conn: [
+          [0, 1, 2, 3, 4, 5, 6, 7]
+        ],
+        dim: 2,
+        expectedComplexes: [
+          [ [0], [1], [4], [2], [5], [3], [6], [7] ],
+          [ [0, 1, 4], [1, 2, 5], [2, 3, 6], [3, 0, 7] ],
+          [ [0, 1, 2, 3, 4, 5, 6, 7] ]
+        ]
+      }
+    ];
+
+    dataDriven(casesShouldWork, function() {
+      it('should work for dim = {dim} {desc}', function(ctx) {
+        var resultTopology = hypercubeHO(ctx.conn, ctx.dim).normalized();
+        var expectedTopology = (new Topology(ctx.expectedComplexes, 'P1L3Q8H20')).normalized();
+        expect(resultTopology.getFamilyType()).to.be('P1L3Q8H20');
+        expect(resultTopology.equals(expectedTopology)).to.be(true);
+      });
+    });
+
+    it('should list the face shared by two H20 once', function() {
+      var t = hypercubeHO([
+        [0, 1, 2, 3, 4, 5, 6, 7, 8, 9,
+         10, 11, 12, 13, 14, 15, 16, 17, 18, 19],
+        [4, 5, 6, 7, 20, 21, 22, 23, 12, 13,
+         14, 15, 24, 25, 26, 27, 28, 29, 30, 31]
+      ], 3);
+      expect(t.getNumOfCellsInDim(2)).to.be(11);
+      expect(t.getNumOfCellsInDim(1)).to.be(20);
+      expect(t.getNumOfCellsInDim(0)).to.be(32);
+    });
+  });
+
+  describe('simplexHO(conn, dim)', function() {
+    var casesShouldWork = [
+      {
+        desc: '1 triangle made of T6',
+        conn: [
+          [0, 1, 2, 3, 4, 5]
+        ],
+        dim: 2,
+        expectedComplexes: [
+          [ [0], [1], [3], [2], [4], [5] ],
+          [ [0, 1, 3], [1, 2, 4], [2, 0, 5] ],
+          [ [0, 1, 2, 3, 4, 5] ]
+        ]
+      },
+      {
+        desc: '1 tetrahedron made of T10',
+        conn: [
+          [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]
+        ],
+        dim: 3,
+        expectedComplexes: [
+          [ [0], [2], [1], [6], [5], [4], [3], [8], [7], [9] ],
+          [ [0, 2, 6], [2, 1, 5], [1, 0, 4], [1, 3, 8], [3, 0, 7], [2, 3, 9] ],
+          [
+            [0, 2, 1, 6, 5, 4], [0, 1, 3, 4, 8, 7],
+            [1, 2, 3, 5, 9, 8], [0, 3, 2, 7, 9, 6]
+          ],
+          [ [0, 1, 2, 3, 4, 5, 6, 7, 8, 9] ]
+        ]
+      }
+    ];
+
+    dataDriven(casesShouldWork, function() {
+      it('should work for dim = {dim} {desc}', function(ctx) {
+        var resultTopology = simplexHO(ctx.conn, ctx.dim).normalized();
+        var expectedTopology = (new Topology(ctx.expectedComplexes, 'P1L3T6T10')).normalized();
+        expect(resultTopology.getFamilyType()).to.be('P1L3T6T10');
+        expect(resultTopology.equals(expectedTopology)).to.be(true);
+      });
+    });
+
+    it('should not support extrude', function() {
+      expect(function() {
+        simplexHO([ [0, 1, 2] ], 1).extrude([true]);
+      }).to.throwError();
+    });
+  });
+
   describe('Topology#skeleton', function() {
     var t = hypercube([ [0,1,2,3,4,5,6,7] ], 3).normalized();
 
@@ -548,9 +706,101 @@ describe('geometry.topology', function() {
 
     });
 
+    describe('P1L2T3T4 family', function() {
+      it('should work for one triangle', function() {
+        var t = simplex([ [1, 2, 3] ], 2);
+        var bdry = t.boundary();
+        expect(bdry.getFamilyType()).to.be('P1L2T3T4');
+        normalizeEql(bdry.getMaxCells(), [ [1, 2], [2, 3], [3, 1] ]);
+      });
+
+      it('should work for two triangles', function() {
+        var t = simplex([ [0, 1, 2], [2, 3, 0] ], 2);
+        normalizeEql(t.boundaryConn(), [ [0, 1], [1, 2], [2, 3], [3, 0] ]);
+      });
+
+      it('should work for two tetrahedra', function() {
+        var t = simplex([ [0, 1, 2, 3], [1, 2, 3, 4] ], 3);
+        normalizeEql(t.boundaryConn(), [
+          [0, 2, 1], [0, 1, 3], [0, 3, 2],
+          [1, 2, 4], [2, 3, 4], [1, 4, 3]
+        ]);
+      });
+    });
+
+    describe('P1L3T6T10 family', function() {
+      it('should work for two T10', function() {
+        var t = simplexHO([
+          [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+          [1, 2, 3, 10, 5, 9, 8, 11, 12, 13]
+        ], 3);
+        var bdry = t.boundary();
+        expect(bdry.getFamilyType()).to.be('P1L3T6T10');
+        normalizeEql(bdry.getMaxCells(), [
+          [0, 2, 1, 6, 5, 4], [0, 1, 3, 4, 8, 7], [0, 3, 2, 7, 9, 6],
+          [1, 2, 10, 5, 12, 11], [2, 3, 10, 9, 13, 12], [1, 10, 3, 11, 13, 8]
+        ]);
+      });
+    });
+
+    describe('P1L3Q8H20 family', function() {
+      it('should work for two Q8', function() {
+        var t = hypercubeHO([
+          [0, 1, 2, 3, 4, 5, 6, 7],
+          [1, 8, 9, 2, 10, 11, 12, 5]
+        ], 2);
+        var bdry = t.boundary();
+        expect(bdry.getFamilyType()).to.be('P1L3Q8H20');
+        normalizeEql(bdry.getMaxCells(), [
+          [0, 1, 4], [2, 3, 6], [3, 0, 7],
+          [1, 8, 10], [8, 9, 11], [9, 2, 12]
+        ]);
+      });
+    });
   });
 
   describe('Topoloy#extrude', function() {
+    describe('P1L2T3T4 family', function() {
+      it('0 -> 1', function() {
+        var t = simplex([ [0] ], 0);
+        var e0 = t.extrude([1, 1]).normalized();
+        var expected0 = simplex([ [0, 1], [1, 2] ], 1).normalized();
+        expect(e0.equals(expected0)).to.be(true);
+      });
+
+      it('1 -> 2', function() {
+        var t = simplex([ [0, 1] ], 1);
+        var e0 = t.extrude([1]).normalized();
+        var expected0 = simplex([ [0, 1, 3], [0, 3, 2] ], 2).normalized();
+        expect(e0.equals(expected0)).to.be(true);
+      });
+
+      it('2 -> 3', function() {
+        var t = simplex([ [0, 1, 2] ], 2);
+        var e0 = t.extrude([1]);
+        expect(e0.getDim()).to.be(3);
+        normalizeEql(e0.getMaxCells(), [
+          [0, 1, 2, 5],
+          [0, 1, 5, 4],
+          [0, 3, 4, 5]
+        ]);
+        normalizeEql(e0.boundaryConn(), [
+          [0, 2, 1], [3, 4, 5],
+          [0, 1, 4], [0, 4, 3],
+          [1, 2, 5], [1, 5, 4],
+          [0, 3, 5], [0, 5, 2]
+        ]);
+      });
+
+      it('2 -> 3 should cut quads shared by two prisms the same way', function() {
+        var t = simplex([ [0, 1, 2], [2, 1, 3] ], 2);
+        var e0 = t.extrude([1]);
+        expect(e0.getNumOfCellsInDim(3)).to.be(6);
+        expect(e0.boundaryConn().length).to.be(12);
+      });
+    });
+
+
     describe('P1L2Q4H8 family', function() {
       it('0 -> 1', function() {
         var t = hypercube([ [0] ], 0);
@@ -10,6 +10,8 @@ var vecEquals = numeric.vecEquals;
 var integrationRule = require(SRC + '/integrationrule.js');
 var IntegrationRule = integrationRule.IntegrationRule;
 var GaussRule = integrationRule.GaussRule;
+var TriRule = integrationRule.TriRule;
+var TetRule = integrationRule.TetRule;
 
 
 function loadFixtures(fileName) {
@@ -56,4 +58,66 @@ describe('integrationrule', function() {
     });
 
   });
+
+  // Integrate monomial x^a y^b z^c over the rule.
+  function integrate(ir, powers) {
+    var pcs = ir.paramCoords(), ws = ir.weights();
+    return pcs.reduce(function(sofar, pc, i) {
+      var val = powers.reduce(function(prod, p, j) {
+        return prod * Math.pow(pc[j], p);
+      }, 1);
+      return sofar + ws[i] * val;
+    }, 0);
+  }
+
+  function factorial(n) { return n <= 1 ? 1 : n * factorial(n - 1); }
+
+  // Exact integral of x^a y^b (z^c) over the unit simplex.
+  function exact(powers) {
+    var sum = powers.reduce(function(s, p) { return s + p; }, 0);
+    var num = powers.reduce(function(s, p) { return s * factorial(p); }, 1);
+    return num / factorial(sum + powers.length);
+  }
+
+  describe('TriRule', function() {
+    dataDriven([
+      { npts: 1, powers: [ [0, 0], [1, 0], [0, 1] ] },
+      { npts: 3, powers: [ [0, 0], [1, 0], [2, 0], [1, 1], [0, 2] ] },
+      { npts: 6, powers: [ [0, 0], [2, 1], [3, 1], [4, 0], [2, 2], [0, 4] ] }
+    ], function() {
+      it('should integrate exactly for npts = {npts}', function(ctx) {
+        var ir = new TriRule(ctx.npts);
+        expect(ir.dim()).to.be(2);
+        expect(ir.npts()).to.be(ctx.npts);
+        ctx.powers.forEach(function(powers) {
+          expect(Math.abs(integrate(ir, powers) - exact(powers)) < 1e-12).to.be(true);
+        });
+      });
+    });
+
+    it('should throw for not implemented npts', function() {
+      expect(function() { return new TriRule(2); }).to.throwException();
+    });
+  });
+
+  describe('TetRule', function() {
+    dataDriven([
+      { npts: 1, powers: [ [0, 0, 0], [1, 0, 0], [0, 0, 1] ] },
+      { npts: 4, powers: [ [0, 0, 0], [1, 0, 0], [2, 0, 0], [1, 1, 0], [0, 1, 1] ] },
+      { npts: 14, powers: [ [0, 0, 0], [4, 0, 0], [2, 2, 0], [1, 1, 2], [5, 0, 0], [2, 2, 1], [0, 3, 2] ] }
+    ], function() {
+      it('should integrate exactly for npts = {npts}', function(ctx) {
+        var ir = new TetRule(ctx.npts);
+        expect(ir.dim()).to.be(3);
+        expect(ir.npts()).to.be(ctx.npts);
+        ctx.powers.forEach(function(powers) {
+          expect(Math.abs(integrate(ir, powers) - exact(powers)) < 1e-12).to.be(true);
+        });
+      });
+    });
+
+    it('should throw for not implemented npts', function() {
+      expect(function() { return new TetRule(3); }).to.throwException();
+    });
+  });
 });
@@ -0,0 +1,81 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var IntegrationPointGeometry = require(SRC + '/ipgeometry').IntegrationPointGeometry;
+var FeNodeSet = require(SRC + '/fens').FeNodeSet;
+var Q4 = require(SRC + '/gcellset').Q4;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var Field = require(SRC + '/field').Field;
+
+describe('ipgeometry', function() {
+  // two 2 by 1 rectangles side by side.
+  var fens = new FeNodeSet({
+    xyz: [ [0, 0], [2, 0], [2, 1], [0, 1], [4, 0], [4, 1] ]
+  });
+  var gcells = new Q4({ conn: [ [0, 1, 2, 3], [1, 4, 5, 2] ] });
+  var ir = new GaussRule(2, 2);
+  var geom = new Field({ fens: fens });
+  var g = new IntegrationPointGeometry(gcells, ir, geom);
+
+  it('should return the basis functions and the cell coordinates', function() {
+    expect(g.count()).to.be(2);
+    expect(g.npts()).to.be(4);
+    expect(g.weight(0)).to.be(1);
+    expect(g.N(0)).to.eql(gcells.bfun(ir.paramCoords()[0]));
+    expect(g.conn(1)).to.eql([1, 4, 5, 2]);
+    expect(g.x(1)).to.eql([ [2, 0], [4, 0], [4, 1], [2, 1] ]);
+    expect(g.isFor(gcells, ir, geom)).to.be(true);
+    expect(g.isFor(gcells, ir, geom.clone())).to.be(false);
+    var moved = geom.clone();
+    var h = new IntegrationPointGeometry(gcells, ir, moved);
+    expect(h.isFor(gcells, ir, moved)).to.be(true);
+    moved.pointset().setAtDir_(4, 0, 5);
+    expect(h.isFor(gcells, ir, moved)).to.be(false);
+  });
+
+  it('should compute the Jacobians once', function() {
+    var J = g.J(1, 2);
+    expect(Math.abs(J[0][0] - 1) < 1e-12 && Math.abs(J[1][1] - 0.5) < 1e-12).to.be(true);
+    expect(g.J(1, 2)).to.be(J);
+    expect(Math.abs(g.jacobian(0, 0) - 0.5) < 1e-12).to.be(true);
+    expect(Math.abs(g.jacobian(0, 0, 2) - 0.5) < 1e-12).to.be(true);
+    var a = 1/Math.sqrt(3);
+    expect(Math.abs(g.c(1, 3)[0][0] - (3 + a)) < 1e-12).to.be(true);
+    expect(Math.abs(g.c(1, 3)[0][1] - (1 + a)/2) < 1e-12).to.be(true);
+  });
+
+  it('should cache the gradients of the last rm', function() {
+    var grad = g.gradients(0, 1, null);
+    expect(g.gradients(0, 1)).to.be(grad);
+    // the derivatives of the basis functions sum to zero.
+    var sum = grad.Ndersp.reduce(function(s, row) { return s + row[0]; }, 0);
+    expect(Math.abs(sum) < 1e-12).to.be(true);
+
+    var swap = [ [0, 1], [1, 0] ];
+    var local = g.gradients(0, 1, swap);
+    expect(local.rm).to.be(swap);
+    expect(Math.abs(local.Ndersp[0][0] - grad.Ndersp[0][1]) < 1e-12).to.be(true);
+    expect(g.gradients(0, 1, function() { return swap; }).rm).to.be(swap);
+  });
+
+  it('should keep the last cell only without cache', function() {
+    var h = new IntegrationPointGeometry(gcells, ir, geom, { cache: false });
+    var J = h.J(1, 2);
+    expect(h.J(1, 2)).to.be(J);
+    expect(h.jacobian(0, 0)).to.be(g.jacobian(0, 0));
+    expect(h._c[1]).to.be(undefined);
+    expect(h.J(1, 2)).not.to.be(J);
+    expect(h.J(1, 2)).to.eql(J);
+    var grad = h.gradients(0, 1, null);
+    expect(grad.Ndersp).to.eql(g.gradients(0, 1, null).Ndersp);
+    expect(h.gradients(1, 1, null).Ndersp).to.eql(g.gradients(1, 1, null).Ndersp);
+    expect(h._gradients.values[0]).to.be(undefined);
+  });
+
+  it('should throw for invalid arguments', function() {
+    expect(function() {
+      return new IntegrationPointGeometry(gcells, ir, fens);
+    }).to.throwError();
+  });
+});
@@ -1,6 +1,7 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var ModuleTester = require(ROOT + '/test/lib/module-tester').ModuleTester;
+var expect = require('expect.js');
 var material = require(SRC + '/material.js');
 var property = require(SRC + '/property.js');
 
@@ -46,4 +47,45 @@ describe('material', function() {
   var tester = new ModuleTester(material, dataset, VERIFIES);
   tester.run();
 
+  it('Material#property() should return the property', function() {
+    var prop = new property.LinElIso({ E: 1000, rho: 7.8 });
+    var mater = new material.DeforSSLinElTriax({ property: prop });
+    expect(mater.property()).to.be(prop);
+    expect(mater.property().rho()).to.be(7.8);
+  });
+
+  it('Material#stressTensor() should depend on the reduction', function() {
+    var prop = new property.LinElIso({ E: 1000, nu: 0.25 });
+    function biax(reduction) {
+      return new material.DeforSSLinElBiax({ property: prop, reduction: reduction });
+    }
+    expect(new material.DeforSSLinElUniax({ property: prop }).stressTensor([2]))
+      .to.eql([[2, 0, 0], [0, 0, 0], [0, 0, 0]]);
+    expect(biax('stress').stressTensor([1, 3, 2]))
+      .to.eql([[1, 2, 0], [2, 3, 0], [0, 0, 0]]);
+    expect(biax('strain').stressTensor([1, 3, 2]))
+      .to.eql([[1, 2, 0], [2, 3, 0], [0, 0, 1]]);
+    expect(biax('axisSymm').stressTensor([1, 3, 4, 2]))
+      .to.eql([[1, 2, 0], [2, 3, 0], [0, 0, 4]]);
+    expect(new material.DeforSSLinElTriax({ property: prop }).stressTensor([1, 2, 3, 4, 5, 6]))
+      .to.eql([[1, 4, 5], [4, 2, 6], [5, 6, 3]]);
+  });
+
+  it('Material#thermalStrain() should depend on the reduction', function() {
+    var prop = new property.LinElIso({ E: 1000, nu: 0.25, alpha: 0.5 });
+    function biax(reduction) {
+      return new material.DeforSSLinElBiax({ property: prop, reduction: reduction });
+    }
+    expect(new material.DeforSSLinElUniax({ property: prop }).thermalStrain(2)).to.eql([1]);
+    expect(biax('stress').thermalStrain(2)).to.eql([1, 1, 0]);
+    expect(biax('strain').thermalStrain(2)).to.eql([1.25, 1.25, 0]);
+    expect(biax('axisSymm').thermalStrain(2)).to.eql([1, 1, 1, 0]);
+    expect(new material.DeforSSLinElTriax({ property: prop }).thermalStrain(2))
+      .to.eql([1, 1, 1, 0, 0, 0]);
+
+    // the restrained expansion in plane strain.
+    expect(biax('strain').stressTensor([1, 3, 2], 2)[2][2]).to.be(1 - 1000);
+    expect(biax('stress').stressTensor([1, 3, 2], 2)[2][2]).to.be(0);
+  });
+
 });
@@ -142,5 +142,69 @@ describe('mesh', function() {
 
   });
 
+  describe('#toQuadratic()', function() {
+    it('L2 -> L3', function() {
+      var m = mesh.L2Block(2, 2).toQuadratic();
+      expect(m.gcells().type()).to.be('L3');
+      expect(m.fens().xyz()).to.eql([[0], [1], [2], [0.5], [1.5]]);
+      expect(m.gcells().conn()).to.eql([ [0, 1, 3], [1, 2, 4] ]);
+    });
+
+    it('Q4 -> Q8 should share mid-side nodes', function() {
+      var m = mesh.Q4Block(2, 1, 2, 1).toQuadratic();
+      expect(m.gcells().type()).to.be('Q8');
+      expect(m.fens().count()).to.be(13);
+      expect(m.gcells().conn()).to.eql([
+        [0, 1, 4, 3, 6, 7, 8, 9],
+        [1, 2, 5, 4, 10, 11, 12, 7]
+      ]);
+      expect(m.fens().xyzAt(7)).to.eql([1, 0.5]);
+    });
+
+    it('H8 -> H20', function() {
+      var m = mesh.H8Block(1, 1, 1, 1, 1, 2).toQuadratic();
+      expect(m.gcells().type()).to.be('H20');
+      expect(m.gcells().count()).to.be(2);
+      expect(m.fens().count()).to.be(12 + 20);
+    });
+
+    it('T3 -> T6 and T4 -> T10', function() {
+      var l2 = mesh.L2Block(1, 1);
+      l2.gcells().setFamily_('P1L2T3T4');
+      var t3 = l2.extrude([1], [true]);
+      var t6 = t3.toQuadratic();
+      expect(t6.gcells().type()).to.be('T6');
+      expect(t6.fens().count()).to.be(4 + 5);
+
+      var t10 = t3.extrude([1], [true]).toQuadratic();
+      expect(t10.gcells().type()).to.be('T10');
+      expect(t10.gcells().count()).to.be(6);
+      // 8 corners and one node on each of the 19 edges.
+      expect(t10.fens().count()).to.be(8 + 19);
+    });
+
+    it('should throw for unsupported cell type', function() {
+      var m = mesh.L2Block(2, 2).toQuadratic();
+      expect(function() { m.toQuadratic(); }).to.throwError();
+    });
+  });
+
+  describe('#renumber()', function() {
+    it('should renumber the nodes and the cells', function() {
+      var m = mesh.Q4Block(4, 1, 8, 1);
+      var res = m.renumber();
+      var xyz = m.fens().xyz(), newXyz = res.mesh.fens().xyz();
+      expect(res.after.bandwidth).to.be.below(res.before.bandwidth);
+      res.order.forEach(function(old, k) {
+        expect(newXyz[k]).to.eql(xyz[old]);
+        expect(res.position[old]).to.be(k);
+      });
+      expect(res.mesh.gcells().type()).to.be('Q4');
+      res.mesh.gcells().conn().forEach(function(cell, c) {
+        expect(cell.map(function(k) { return res.order[k]; }))
+          .to.eql(m.gcells().conn()[c]);
+      });
+    });
+  });
 
 });
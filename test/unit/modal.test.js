@@ -0,0 +1,99 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var L2Block = require(SRC + '/mesh').L2Block;
+var H8Block = require(SRC + '/mesh').H8Block;
+var LinElIso = require(SRC + '/property').LinElIso;
+var DeforSSLinElUniax = require(SRC + '/material').DeforSSLinElUniax;
+var DeforSSLinElTriax = require(SRC + '/material').DeforSSLinElTriax;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var Field = require(SRC + '/field').Field;
+var EBC = require(SRC + '/ebc').EBC;
+var DeforSS = require(SRC + '/feblock').DeforSS;
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
+var genISORm = require(SRC + '/feutils').genISORm;
+var modal = require(SRC + '/modal').modal;
+
+describe('modal', function() {
+  // Fixed-free bar: omega_k = (2k-1)*pi/(2*L)*sqrt(E/rho).
+  var E = 1000, rho = 2, L = 10, nel = 40;
+
+  var mesh = L2Block(L, nel);
+  var geom = new Field({ name: 'geom', fens: mesh.fens() });
+  var u = new Field({
+    name: 'u',
+    dim: 1,
+    nfens: geom.nfens(),
+    ebcs: [ new EBC({ id: [0], dir: 0, value: 0 }) ]
+  });
+
+  var feb = new DeforSS({
+    material: new DeforSSLinElUniax({
+      property: new LinElIso({ E: E, rho: rho })
+    }),
+    gcells: mesh.gcells(),
+    integrationRule: new GaussRule(1, 2),
+    rm: genISORm
+  });
+
+  var neqns = u.neqns();
+  var K = new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u));
+  var M = new SparseSystemMatrix(neqns, neqns, feb.mass(geom, u));
+
+  var res = modal(K, M, u, 3);
+
+  it('should return the natural frequencies in Hz', function() {
+    [1, 2, 3].forEach(function(k, i) {
+      var omega = (2*k - 1)*Math.PI/(2*L)*Math.sqrt(E/rho);
+      expect(Math.abs(res.angularFrequencies[i] - omega)/omega < 5e-3).to.be(true);
+      expect(res.frequencies[i]).to.be(res.angularFrequencies[i]/(2*Math.PI));
+    });
+  });
+
+  it('should return mass normalized mode shapes as Field', function() {
+    expect(res.modes.length).to.be(3);
+    var mode = res.modes[0];
+    expect(mode).to.be.a(Field);
+    expect(mode.nfens()).to.be(nel + 1);
+    // fixed end does not move, free end moves most.
+    expect(mode.at(0)[0]).to.be(0);
+    var tip = Math.abs(mode.at(nel)[0]);
+    mode.values().forEach(function(v) {
+      expect(Math.abs(v[0]) <= tip + 1e-12).to.be(true);
+    });
+    // phi' M phi = 1 for a bar of mass rho*L: tip amplitude is
+    // sqrt(2/(rho*L)).
+    expect(Math.abs(tip - Math.sqrt(2/(rho*L))) < 1e-2).to.be(true);
+  });
+
+  it('should throw if u is not a Field', function() {
+    expect(function() { modal(K, M, null, 1); }).to.throwError();
+  });
+
+  it('should find the six rigid body modes of a free solid', function() {
+    var mesh = H8Block(2, 1, 1, 2, 1, 1);
+    var geom = new Field({ fens: mesh.fens() });
+    var u = new Field({ dim: 3, nfens: geom.nfens() });
+    var feb = new DeforSS({
+      material: new DeforSSLinElTriax({ property: new LinElIso({ E: 1000, nu: 0.3, rho: 2 }) }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(3, 2),
+      rm: genISORm
+    });
+    var n = u.neqns();
+    var K = new SparseSystemMatrix(n, n, feb.stiffness(geom, u));
+    var M = new SparseSystemMatrix(n, n, feb.mass(geom, u));
+
+    var first = null;
+    [ -1e6, -1e3, -1 ].forEach(function(shift) {
+      var res = modal(K, M, u, 8, { shift: shift });
+      res.eigenvalues.slice(0, 6).forEach(function(lambda) {
+        expect(Math.abs(lambda)).to.be.below(1e-8);
+      });
+      first = first || res.eigenvalues[6];
+      expect(res.eigenvalues[6]).to.be.above(1);
+      expect(Math.abs(res.eigenvalues[6] - first)).to.be.below(1e-6 * first);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var mpc = require(SRC + '/mpc.js');
+var MPC = mpc.MPC;
+var EBC = require(SRC + '/ebc.js').EBC;
+var Field = require(SRC + '/field.js').Field;
+var SparseSystemMatrix = require(SRC + '/system.matrix.js').SparseSystemMatrix;
+var ElementMatrix = require(SRC + '/system.matrix.js').ElementMatrix;
+var vecEquals = require(SRC + '/core.numeric.js').vecEquals;
+
+describe('mpc', function() {
+  // ground - k - 1 - k - 2 - k - 3 - k - 4, unit springs, node 0 is
+  // the ground.
+  function chain(ground) {
+    var u = new Field({
+      nfens: 5, dim: 1,
+      ebcs: [ new EBC({ id: 0, dir: 0, value: ground || 0 }) ]
+    });
+    var ems = [ 0, 1, 2, 3 ].map(function(i) {
+      return new ElementMatrix([ [1, -1], [-1, 1] ], u.gatherEqnumsVector([i, i + 1]));
+    });
+    return { u: u, K: new SparseSystemMatrix(u.neqns(), u.neqns(), ems) };
+  }
+
+  function equilibrium(sys, F, mpcs, res) {
+    // K*x + C'*lambda = F
+    var r = sys.K.csrMatrix().mulVector(res.x);
+    mpcs.forEach(function(c, k) {
+      c.terms().forEach(function(t) {
+        var eq = sys.u.eqnum(t.id, t.dir);
+        if (eq >= 0) r[eq] += t.coef * res.multipliers[k];
+      });
+    });
+    return vecEquals(r, F, 1e-10);
+  }
+
+  it('MPC() should validate the terms', function() {
+    expect(function() { return new MPC({ terms: [] }); }).to.throwException();
+    expect(function() { return new MPC({ terms: [ { id: 0, dir: 0 } ] }); }).to.throwException();
+    var c = new MPC({ terms: [ { id: 1, dir: 0, coef: 2 } ], value: 3 });
+    expect(c.terms()).to.eql([ { id: 1, dir: 0, coef: 2 } ]);
+    expect(c.value()).to.be(3);
+  });
+
+  it('tie() and interpolate() should build the constraints', function() {
+    var ties = mpc.tie([1, 2], [3, 4], [0, 1]);
+    expect(ties.length).to.be(4);
+    expect(ties[1].terms()).to.eql([ { id: 1, dir: 1, coef: 1 }, { id: 3, dir: 1, coef: -1 } ]);
+    var cs = mpc.interpolate(2, [1, 3], [0.25, 0.75], 0);
+    expect(cs.length).to.be(1);
+    expect(cs[0].terms()).to.eql([
+      { id: 2, dir: 0, coef: 1 }, { id: 1, dir: 0, coef: -0.25 }, { id: 3, dir: 0, coef: -0.75 }
+    ]);
+    expect(function() { mpc.tie([1, 2], [3], 0); }).to.throwException();
+  });
+
+  it('elimination and lagrange should agree on a tied chain', function() {
+    var sys = chain(), F = [0, 1, 0, 0];
+    var mpcs = mpc.tie(1, 4, 0);
+    var elim = mpc.solve(sys.K, F, sys.u, mpcs);
+    var lagr = mpc.solve(sys.K, F, sys.u, mpcs, { method: 'lagrange' });
+
+    expect(mpc.constrain(sys.K, F, sys.u, mpcs).F.length).to.be(3);
+    expect(mpc.constrain(sys.K, F, sys.u, mpcs, { method: 'lagrange' }).F.length).to.be(5);
+    expect(Math.abs(elim.x[0] - elim.x[3]) < 1e-12).to.be(true);
+    expect(vecEquals(elim.x, lagr.x, 1e-10)).to.be(true);
+    expect(vecEquals(elim.multipliers, lagr.multipliers, 1e-10)).to.be(true);
+    expect(equilibrium({ K: sys.K, u: sys.u }, F, mpcs, elim)).to.be(true);
+
+    sys.u.scatterSystemVector_(elim.x);
+    expect(Math.abs(mpcs[0].residual(sys.u)) < 1e-12).to.be(true);
+  });
+
+  it('should move prescribed terms to the right hand side', function() {
+    // u1 - u0 = 0.5, u0 = 0.2
+    var sys = chain(0.2), F = [0, 0, 0, 0];
+    var mpcs = [ new MPC({ terms: [ { id: 1, dir: 0, coef: 1 }, { id: 0, dir: 0, coef: -1 } ],
+                           value: 0.5 }) ];
+    [ 'elimination', 'lagrange' ].forEach(function(method) {
+      var res = mpc.solve(sys.K, F, sys.u, mpcs, { method: method });
+      expect(vecEquals(res.x, [0.7, 0.7, 0.7, 0.7], 1e-10)).to.be(true);
+    });
+  });
+
+  it('elimination should chain slaves and drop redundant constraints', function() {
+    var sys = chain(), F = [0, 0, 0, 1];
+    // u1 = u2, u2 = 2*u3, and the redundant u1 = 2*u3
+    var mpcs = mpc.tie(1, 2, 0).concat([
+      new MPC({ terms: [ { id: 2, dir: 0, coef: 1 }, { id: 3, dir: 0, coef: -2 } ] }),
+      new MPC({ terms: [ { id: 1, dir: 0, coef: 1 }, { id: 3, dir: 0, coef: -2 } ] })
+    ]);
+    var res = mpc.solve(sys.K, F, sys.u, mpcs);
+    expect(Math.abs(res.x[0] - res.x[1]) < 1e-12).to.be(true);
+    expect(Math.abs(res.x[1] - 2 * res.x[2]) < 1e-12).to.be(true);
+    expect(res.multipliers[2]).to.be(0);
+    expect(equilibrium({ K: sys.K, u: sys.u }, F, mpcs, res)).to.be(true);
+
+    var lagr = mpc.solve(sys.K, F, sys.u, mpcs.slice(0, 2), { method: 'lagrange' });
+    expect(vecEquals(res.x, lagr.x, 1e-10)).to.be(true);
+    expect(vecEquals(res.multipliers.slice(0, 2), lagr.multipliers, 1e-10)).to.be(true);
+  });
+
+  it('penalty should approach the constraints', function() {
+    var sys = chain(), F = [0, 1, 0, 0];
+    var mpcs = mpc.tie(1, 4, 0);
+    var elim = mpc.solve(sys.K, F, sys.u, mpcs);
+    var soft = mpc.solve(sys.K, F, sys.u, mpcs, { method: 'penalty', penalty: 1 });
+    var stiff = mpc.solve(sys.K, F, sys.u, mpcs, { method: 'penalty' });
+    expect(mpc.constrain(sys.K, F, sys.u, mpcs, { method: 'penalty' }).F.length).to.be(4);
+    expect(Math.abs(soft.x[0] - soft.x[3]) > 1e-3).to.be(true);
+    expect(vecEquals(stiff.x, elim.x, 1e-6)).to.be(true);
+    expect(vecEquals(stiff.multipliers, elim.multipliers, 1e-6)).to.be(true);
+    expect(equilibrium({ K: sys.K, u: sys.u }, F, mpcs, soft)).to.be(true);
+    expect(function() {
+      mpc.constrain(sys.K, F, sys.u, mpcs, { method: 'penalty', penalty: 0 });
+    }).to.throwException();
+  });
+
+  it('should throw on conflicting constraints', function() {
+    var sys = chain(0.2), F = [0, 0, 0, 0];
+    var conflict = mpc.tie(1, 2, 0).concat([
+      new MPC({ terms: [ { id: 1, dir: 0, coef: 1 }, { id: 2, dir: 0, coef: -1 } ], value: 1 })
+    ]);
+    expect(function() { mpc.constrain(sys.K, F, sys.u, conflict); }).to.throwException();
+    var violated = [ new MPC({ terms: [ { id: 0, dir: 0, coef: 1 } ], value: 0 }) ];
+    expect(function() { mpc.constrain(sys.K, F, sys.u, violated); }).to.throwException();
+    expect(function() {
+      mpc.constrain(sys.K, F, sys.u, conflict, { method: 'unknown' });
+    }).to.throwException();
+  });
+
+});
@@ -1,10 +1,35 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var expect = require('expect.js');
-require(SRC + '/nodalload.js');
+var NodalLoad = require(SRC + '/nodalload.js').NodalLoad;
+var Field = require(SRC + '/field.js').Field;
 
 describe('nodalload', function() {
   xit('should fail', function() {
     expect(false).to.be(true);
   });
+
+  it('NodalLoad#loads() should scale magnitudes by the amplitude', function() {
+    var u = new Field({ nfens: 2, dim: 2 });
+    var load = new NodalLoad({
+      id: 1, dir: [0, 1], magn: [2, -4],
+      amplitude: function(t) { return t * t; }
+    });
+    var ev = load.loads(u, 3);
+    expect(ev.eqnums).to.eql([2, 3]);
+    expect(ev.vector).to.eql([18, -36]);
+    expect(load.loads(u).vector).to.eql([0, 0]);
+    expect(new NodalLoad({ id: 1, dir: 0, magn: 2 }).loads(u, 3).vector).to.eql([2]);
+  });
+
+  it('NodalLoad#loads() should rotate global loads to the node frames', function() {
+    var u = new Field({ nfens: 2, dim: 2 });
+    u.setNodeFrames_(1, [[0, -1], [1, 0]]);
+    var local = new NodalLoad({ ids: [0, 1], dir: 0, magn: 2 }).loads(u);
+    expect(local.eqnums).to.eql([0, 2]);
+    expect(local.vector).to.eql([2, 2]);
+    var global = new NodalLoad({ ids: [0, 1], dir: 0, magn: 2, global: true }).loads(u);
+    expect(global.eqnums).to.eql([0, 2, 3]);
+    expect(global.vector).to.eql([2, 0, -2]);
+  });
 });
@@ -0,0 +1,118 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var eye = require(SRC + '/core.numeric').eye;
+var parallel = require(SRC + '/parallel');
+var H8Block = require(SRC + '/mesh').H8Block;
+var Field = require(SRC + '/field').Field;
+var EBC = require(SRC + '/ebc').EBC;
+var DeforSS = require(SRC + '/feblock').DeforSS;
+var LinElIso = require(SRC + '/property').LinElIso;
+var DeforSSLinElTriax = require(SRC + '/material').DeforSSLinElTriax;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var ForceIntensity = require(SRC + '/forceintensity').ForceIntensity;
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
+
+describe('parallel', function() {
+  this.timeout(20000);
+
+  var mesh = H8Block(3, 1, 1, 3, 2, 2);
+  var geom = new Field({ fens: mesh.fens() });
+  var u = new Field({
+    dim: 3,
+    nfens: geom.nfens(),
+    ebcs: [ new EBC({ id: [0, 1, 2, 3], dir: [0, 1, 2], value: 0 }) ]
+  });
+  var mater = new DeforSSLinElTriax({ property: new LinElIso({ E: 1000, nu: 0.3 }) });
+  var feb = new DeforSS({
+    material: mater,
+    gcells: mesh.gcells(),
+    integrationRule: new GaussRule(3, 2),
+    rm: eye(3)
+  });
+
+  function csrArrays(K) {
+    var csr = K.csrMatrix();
+    return [csr._rowPtr, csr._colInd, csr._values].map(function(a) {
+      return Array.prototype.slice.call(a);
+    });
+  }
+
+  it('stiffness() should equal the serial element matrices', function() {
+    var serial = feb.stiffness(geom, u);
+    return parallel.stiffness(feb, geom, u, { workers: 3 }).then(function(ems) {
+      expect(ems.length).to.be(serial.length);
+      ems.forEach(function(em, i) {
+        expect(em.eqnums).to.eql(serial[i].eqnums);
+        expect(em.matrix).to.eql(serial[i].matrix);
+      });
+    });
+  });
+
+  it('stiffness() should apply the node frames of u', function() {
+    var framed = u.clone().setNodeFrames_([5, 6], [[0, -1, 0], [1, 0, 0], [0, 0, 1]]);
+    var serial = feb.stiffness(geom, framed);
+    return parallel.stiffness(feb, geom, framed, { workers: 2 }).then(function(ems) {
+      ems.forEach(function(em, i) {
+        expect(em.matrix).to.eql(serial[i].matrix);
+      });
+    });
+  });
+
+  it('assembleStiffness() should not depend on the number of workers', function() {
+    var neqns = u.neqns();
+    var expected = csrArrays(new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u)));
+    return Promise.all([
+      parallel.assembleStiffness(feb, geom, u, { workers: 2 }),
+      parallel.assembleStiffness(feb, geom, u, { workers: 5 })
+    ]).then(function(Ks) {
+      Ks.forEach(function(K) {
+        expect(K).to.be.a(SparseSystemMatrix);
+        expect(csrArrays(K)).to.eql(expected);
+      });
+    });
+  });
+
+  it('distributeLoads() should equal the serial element vectors', function() {
+    var top = mesh.gcells().boundary();
+    top = top.subset(top.boxSelect(mesh.fens(), { bounds: [0, 3, 0, 1, 1, 1], inflate: 1e-6 }));
+    var lfeb = new DeforSS({
+      material: mater,
+      gcells: top,
+      integrationRule: new GaussRule(2, 2)
+    });
+    var fi = new ForceIntensity({ magn: [0, 0, -2], amplitude: function(t) { return t; } });
+    var serial = lfeb.distributeLoads(geom, u, fi.atTime(0.5), 2);
+    return parallel.distributeLoads(lfeb, geom, u, fi.atTime(0.5), 2, { workers: 2 })
+      .then(function(evs) {
+        expect(evs.length).to.be(serial.length);
+        evs.forEach(function(ev, i) {
+          expect(ev.eqnums).to.eql(serial[i].eqnums);
+          expect(ev.vector).to.eql(serial[i].vector);
+        });
+      });
+  });
+
+  it('should reject functions that can not be sent to workers', function() {
+    var withRm = new DeforSS({
+      material: mater,
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(3, 2),
+      rm: function() { return eye(3); }
+    });
+    var fi = new ForceIntensity({ magn: function() { return [[0], [0], [1]]; } });
+    return Promise.all([
+      parallel.stiffness(withRm, geom, u).then(function() {
+        throw new Error('should reject');
+      }, function(e) {
+        expect(e.message).to.match(/rm function/);
+      }),
+      parallel.distributeLoads(feb, geom, u, fi, 2).then(function() {
+        throw new Error('should reject');
+      }, function(e) {
+        expect(e.message).to.match(/constant magnitude/);
+      })
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var periodic = require(SRC + '/periodic.js');
+var PeriodicBC = periodic.PeriodicBC;
+var Q4Block = require(SRC + '/mesh').Q4Block;
+var H8Block = require(SRC + '/mesh').H8Block;
+var Field = require(SRC + '/field').Field;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var LinElIso = require(SRC + '/property.js').LinElIso;
+var DeforSSLinElTriax = require(SRC + '/material.js').DeforSSLinElTriax;
+var DeforSS = require(SRC + '/feblock.js').DeforSS;
+var genISORm = require(SRC + '/feutils').genISORm;
+var mpc = require(SRC + '/mpc.js');
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
+var numeric = require(SRC + '/core.numeric');
+var _ = require(SRC + '/core.utils');
+
+describe('periodic', function() {
+  function matEquals(A, B, tol) {
+    return A.every(function(row, i) {
+      return numeric.vecEquals(row, B[i], tol);
+    });
+  }
+
+  function block(gcells, E, nu) {
+    return new DeforSS({
+      material: new DeforSSLinElTriax({ property: new LinElIso({ E: E, nu: nu }) }),
+      gcells: gcells,
+      integrationRule: new GaussRule(3, 2),
+      rm: genISORm
+    });
+  }
+
+  it('PeriodicBC should pair the nodes of opposite faces', function() {
+    // 3 by 2 nodes, 2 pairs across x and 3 across y.
+    var fens = Q4Block(2, 1, 2, 1).fens();
+    var pbc = new PeriodicBC({ fens: fens, strain: [[0.1, 0], [0, 0]] });
+    var pairs = pbc.pairs();
+    expect(pairs.length).to.be(5);
+    pairs.forEach(function(pair) {
+      var xm = fens.xyzAt(pair.minus), xp = fens.xyzAt(pair.plus);
+      expect(xm[pair.axis]).to.be(0);
+      expect(xp[pair.axis]).to.be(pair.axis === 0 ? 2 : 1);
+      expect(xm[1 - pair.axis]).to.be(xp[1 - pair.axis]);
+    });
+
+    var u = new Field({ dim: 2, nfens: fens.nfens(), ebcs: [ pbc.anchor() ] });
+    var cs = pbc.constraints(u);
+    expect(cs.length).to.be(10);
+    expect(cs[0].value()).to.be(0.2);
+    expect(cs[1].value()).to.be(0);
+    expect(u.isPrescribed(0, 0) && u.isPrescribed(0, 1)).to.be(true);
+  });
+
+  it('PeriodicBC should accept Voigt strains with engineering shears', function() {
+    var fens = Q4Block(1, 1, 1, 1).fens();
+    expect(new PeriodicBC({ fens: fens, strain: [1, 2, 0.5] }).strain())
+      .to.eql([[1, 0.25], [0.25, 2]]);
+    expect(function() { return new PeriodicBC({ fens: fens, strain: [1, 2] }); })
+      .to.throwException();
+  });
+
+  it('PeriodicBC should throw if a face node has no match', function() {
+    var fens = H8Block(1, 1, 1, 1, 1, 1).fens();
+    expect(function() {
+      return new PeriodicBC({ fens: fens, bounds: [-1, 1, 0, 1, 0, 1], tol: 1e-8 });
+    }).to.throwException(/no match/);
+  });
+
+  it('a homogeneous RVE should deform with the macroscopic strain', function() {
+    var mesh = H8Block(1, 1, 1, 2, 2, 2), fens = mesh.fens();
+    var feb = block(mesh.gcells(), 1000, 0.3);
+    var geom = new Field({ fens: fens });
+    var pbc = new PeriodicBC({ fens: fens, strain: [0.01, 0, 0, 0.02, 0, 0] });
+    var u = new Field({ dim: 3, nfens: fens.nfens(), ebcs: [ pbc.anchor() ] });
+    var K = new SparseSystemMatrix(u.neqns(), u.neqns(), feb.stiffness(geom, u));
+    var cs = pbc.constraints(u);
+    u.scatterSystemVector_(mpc.solve(K, _.array1d(u.neqns(), 0), u, cs).x);
+
+    cs.forEach(function(c) {
+      expect(Math.abs(c.residual(u)) < 1e-12).to.be(true);
+    });
+    var E = pbc.strain(), xs = geom.values();
+    u.values().forEach(function(v, i) {
+      var expected = numeric.dot(E, xs[i]);
+      v.forEach(function(vk, k) {
+        expect(Math.abs(vk - expected[k]) < 1e-12).to.be(true);
+      });
+    });
+  });
+
+  it('homogenize() should return the moduli of a homogeneous RVE', function() {
+    var mesh = H8Block(1, 2, 1, 2, 2, 1);
+    var prop = new LinElIso({ E: 1000, nu: 0.3 });
+    var res = periodic.homogenize(block(mesh.gcells(), 1000, 0.3), mesh.fens());
+    expect(Math.abs(res.volume - 2) < 1e-12).to.be(true);
+    expect(matEquals(res.C, prop.D(), 1e-8)).to.be(true);
+  });
+
+  it('homogenize() should give the Voigt and Reuss bounds of a laminate', function() {
+    // two layers across z, nu = 0 so that the moduli are uncoupled.
+    var mesh = H8Block(1, 1, 1, 1, 1, 2), fens = mesh.fens(), gcells = mesh.gcells();
+    var lower = [], upper = [];
+    gcells.conn().forEach(function(conn, i) {
+      var z = conn.reduce(function(sum, idx) { return sum + fens.xyzAt(idx)[2]; }, 0) / conn.length;
+      (z < 0.5 ? lower : upper).push(i);
+    });
+    var E1 = 1000, E2 = 250, G1 = E1 / 2, G2 = E2 / 2;
+    var res = periodic.homogenize([
+      block(gcells.subset(lower), E1, 0), block(gcells.subset(upper), E2, 0)
+    ], fens);
+
+    var voigt = (E1 + E2) / 2, reuss = 2 * E1 * E2 / (E1 + E2);
+    var C = res.C;
+    expect(Math.abs(C[0][0] - voigt) < 1e-8).to.be(true);
+    expect(Math.abs(C[1][1] - voigt) < 1e-8).to.be(true);
+    expect(Math.abs(C[2][2] - reuss) < 1e-8).to.be(true);
+    expect(Math.abs(C[3][3] - (G1 + G2) / 2) < 1e-8).to.be(true);
+    expect(Math.abs(C[4][4] - 2 * G1 * G2 / (G1 + G2)) < 1e-8).to.be(true);
+    expect(Math.abs(C[5][5] - 2 * G1 * G2 / (G1 + G2)) < 1e-8).to.be(true);
+    expect(Math.abs(C[0][2]) < 1e-8).to.be(true);
+  });
+
+});
@@ -28,4 +28,11 @@ describe('material property', function() {
   var tester = new ModuleTester(property, dataset, {});
 
   tester.run();
+
+  it('alpha() should return the coefficient of thermal expansion', function() {
+    expect(new property.LinElIso({ E: 1000 }).alpha()).to.be(0);
+    expect(new property.LinElIso({ E: 1000, alpha: 1.2e-5 }).alpha()).to.be(1.2e-5);
+    expect(function() { return new property.LinElIso({ E: 1000, alpha: '1' }); })
+      .to.throwError();
+  });
 });
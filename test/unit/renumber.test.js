@@ -0,0 +1,107 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var eye = require(SRC + '/core.numeric').eye;
+var renumber = require(SRC + '/renumber');
+var Q4Block = require(SRC + '/mesh').Q4Block;
+var L2 = require(SRC + '/gcellset').L2;
+var Q4 = require(SRC + '/gcellset').Q4;
+var Field = require(SRC + '/field').Field;
+var EBC = require(SRC + '/ebc').EBC;
+var NodalLoad = require(SRC + '/nodalload').NodalLoad;
+var DeforSS = require(SRC + '/feblock').DeforSS;
+var LinElIso = require(SRC + '/property').LinElIso;
+var DeforSSLinElBiax = require(SRC + '/material').DeforSSLinElBiax;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
+var SparseSystemVector = require(SRC + '/system.vector').SparseSystemVector;
+var mldivide = require(SRC + '/system').mldivide;
+
+function isPermutation(order, n) {
+  return order.length === n && order.slice().sort(function(a, b) { return a - b; })
+    .every(function(x, i) { return x === i; });
+}
+
+describe('renumber', function() {
+
+  // a strip numbered along its long side.
+  var mesh = Q4Block(10, 1, 40, 3);
+
+  it('nodalGraph() should connect the nodes sharing a cell', function() {
+    var graph = renumber.nodalGraph(new Q4({ conn: [ [0, 1, 2, 3], [1, 4, 5, 2] ] }));
+    expect(graph).to.eql([
+      [1, 2, 3], [0, 2, 3, 4, 5], [0, 1, 3, 4, 5], [0, 1, 2], [1, 2, 5], [1, 2, 4]
+    ]);
+    expect(renumber.nodalGraph(new L2({ conn: [ [0, 1] ] }), 3)).to.eql([ [1], [0], [] ]);
+  });
+
+  it('graphMeasures() should return bandwidth and profile', function() {
+    var graph = renumber.nodalGraph(new L2({ conn: [ [0, 2], [2, 1] ] }));
+    expect(renumber.graphMeasures(graph)).to.eql({ bandwidth: 2, profile: 2 });
+    expect(renumber.graphMeasures(graph, [0, 2, 1])).to.eql({ bandwidth: 1, profile: 2 });
+  });
+
+  it('reverseCuthillMcKee() should reduce the bandwidth', function() {
+    var res = renumber.renumber(mesh.gcells());
+    expect(isPermutation(res.order, 164)).to.be(true);
+    res.order.forEach(function(old, k) { expect(res.position[old]).to.be(k); });
+    expect(res.before.bandwidth).to.be(42);
+    expect(res.after.bandwidth).to.be.below(10);
+    expect(res.after.profile).to.be.below(res.before.profile / 5);
+  });
+
+  it('sloan() should reduce the profile', function() {
+    var res = renumber.renumber([ mesh.gcells() ], 164, { method: 'sloan' });
+    expect(isPermutation(res.order, 164)).to.be(true);
+    expect(res.after.profile).to.be.below(res.before.profile / 5);
+  });
+
+  it('should number every connected component', function() {
+    var graph = renumber.nodalGraph(new L2({ conn: [ [0, 3], [1, 4] ] }), 6);
+    expect(isPermutation(renumber.reverseCuthillMcKee(graph), 6)).to.be(true);
+    expect(isPermutation(renumber.sloan(graph), 6)).to.be(true);
+  });
+
+  it('should throw for invalid input', function() {
+    expect(function() { renumber.renumber(mesh.gcells(), 164, { method: 'gps' }); })
+      .to.throwException(/unknown method/);
+    expect(function() { renumber.renumber([ [0, 1] ]); }).to.throwException();
+  });
+
+  it('should not change the solution when the equations are renumbered', function() {
+    var geom = new Field({ fens: mesh.fens() });
+    var left = mesh.fens().boxSelect({ bounds: [0, 0, 0, 1], inflate: 1e-6 });
+    var right = mesh.fens().boxSelect({ bounds: [10, 10, 0, 1], inflate: 1e-6 });
+    var feb = new DeforSS({
+      material: new DeforSSLinElBiax({
+        property: new LinElIso({ E: 1000, nu: 0.3 }),
+        reduction: 'stress'
+      }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(2, 2),
+      rm: eye(2)
+    });
+
+    function solve(order) {
+      var u = new Field({
+        dim: 2, nfens: geom.nfens(),
+        ebcs: [ new EBC({ id: left, dir: [0, 1], value: 0 }) ]
+      });
+      if (order) u.setEqnumOrder_(order);
+      var neqns = u.neqns();
+      var K = new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u));
+      var F = new SparseSystemVector(neqns, right.map(function(id) {
+        return new NodalLoad({ id: id, dir: 1, magn: -1 }).loads(u);
+      }));
+      u.scatterSystemVector_(mldivide(K, F));
+      return u;
+    }
+
+    var natural = solve(), renumbered = solve(renumber.renumber(mesh.gcells()).order);
+    expect(natural.eqnum(1, 0)).not.to.be(renumbered.eqnum(1, 0));
+    var i;
+    for (i = 0; i < geom.nfens(); ++i)
+      expect(Math.abs(natural.at(i)[1] - renumbered.at(i)[1]) < 1e-9).to.be(true);
+  });
+});
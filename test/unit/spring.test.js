@@ -0,0 +1,83 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+var Spring = require(SRC + '/spring.js').Spring;
+var Field = require(SRC + '/field.js').Field;
+var SparseSystemMatrix = require(SRC + '/system.matrix.js').SparseSystemMatrix;
+var SparseSystemVector = require(SRC + '/system.vector.js').SparseSystemVector;
+var NodalLoad = require(SRC + '/nodalload.js').NodalLoad;
+var mldivide = require(SRC + '/system.js').mldivide;
+
+describe('spring', function() {
+  function close(a, b, tol) {
+    return a.every(function(x, i) {
+      return Array.isArray(x) ? close(x, b[i], tol) : Math.abs(x - b[i]) < tol;
+    });
+  }
+
+  // ground - 0 - 1, loaded at node 1.
+  function solve(u, springs, P) {
+    var kes = [].concat.apply([], springs.map(function(s) { return s.stiffness(u); }));
+    var K = new SparseSystemMatrix(u.neqns(), u.neqns(), kes);
+    var F = new SparseSystemVector(u.neqns(), [
+      new NodalLoad({ id: 1, dir: [0, 1], magn: P, global: true }).loads(u)
+    ]);
+    u.scatterSystemVector_(mldivide(K, F));
+    return u;
+  }
+
+  it('should support nodes on the ground and on each other', function() {
+    var ground = new Spring({ ids: 0, stiffness: [100, 200] });
+    var link = new Spring({ conn: [ [0, 1] ], stiffness: 50 });
+    var u = solve(new Field({ nfens: 2, dim: 2 }), [ ground, link ], [10, 20]);
+
+    expect(close(u.values(), [ [0.1, 0.1], [0.3, 0.5] ], 1e-12)).to.be(true);
+    expect(close(ground.forces(u)[0], [ [10, 20] ], 1e-12)).to.be(true);
+    expect(close(link.forces(u)[0], [ [-10, -20], [10, 20] ], 1e-12)).to.be(true);
+  });
+
+  it('should accept coupled and full matrices', function() {
+    var u = new Field({ nfens: 2, dim: 2 });
+    var kd = [ [3, 1], [1, 2] ];
+    var coupled = new Spring({ conn: [ [0, 1] ], stiffness: kd }).stiffness(u)[0];
+    expect(coupled.matrix).to.eql([
+      [3, 1, -3, -1], [1, 2, -1, -2], [-3, -1, 3, 1], [-1, -2, 1, 2]
+    ]);
+    expect(coupled.eqnums).to.eql([0, 1, 2, 3]);
+    var full = new Spring({ conn: [ [0, 1] ], stiffness: coupled.matrix }).stiffness(u)[0];
+    expect(full.matrix).to.eql(coupled.matrix);
+    expect(new Spring({ ids: [0, 1], stiffness: kd }).stiffness(u)[1].matrix).to.eql(kd);
+
+    expect(function() { new Spring({ ids: 0, stiffness: [1, 2, 3] }).stiffness(u); })
+      .to.throwError();
+    expect(function() { return new Spring({ conn: [ [0, 1, 2] ], stiffness: 1 }); })
+      .to.throwError();
+    expect(function() { return new Spring({ ids: 0 }); }).to.throwError();
+  });
+
+  it('should give dashpot matrices and forces', function() {
+    var u = new Field({ values: [ [0.1, 0], [0.2, 0] ] });
+    var v = new Field({ values: [ [1, 0], [3, 0] ] });
+    var dashpot = new Spring({ conn: [ [0, 1] ], stiffness: 10, damping: [2, 0] });
+    expect(dashpot.damping(u)[0].matrix).to.eql([
+      [2, 0, -2, 0], [0, 0, 0, 0], [-2, 0, 2, 0], [0, 0, 0, 0]
+    ]);
+    expect(close(dashpot.forces(u)[0], [ [-1, 0], [1, 0] ], 1e-12)).to.be(true);
+    expect(close(dashpot.forces(u, v)[0], [ [-5, 0], [5, 0] ], 1e-12)).to.be(true);
+    expect(new Spring({ ids: 0, damping: 1 }).stiffness(u)[0].matrix).to.eql([[0, 0], [0, 0]]);
+  });
+
+  it('should act in the global frame at nodes with a local frame', function() {
+    var springs = [
+      new Spring({ ids: 0, stiffness: [ [100, 20], [20, 200] ] }),
+      new Spring({ conn: [ [0, 1] ], stiffness: [50, 80] })
+    ];
+    var plain = solve(new Field({ nfens: 2, dim: 2 }), springs, [10, 20]);
+    var c = Math.cos(0.3), s = Math.sin(0.3);
+    var framed = new Field({ nfens: 2, dim: 2 }).setNodeFrames_([0, 1], [ [c, -s], [s, c] ]);
+    solve(framed, springs, [10, 20]);
+
+    expect(close(framed.toGlobal().values(), plain.values(), 1e-12)).to.be(true);
+    expect(close(springs[1].forces(framed), springs[1].forces(plain), 1e-10)).to.be(true);
+  });
+});
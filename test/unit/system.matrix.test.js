@@ -7,6 +7,9 @@ var array2dEquals = numeric.array2dEquals;
 var read = require('fs').readFileSync;
 var fixtureFile = ROOT + '/test/fixtures/assemble.json';
 var SparseSystemMatrix = require(SRC + '/system.matrix.js').SparseSystemMatrix;
+var ElementOperator = require(SRC + '/system.matrix.js').ElementOperator;
+var CsrSparseMatrix = numeric.CsrSparseMatrix;
+var _ = require(SRC + '/core.utils');
 
 function loadFixtures(fileName) {
   var json = JSON.parse(read(fileName, 'utf8'));
@@ -28,8 +31,73 @@ describe('SparseSystemMatrix', function() {
 
       var K = new SparseSystemMatrix(dim, dim, elementMatrices);
       expect(array2dEquals(K.toFull(), expectedK)).to.be(true);
+      expect(array2dEquals(K.dokMatrix().toFull(), expectedK)).to.be(true);
+    });
+
+    it('should assemble CsrSparseMatrix', function(ctx) {
+      var dim = ctx.dim, ems = ctx.ems, expectedK = ctx.K;
+      var elementMatrices = ems.map(function(em) {
+        return {
+          matrix: em.matrix,
+          eqnums: em.equationNumbers
+        };
+      });
+
+      var K = new SparseSystemMatrix(dim, dim, _.iteratorFromList(elementMatrices));
+      expect(K.csrMatrix()).to.be.a(CsrSparseMatrix);
+      expect(array2dEquals(K.csrMatrix().toFull(), expectedK)).to.be(true);
     });
   });
 
+  it('fromCsrMatrix() should wrap an assembled matrix', function() {
+    var csr = CsrSparseMatrix.fromTriplets(2, 2, [0, 1, 1], [0, 0, 1], [2, 1, 3]);
+    var K = SparseSystemMatrix.fromCsrMatrix(csr);
+    expect(K.csrMatrix()).to.be(csr);
+    expect(K.toFull()).to.eql([[2, 0], [1, 3]]);
+    expect(function() { SparseSystemMatrix.fromCsrMatrix([[1]]); }).to.throwError();
+  });
 
 });
+
+describe('ElementOperator', function() {
+  var fixtures = loadFixtures(fixtureFile);
+
+  dataDriven(fixtures, function() {
+    it('should apply the assembled matrix', function(ctx) {
+      var dim = ctx.dim, ems = ctx.ems, expectedK = ctx.K;
+      var x = _.array1d(dim, function(i) { return Math.cos(i); });
+      [true, false].forEach(function(store) {
+        var A = new ElementOperator(dim, dim, {
+          count: ems.length,
+          eqnums: function(i) { return ems[i].equationNumbers; },
+          matrix: function(i) { return ems[i].matrix; },
+          store: store
+        });
+        expect(A.m()).to.be(dim);
+        // the fixture is rounded
+        expect(numeric.vecEquals(A.mulVector(x), numeric.dot(expectedK, x), 1e-3)).to.be(true);
+        expect(numeric.vecEquals(A.diagonal(),
+                                 expectedK.map(function(row, i) { return row[i]; }), 1e-3)).to.be(true);
+      });
+    });
+  });
+
+  it('should store the upper triangle of symmetric element matrices', function() {
+    // second element has a prescribed degree of freedom.
+    var ems = [
+      { matrix: [ [2, -1], [-1, 2] ], eqnums: [0, 1] },
+      { matrix: [ [3, 1, 4], [1, 5, 9], [4, 9, 6] ], eqnums: [1, -1, 2] }
+    ];
+    var A = new ElementOperator(3, 3, {
+      count: 2,
+      eqnums: function(i) { return ems[i].eqnums; },
+      matrix: function(i) { return ems[i].matrix; },
+      symmetric: true
+    });
+    var K = new SparseSystemMatrix(3, 3, ems).toFull();
+    var x = [1, -2, 3];
+    expect(numeric.vecEquals(A.mulVector(x), numeric.dot(K, x), 1e-12)).to.be(true);
+    expect(A.diagonal()).to.eql([2, 5, 6]);
+    expect(function() { A.mulVector([1, 2]); }).to.throwError();
+  });
+});
@@ -1,10 +1,76 @@
 /*global __dirname describe it require*/
 var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
 var expect = require('expect.js');
-require(SRC + '/system.js');
+var _ = require(SRC + '/core.utils.js');
+var system = require(SRC + '/system.js');
+var SparseSystemMatrix = system.matrix.SparseSystemMatrix;
+var ElementMatrix = system.matrix.ElementMatrix;
+var SparseSystemVector = system.vector.SparseSystemVector;
+var ElementVector = system.vector.ElementVector;
+var Field = require(SRC + '/field.js').Field;
+var vecEquals = require(SRC + '/core.numeric.js').vecEquals;
 
 describe('system', function() {
   xit('should fail', function() {
     expect(false).to.be(true);
   });
+
+  describe('eigs(K, M, nev)', function() {
+    // two masses on springs, ground - k - m - k - m.
+    var K = new SparseSystemMatrix(2, 2, [
+      new ElementMatrix([ [1] ], [0]),
+      new ElementMatrix([ [1, -1], [-1, 1] ], [0, 1])
+    ]);
+    var M = new SparseSystemMatrix(2, 2, [
+      new ElementMatrix([ [1, 0], [0, 1] ], [0, 1])
+    ]);
+
+    it('should work for SparseSystemMatrix', function() {
+      var res = system.eigs(K, M, 2);
+      expect(Math.abs(res.values[0] - (3 - Math.sqrt(5))/2) < 1e-12).to.be(true);
+      expect(Math.abs(res.values[1] - (3 + Math.sqrt(5))/2) < 1e-12).to.be(true);
+    });
+
+    it('should throw for other types', function() {
+      expect(function() {
+        system.eigs(K.toFull(), M.toFull(), 1);
+      }).to.throwError();
+    });
+  });
+
+  describe('iterativeSolve(A, b, options)', function() {
+    // chain of 10 springs fixed at the left end, pulled at the right.
+    var n = 10, i, ems = [ new ElementMatrix([ [1] ], [0]) ];
+    for (i = 1; i < n; ++i)
+      ems.push(new ElementMatrix([ [1, -1], [-1, 1] ], [i - 1, i]));
+    var K = new SparseSystemMatrix(n, n, ems);
+    var F = new SparseSystemVector(n, [ new ElementVector([1], [n - 1]) ]);
+    var expected = _.array1d(n, function(i) { return i + 1; });
+
+    it('should solve by every method', function() {
+      ['pcg', 'minres', 'gmres'].forEach(function(method) {
+        var res = system.iterativeSolve(K, F, { method: method, tol: 1e-12 });
+        expect(res.converged).to.be(true);
+        expect(vecEquals(res.x, expected, 1e-8)).to.be(true);
+      });
+      var res = system.iterativeSolve(K, F.sparseVector().toList(), { preconditioner: 'ic0' });
+      expect(vecEquals(res.x, expected, 1e-8)).to.be(true);
+    });
+
+    it('should warm start from a Field', function() {
+      var u = new Field({ values: expected.map(function(x) { return [x]; }) });
+      var res = system.iterativeSolve(K, F, { x0: u });
+      expect(res.iterations).to.be(0);
+      expect(res.residuals).to.eql([0]);
+    });
+
+    it('should throw for other types', function() {
+      expect(function() {
+        system.iterativeSolve(K.toFull(), F);
+      }).to.throwError();
+      expect(function() {
+        system.iterativeSolve(K, F, { method: 'bicgstab' });
+      }).to.throwError(/unknown method/);
+    });
+  });
 });
@@ -0,0 +1,182 @@
+/*global __dirname describe it require*/
+var ROOT = __dirname + '/../..', SRC = ROOT + '/src';
+var expect = require('expect.js');
+
+var L2Block = require(SRC + '/mesh').L2Block;
+var LinElIso = require(SRC + '/property').LinElIso;
+var DeforSSLinElUniax = require(SRC + '/material').DeforSSLinElUniax;
+var GaussRule = require(SRC + '/integrationrule').GaussRule;
+var Field = require(SRC + '/field').Field;
+var EBC = require(SRC + '/ebc').EBC;
+var NodalLoad = require(SRC + '/nodalload').NodalLoad;
+var DeforSS = require(SRC + '/feblock').DeforSS;
+var ElementMatrix = require(SRC + '/system.matrix').ElementMatrix;
+var SparseSystemMatrix = require(SRC + '/system.matrix').SparseSystemMatrix;
+var genISORm = require(SRC + '/feutils').genISORm;
+var transient = require(SRC + '/transient').transient;
+
+describe('transient', function() {
+
+  // single degree of freedom oscillator, m = k = 1.
+  function sdof() {
+    var u = new Field({ values: [[1]] });
+    var K = new SparseSystemMatrix(1, 1, [ new ElementMatrix([[1]], [0]) ]);
+    var M = new SparseSystemMatrix(1, 1, [ new ElementMatrix([[1]], [0]) ]);
+    return { u: u, K: K, M: M };
+  }
+
+  function history(res) {
+    return res.u.map(function(f) { return f.at(0)[0]; });
+  }
+
+  it('should integrate free vibration by Newmark average acceleration', function() {
+    var s = sdof();
+    var res = transient({ K: s.K, M: s.M, u: s.u, dt: 0.01, nsteps: 100 });
+    expect(res.times.length).to.be(101);
+    expect(res.u.length).to.be(101);
+    expect(res.u[0]).to.be.a(Field);
+    expect(Math.abs(res.times[100] - 1)).to.be.below(1e-12);
+    expect(Math.abs(res.u[100].at(0)[0] - Math.cos(1))).to.be.below(1e-4);
+    expect(Math.abs(res.v[100].at(0)[0] + Math.sin(1))).to.be.below(1e-4);
+    expect(Math.abs(res.a[0].at(0)[0] + 1)).to.be.below(1e-12);
+  });
+
+  it('should conserve energy with Newmark and dissipate it with HHT', function() {
+    var s = sdof();
+    // omega*dt = 5, far beyond the resolved frequencies.
+    var opts = { K: s.K, M: s.M, u: s.u, dt: 5, nsteps: 20 };
+    var newmark = history(transient(opts));
+    opts.method = 'hht';
+    opts.alpha = -0.3;
+    var hht = history(transient(opts));
+
+    newmark.forEach(function(x) {
+      expect(Math.abs(x)).to.be.below(1 + 1e-9);
+    });
+    expect(Math.max.apply(null, newmark.slice(10).map(Math.abs))).to.be.above(0.5);
+    expect(Math.abs(hht[20])).to.be.below(0.05);
+  });
+
+  it('should apply Rayleigh damping', function() {
+    var s = sdof();
+    // c = 0.2, damping ratio 0.1.
+    var res = transient({
+      K: s.K, M: s.M, u: s.u, dt: 0.005, nsteps: 400,
+      rayleigh: { mass: 0.2 }
+    });
+    var zeta = 0.1, wd = Math.sqrt(1 - zeta*zeta), t = 2;
+    var expected = Math.exp(-zeta*t) *
+          (Math.cos(wd*t) + zeta/wd*Math.sin(wd*t));
+    expect(Math.abs(res.u[400].at(0)[0] - expected)).to.be.below(1e-4);
+  });
+
+  it('should apply time dependent nodal loads', function() {
+    var s = sdof();
+    var u = new Field({ values: [[0]] });
+    // step load from rest: x = 1 - cos(t).
+    var load = new NodalLoad({
+      id: 0, dir: 0, magn: 2,
+      amplitude: function(t) { return 0.5; }
+    });
+    var res = transient({
+      K: s.K, M: s.M, u: u, dt: 0.01, nsteps: 300, outputEvery: 100,
+      loads: function(t, u) { return [ load.loads(u, t) ]; }
+    });
+    expect(res.times.length).to.be(4);
+    expect(Math.abs(res.u[3].at(0)[0] - (1 - Math.cos(3)))).to.be.below(1e-4);
+  });
+
+  it('should apply time dependent EBCs', function() {
+    // bar dragged at its left end, slowly compared to its first period.
+    var E = 1000, rho = 2, L = 10, nel = 10, T = 40;
+    var amplitude = function(t) {
+      if (t >= T) return 1;
+      return t/T - Math.sin(2*Math.PI*t/T)/(2*Math.PI);
+    };
+    var ebc = new EBC({ id: 0, dir: 0, value: 1, amplitude: amplitude });
+
+    var mesh = L2Block(L, nel);
+    var geom = new Field({ fens: mesh.fens() });
+    var u = new Field({ dim: 1, nfens: geom.nfens(), ebcs: [ ebc ] });
+    expect(u.at(0)[0]).to.be(0);
+
+    var feb = new DeforSS({
+      material: new DeforSSLinElUniax({
+        property: new LinElIso({ E: E, rho: rho })
+      }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(1, 2),
+      rm: genISORm
+    });
+    var neqns = u.neqns();
+    var K = new SparseSystemMatrix(neqns, neqns, feb.stiffness(geom, u));
+    var M = new SparseSystemMatrix(neqns, neqns,
+                                   feb.mass(geom, u, { lumping: 'rowsum' }));
+
+    var res = transient({
+      K: K, M: M, u: u, dt: 0.1, nsteps: 400, outputEvery: 200,
+      ebcs: [ ebc ],
+      loads: function(t, u) { return feb.noneZeroEBCLoads(geom, u); }
+    });
+
+    var mid = res.u[1], end = res.u[2];
+    expect(Math.abs(mid.at(0)[0] - 0.5)).to.be.below(1e-12);
+    expect(Math.abs(mid.at(nel)[0] - 0.5)).to.be.below(0.01);
+    expect(Math.abs(res.v[1].at(0)[0] - 2/T)).to.be.below(1e-3);
+    expect(Math.abs(end.at(0)[0] - 1)).to.be.below(1e-12);
+    expect(Math.abs(end.at(nel)[0] - 1)).to.be.below(0.01);
+  });
+
+  it('should couple the base acceleration through a consistent mass', function() {
+    // one bar cell, k = E/L = 1 and consistent mass rho*L/6*[[2,1],[1,2]]
+    // = [[1,0.5],[0.5,1]]. The free end follows
+    // x'' + x = ug - 0.5*ug'' for the base motion ug = t - sin(w*t)/w.
+    var w = 0.5;
+    var ebc = new EBC({
+      id: 0, dir: 0, value: 1,
+      amplitude: function(t) { return t - Math.sin(w*t)/w; }
+    });
+    var mesh = L2Block(1, 1);
+    var geom = new Field({ fens: mesh.fens() });
+    var u = new Field({ dim: 1, nfens: geom.nfens(), ebcs: [ ebc ] });
+    var feb = new DeforSS({
+      material: new DeforSSLinElUniax({
+        property: new LinElIso({ E: 1, rho: 3 })
+      }),
+      gcells: mesh.gcells(),
+      integrationRule: new GaussRule(1, 2),
+      rm: genISORm
+    });
+    var mes = feb.mass(geom, u);
+    var K = new SparseSystemMatrix(1, 1, feb.stiffness(geom, u));
+    var M = new SparseSystemMatrix(1, 1, mes);
+
+    var res = transient({
+      K: K, M: M, u: u, dt: 0.01, nsteps: 1000, outputEvery: 100,
+      ebcs: [ ebc ],
+      loads: function(t, u, v, a) {
+        return feb.noneZeroEBCLoads(geom, u).concat(feb.noneZeroEBCLoads(geom, a, mes));
+      }
+    });
+
+    res.times.forEach(function(t, i) {
+      var expected = t - 3*Math.sin(w*t) + 0.5*Math.sin(t);
+      expect(Math.abs(res.u[i].at(1)[0] - expected)).to.be.below(1e-4);
+      expect(Math.abs(res.v[i].at(0)[0] - 1 + Math.cos(w*t))).to.be.below(1e-4);
+    });
+  });
+
+  it('should throw on invalid options', function() {
+    var s = sdof();
+    expect(function() {
+      transient({ K: s.K, M: s.M, u: s.u, dt: 0.1, nsteps: 1, method: 'euler' });
+    }).to.throwException(/unknown method/);
+    expect(function() {
+      transient({ K: s.K, M: s.M, u: s.u, dt: 0.1, nsteps: 1, method: 'hht', alpha: 0.1 });
+    }).to.throwException(/alpha/);
+    expect(function() {
+      transient({ K: s.K, M: s.M, u: s.u, dt: 0.1 });
+    }).to.throwException();
+  });
+
+});